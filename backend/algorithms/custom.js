@@ -0,0 +1,42 @@
+// Random characters from a developer-chosen alphabet
+
+module.exports = {
+  name: 'custom',
+  description: 'Customizable algorithm with developer options',
+  defaultLength: 7,
+  maxLength: 20,
+  // An explicit length is kept; only the default one grows
+  adaptive: (options) => options.length === undefined,
+  options: {
+    length: { type: 'integer', min: 4, max: 12, description: 'Code length (4-12 characters; grows automatically when omitted)' },
+    includeNumbers: { type: 'boolean', default: true, description: 'Include numbers (true/false)' },
+    includeUppercase: { type: 'boolean', default: true, description: 'Include uppercase letters (true/false)' },
+    includeLowercase: { type: 'boolean', default: true, description: 'Include lowercase letters (true/false)' },
+    excludeSimilar: { type: 'boolean', default: true, description: 'Exclude similar looking characters (true/false)' }
+  },
+
+  validate(options) {
+    if (!options.includeNumbers && !options.includeUppercase && !options.includeLowercase) {
+      return ['At least one of includeNumbers, includeUppercase and includeLowercase must be true'];
+    }
+    return [];
+  },
+
+  generate(originalUrl, options, { length }) {
+    let chars = '';
+    if (options.includeLowercase) chars += 'abcdefghijklmnopqrstuvwxyz';
+    if (options.includeUppercase) chars += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    if (options.includeNumbers) chars += '0123456789';
+
+    if (options.excludeSimilar) {
+      // Remove similar looking characters
+      chars = chars.replace(/[0oO1lI]/g, '');
+    }
+
+    let result = '';
+    for (let i = 0; i < (options.length || length); i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+};
@@ -0,0 +1,22 @@
+// MD5 of the URL, the time and a random salt, as base64 without symbols
+const crypto = require('crypto');
+
+module.exports = {
+  name: 'hash',
+  description: 'MD5 hash-based algorithm with timestamp',
+  defaultLength: 6,
+  maxLength: 16,
+  adaptive: true,
+  options: {},
+
+  generate(originalUrl, options, { length }) {
+    const combined = originalUrl + Date.now().toString() + Math.random().toString();
+
+    return crypto
+      .createHash('md5')
+      .update(combined)
+      .digest('base64')
+      .replace(/[^a-zA-Z0-9]/g, '')
+      .substring(0, length);
+  }
+};
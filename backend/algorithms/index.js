@@ -0,0 +1,135 @@
+// Short-code algorithm registry
+// Every other module in this directory is an algorithm and is registered at
+// startup, so a new generator is added by dropping a file in here. A module
+// exports:
+//   name          Value of the `algorithm` request field (letters, digits, - and _)
+//   description   Shown by GET /api/v1/algorithms
+//   defaultLength Length of the codes it generates with default options
+//   options       Schema of its `custom_options`, by option name:
+//                 { type: 'integer'|'boolean'|'string', default, description,
+//                   min, max (integers), values (allowed strings) }
+//   validate      Optional (options) => error strings, for rules across options
+//   unique        Optional; true when it never returns the same code twice
+//                 and its codes start with SEQUENTIAL_PREFIX (see
+//                 config/shortCodes.js), which no alias or other algorithm
+//                 may use. Its codes are used without a lookup. Only the
+//                 sequential algorithm qualifies.
+//   adaptive      Optional; true when generate honours `length` below, letting
+//                 the length grow as collisions become frequent (see
+//                 services/collisionService.js), up to maxLength. A function
+//                 (options) => boolean when only some options honour it
+//   generate      (originalUrl, options, { length }) => code; sync or async.
+//                 Options are validated and have their defaults filled in.
+
+const fs = require('fs');
+const path = require('path');
+
+const ALGORITHM_NAME = /^[a-z0-9_-]+$/i;
+const OPTION_TYPES = ['integer', 'boolean', 'string'];
+
+const registry = new Map();
+
+/**
+ * Add an algorithm to the registry
+ * @param {Object} algorithm - Algorithm module (see above)
+ * @throws {Error} - When the module is malformed or the name is taken
+ */
+const register = (algorithm) => {
+  const { name, options = {} } = algorithm;
+  if (typeof name !== 'string' || !ALGORITHM_NAME.test(name)) {
+    throw new Error(`Invalid algorithm name "${name}"`);
+  }
+  if (registry.has(name.toLowerCase())) {
+    throw new Error(`Algorithm "${name}" is already registered`);
+  }
+  if (typeof algorithm.generate !== 'function') {
+    throw new Error(`Algorithm "${name}" has no generate function`);
+  }
+  Object.entries(options).forEach(([option, spec]) => {
+    if (!OPTION_TYPES.includes(spec.type)) {
+      throw new Error(`Option "${option}" of algorithm "${name}" has unknown type "${spec.type}"`);
+    }
+  });
+
+  registry.set(name.toLowerCase(), { ...algorithm, options });
+};
+
+/**
+ * @param {string} name
+ * @returns {Object|null} - The registered algorithm, matched case-insensitively
+ */
+const get = (name) => registry.get(String(name).toLowerCase()) || null;
+
+const list = () => Array.from(registry.values());
+
+// An algorithm as GET /api/v1/algorithms describes it
+const describe = (algorithm) => ({
+  name: algorithm.name,
+  description: algorithm.description,
+  default_length: algorithm.defaultLength,
+  supports_custom_options: Object.keys(algorithm.options).length > 0,
+  guaranteed_unique: Boolean(algorithm.unique),
+  options: Object.fromEntries(Object.entries(algorithm.options).map(([option, spec]) => [option, spec.description])),
+  option_schema: algorithm.options
+});
+
+const optionError = (option, spec, value) => {
+  if (spec.type === 'integer') {
+    if (!Number.isInteger(value)) return `${option} must be an integer`;
+    if (spec.min !== undefined && value < spec.min) return `${option} must be at least ${spec.min}`;
+    if (spec.max !== undefined && value > spec.max) return `${option} must be at most ${spec.max}`;
+  } else if (spec.type === 'boolean') {
+    if (typeof value !== 'boolean') return `${option} must be true or false`;
+  } else if (typeof value !== 'string') {
+    return `${option} must be a string`;
+  } else if (spec.values && !spec.values.includes(value)) {
+    return `${option} must be one of ${spec.values.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Validate `custom_options` against an algorithm's schema and fill in defaults
+ * @param {Object} algorithm - Registered algorithm
+ * @param {Object} options - Options from the request
+ * @returns {{options: Object, errors: string[]}}
+ */
+const resolveOptions = (algorithm, options = {}) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { options: {}, errors: ['custom_options must be an object'] };
+  }
+
+  const errors = Object.keys(options)
+    .filter(option => !algorithm.options[option])
+    .map(option => `${option} is not an option of the ${algorithm.name} algorithm`);
+
+  const resolved = {};
+  Object.entries(algorithm.options).forEach(([option, spec]) => {
+    const value = options[option] === undefined ? spec.default : options[option];
+    if (value === undefined) return;
+    const error = optionError(option, spec, value);
+    if (error) {
+      errors.push(error);
+    } else {
+      resolved[option] = value;
+    }
+  });
+
+  if (!errors.length && algorithm.validate) {
+    errors.push(...algorithm.validate(resolved));
+  }
+  return { options: resolved, errors };
+};
+
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.js') && file !== path.basename(__filename))
+  .sort()
+  .forEach(file => register(require(path.join(__dirname, file))));
+
+module.exports = {
+  register,
+  get,
+  list,
+  describe,
+  resolveOptions
+};
@@ -0,0 +1,88 @@
+// Base62 encoding of a persisted counter: every code is issued exactly once
+// Codes start with SEQUENTIAL_PREFIX, which aliases and other algorithms may
+// not use, so no other link can hold one and they need no uniqueness lookup.
+// Counter values fill all codes of SEQUENTIAL_CODE_LENGTH characters first,
+// then all codes one character longer, and so on, so codes of different
+// lengths never coincide. With SHORT_CODE_SECRET set, values are permuted
+// within each length by a keyed Feistel network, so consecutive codes look
+// unrelated and the next code cannot be guessed.
+//
+// SEQUENTIAL_CODE_LENGTH and SHORT_CODE_SECRET must not change once codes
+// have been issued: a different mapping can reissue an existing code.
+
+const crypto = require('crypto');
+const { database } = require('../models');
+const { SEQUENTIAL_PREFIX } = require('../config/shortCodes');
+
+const ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const BASE = BigInt(ALPHABET.length);
+const SEQUENCE = 'short_code';
+const FEISTEL_ROUNDS = 4;
+const DEFAULT_LENGTH = 5;
+// Longest counter part that still fits a 20-character code after the prefix
+const MAX_LENGTH = 20 - SEQUENTIAL_PREFIX.length;
+
+const minLength = () => {
+  const length = parseInt(process.env.SEQUENTIAL_CODE_LENGTH, 10);
+  return Number.isNaN(length) || length < 1 || length > MAX_LENGTH ? DEFAULT_LENGTH : length;
+};
+
+// Base62 digits of `value`, left-padded to `length`
+const encode = (value, length) => {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code = ALPHABET[Number(value % BASE)] + code;
+    value /= BASE;
+  }
+  return code;
+};
+
+// Bijection of [0, BASE^length) keyed by `secret`: an unbalanced Feistel
+// network over the high and low halves of the digits
+const permute = (value, length, secret) => {
+  let [sizeL, sizeR] = [BASE ** BigInt(Math.floor(length / 2)), BASE ** BigInt(Math.ceil(length / 2))];
+  let [left, right] = [value / sizeR, value % sizeR];
+
+  for (let round = 0; round < FEISTEL_ROUNDS; round++) {
+    const digest = crypto.createHmac('sha256', secret).update(`${length}:${round}:${right}`).digest('hex');
+    [left, right] = [right, (left + BigInt(`0x${digest.slice(0, 32)}`)) % sizeL];
+    [sizeL, sizeR] = [sizeR, sizeL];
+  }
+  return left * sizeR + right;
+};
+
+/**
+ * The code for the `n`th counter value
+ * @param {number|bigint} n - Counter value, from 0
+ * @param {Object} config - { length: shortest code length, secret: permutation key or null }
+ * @returns {string}
+ */
+const codeFor = (n, { length, secret }) => {
+  let index = BigInt(n);
+  let size = BASE ** BigInt(length);
+  while (index >= size) {
+    index -= size;
+    length++;
+    size *= BASE;
+  }
+  if (length > MAX_LENGTH) {
+    throw new Error('Sequential short codes are exhausted');
+  }
+  return encode(secret ? permute(index, length, secret) : index, length);
+};
+
+module.exports = {
+  name: 'sequential',
+  description: 'Base62-encoded persisted counter, never repeats (permuted when SHORT_CODE_SECRET is set)',
+  get defaultLength() {
+    return SEQUENTIAL_PREFIX.length + minLength();
+  },
+  options: {},
+  unique: true,
+  codeFor,
+
+  async generate() {
+    const n = await database.nextSequence(SEQUENCE);
+    return SEQUENTIAL_PREFIX + codeFor(n, { length: minLength(), secret: process.env.SHORT_CODE_SECRET || null });
+  }
+};
@@ -0,0 +1,17 @@
+// The first hex digits of a random UUID
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = {
+  name: 'uuid',
+  description: 'UUID-based algorithm',
+  defaultLength: 8,
+  maxLength: 20,
+  adaptive: true,
+  options: {},
+
+  generate(originalUrl, options, { length }) {
+    return uuidv4()
+      .replace(/-/g, '')
+      .substring(0, length);
+  }
+};
@@ -1,31 +1,290 @@
-// Simple in-memory database for development
-// This avoids the need for SQLite/PostgreSQL setup
+// Simple in-memory database for development and tests
+// This avoids the need for SQLite/PostgreSQL setup. With a journal directory
+// configured, every mutation is journaled to disk and replayed on startup.
+
+const Journal = require('./journal');
+const Transactions = require('./transactions');
+const { UniqueIndex, MultiIndex, SortedIndex } = require('./indexes');
+const { UniqueConstraintError, ValidationError } = require('./errors');
+const { rollupEntries, rollupKey } = require('./rollups');
+const { foldCode } = require('./shortCodes');
+const { DEFAULT_REDIRECT_STATUS } = require('./redirects');
+
+const PERIOD_MS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+// Maps whose records are journaled and snapshotted
+const TABLES = ['users', 'urls', 'clicks', 'click_rollups', 'word_lists', 'sequences', 'idempotency_keys'];
 
 class InMemoryDatabase {
-  constructor() {
+  constructor(options = {}) {
+    this.driver = 'memory';
     this.users = new Map();
     this.urls = new Map();
     this.clicks = new Map();
-    this.counters = { users: 1, urls: 1, clicks: 1 };
+    this.click_rollups = new Map();
+    this.word_lists = new Map();
+    this.sequences = new Map();
+    this.idempotency_keys = new Map();
+    this.counters = { users: 1, urls: 1, clicks: 1, click_rollups: 1, word_lists: 1, sequences: 1, idempotency_keys: 1 };
+    this.indexes = {
+      users: {
+        email: new UniqueIndex('email'),
+        username: new UniqueIndex('username')
+      },
+      urls: {
+        short_url: new UniqueIndex('short_url'),
+        folded: new MultiIndex('folded', url => foldCode(url.short_url)),
+        user_id: new MultiIndex('user_id'),
+        merged_into_id: new MultiIndex('merged_into_id')
+      },
+      clicks: {
+        url_id: new SortedIndex('url_id', 'date_time')
+      },
+      click_rollups: {
+        key: new UniqueIndex('key', rollupKey),
+        url_id: new MultiIndex('url_id'),
+        // One bucket-ordered series per URL, and one across all URLs
+        series: new SortedIndex('series', 'bucket', rollup => `${rollup.url_id}|${rollup.granularity}|${rollup.dimension}`),
+        all: new SortedIndex('all', 'bucket', rollup => `${rollup.granularity}|${rollup.dimension}`)
+      },
+      word_lists: {
+        word: new UniqueIndex('word', entry => `${entry.list}|${entry.word}`),
+        list: new MultiIndex('list')
+      },
+      sequences: {
+        name: new UniqueIndex('name')
+      },
+      idempotency_keys: {
+        key: new UniqueIndex('key', entry => `${entry.scope}|${entry.key}`)
+      }
+    };
+    this.journal = options.journalDir ? new Journal(options.journalDir, options) : null;
+    this.restored = false;
+
+    // A transaction remembers the records it changes so a rollback can put them
+    // back, and holds its journal entries until it commits
+    this.transactions = new Transactions({
+      begin: () => ({ saved: new Map(), entries: [], counters: { ...this.counters } }),
+      commit: (state) => {
+        if (this.journal) {
+          state.entries.forEach(entry => this.journal.append(entry));
+        }
+      },
+      rollback: (state) => this.undo(state)
+    });
   }
 
   async authenticate() {
+    this.restore();
     console.log('✅ In-memory database ready');
     return Promise.resolve();
   }
 
   async sync(options = {}) {
+    this.restore();
     console.log('✅ In-memory database models synchronized');
     return Promise.resolve();
   }
 
+  /**
+   * Run `callback` atomically: every write it makes is undone if it throws
+   * @param {Function} callback - Async function doing the work
+   * @returns {Promise<*>} - The callback's result
+   */
+  async transaction(callback) {
+    return this.transactions.run(callback);
+  }
+
+  // Remember a record's state before the current transaction first changes it
+  track(table, id) {
+    const state = this.transactions.current();
+    const key = `${table}:${id}`;
+    if (!state || state.saved.has(key)) return;
+
+    const record = this[table].get(id);
+    state.saved.set(key, { table, id, record: record ? { ...record } : null });
+  }
+
+  // Put back everything a rolled-back transaction changed
+  undo(state) {
+    Array.from(state.saved.values()).reverse().forEach(({ table, id, record }) => {
+      const indexes = Object.values(this.indexes[table]);
+      indexes.forEach(index => index.delete(id));
+      if (record) {
+        this[table].set(id, record);
+        indexes.forEach(index => index.set(record));
+      } else {
+        this[table].delete(id);
+      }
+    });
+    this.counters = state.counters;
+  }
+
+  log(entry) {
+    const state = this.transactions.current();
+    if (state) {
+      state.entries.push(entry);
+    } else if (this.journal) {
+      this.journal.append(entry);
+    }
+  }
+
+  // Write journal entries that are still buffered
+  async flush() {
+    if (this.journal) {
+      this.journal.flush();
+    }
+  }
+
   async close() {
+    // Compact on the way out so the next startup only reads the snapshot
+    if (this.journal && this.restored) {
+      this.journal.stop();
+      this.snapshot();
+    }
     console.log('📴 In-memory database connection closed');
     return Promise.resolve();
   }
 
+  // Persistence
+  // Load the last snapshot and replay the journal on top of it, once
+  restore() {
+    if (!this.journal || this.restored) return;
+
+    const { snapshot, entries } = this.journal.load();
+    if (snapshot) {
+      TABLES.forEach(table => {
+        this[table] = new Map((snapshot[table] || []).map(record => [record.id, record]));
+      });
+      Object.assign(this.counters, snapshot.counters);
+    }
+    entries.forEach(entry => this.apply(entry));
+    this.rebuildIndexes();
+
+    // Journals written before rollups existed: build them from the raw clicks
+    if (!this.click_rollups.size) {
+      this.clicks.forEach(click => this.rollUp(click));
+    }
+
+    this.restored = true;
+    this.journal.start(() => this.snapshot());
+    console.log(`♻️ Restored in-memory database from ${this.journal.directory} (${entries.length} journal entries replayed)`);
+  }
+
+  apply(entry) {
+    if (entry.op === 'put') {
+      this[entry.table].set(entry.record.id, entry.record);
+      this.counters[entry.table] = Math.max(this.counters[entry.table], entry.record.id + 1);
+    } else if (entry.op === 'delete') {
+      this[entry.table].delete(entry.id);
+    }
+  }
+
+  snapshot() {
+    // Never persist a transaction that may still roll back; the next flush retries
+    if (this.transactions.active) return;
+
+    const state = { counters: this.counters };
+    TABLES.forEach(table => {
+      state[table] = Array.from(this[table].values());
+    });
+    this.journal.snapshot(state);
+  }
+
+  // Backup
+  // Records of `table` in id order
+  async *exportRecords(table) {
+    const records = Array.from(this[table].values()).sort((a, b) => a.id - b.id);
+    for (const record of records) {
+      yield record;
+    }
+  }
+
+  async getCounters() {
+    return { ...this.counters };
+  }
+
+  /**
+   * Replace every table and the id counters with the given data
+   * Callers validate the data first (see services/backupService.js)
+   * @param {Object} data - Records by table name
+   * @param {Object} counters - Next id by table name
+   */
+  async replaceAll(data, counters) {
+    await this.transactions.gate();
+    TABLES.forEach(table => {
+      this[table] = new Map((data[table] || []).map(record => [record.id, { ...record }]));
+    });
+    this.counters = { ...this.counters, ...counters };
+    this.rebuildIndexes();
+
+    // Journal entries cannot express the deletions, so start over from a snapshot
+    if (this.journal) {
+      this.snapshot();
+    }
+  }
+
+  // Indexes
+  rebuildIndexes() {
+    TABLES.forEach(table => {
+      const indexes = Object.values(this.indexes[table]);
+      indexes.forEach(index => index.clear());
+      this[table].forEach(record => indexes.forEach(index => index.set(record)));
+    });
+  }
+
+  // Throw before writing a record whose unique values belong to another record
+  assertUnique(table, record) {
+    Object.values(this.indexes[table]).forEach(index => {
+      if (index instanceof UniqueIndex && index.conflicts(record)) {
+        throw new UniqueConstraintError(table, index.field, index.key(record));
+      }
+    });
+  }
+
+  // Reject invalid dates, which the SQLite store cannot store either
+  assertValidDates(table, record) {
+    Object.entries(record).forEach(([field, value]) => {
+      if (value instanceof Date && Number.isNaN(value.getTime())) {
+        throw new ValidationError(table, field, 'must be a valid date');
+      }
+    });
+  }
+
+  // Records of `table` with the given ids, skipping any that are gone
+  pick(table, ids) {
+    return ids.map(id => this[table].get(id)).filter(Boolean);
+  }
+
+  // All writes go through put/remove so they reach the indexes and the journal
+  put(table, record) {
+    this.assertUnique(table, record);
+    this.track(table, record.id);
+    this[table].set(record.id, record);
+    Object.values(this.indexes[table]).forEach(index => index.set(record));
+    this.log({ op: 'put', table, record });
+    return record;
+  }
+
+  remove(table, id) {
+    this.track(table, id);
+    const removed = this[table].delete(id);
+    Object.values(this.indexes[table]).forEach(index => index.delete(id));
+    if (removed) {
+      this.log({ op: 'delete', table, id });
+    }
+    return removed;
+  }
+
   // User operations
   async createUser(userData) {
+    await this.transactions.gate();
+    this.assertValidDates('users', userData);
+    this.assertUnique('users', userData);
     const id = this.counters.users++;
     const user = {
       id,
@@ -34,29 +293,20 @@ class InMemoryDatabase {
       password_hash: userData.password_hash,
       role: userData.role || 'user',
       isActive: userData.isActive !== false,
-      createdAt: new Date(),
-      updatedAt: new Date()
+      reuse_existing: userData.reuse_existing === true,
+      created_at: userData.created_at || new Date(),
+      updated_at: userData.created_at || new Date(),
+      deleted_at: null
     };
-    this.users.set(id, user);
-    return user;
+    return this.put('users', user);
   }
 
   async findUserByEmail(email) {
-    for (const user of this.users.values()) {
-      if (user.email === email) {
-        return user;
-      }
-    }
-    return null;
+    return this.users.get(this.indexes.users.email.get(email)) || null;
   }
 
   async findUserByUsername(username) {
-    for (const user of this.users.values()) {
-      if (user.username === username) {
-        return user;
-      }
-    }
-    return null;
+    return this.users.get(this.indexes.users.username.get(username)) || null;
   }
 
   async findUserById(id) {
@@ -64,16 +314,25 @@ class InMemoryDatabase {
   }
 
   async updateUser(id, updates) {
+    await this.transactions.gate();
     const user = this.users.get(id);
     if (!user) return null;
     
-    Object.assign(user, updates, { updatedAt: new Date() });
-    this.users.set(id, user);
-    return user;
+    // Validate before mutating so a conflict leaves the record untouched
+    this.assertValidDates('users', updates);
+    this.assertUnique('users', { ...user, ...updates });
+    this.track('users', id);
+    Object.assign(user, updates, { updated_at: new Date() });
+    return this.put('users', user);
   }
 
   async deleteUser(id) {
-    return this.users.delete(id);
+    await this.transactions.gate();
+    // Cascade to the user's URLs, matching the SQLite foreign keys
+    for (const url of await this.findUrlsByUserId(id)) {
+      await this.deleteUrl(url.id);
+    }
+    return this.remove('users', id);
   }
 
   async getAllUsers() {
@@ -82,6 +341,9 @@ class InMemoryDatabase {
 
   // URL operations
   async createUrl(urlData) {
+    await this.transactions.gate();
+    this.assertValidDates('urls', urlData);
+    this.assertUnique('urls', urlData);
     const id = this.counters.urls++;
     const url = {
       id,
@@ -92,21 +354,24 @@ class InMemoryDatabase {
       description: urlData.description || null,
       is_active: urlData.is_active !== false,
       expires_at: urlData.expires_at || null,
+      redirect_status: urlData.redirect_status || DEFAULT_REDIRECT_STATUS,
+      password_hash: urlData.password_hash || null,
+      interstitial: urlData.interstitial === true,
+      max_clicks: urlData.max_clicks || null,
+      starts_at: urlData.starts_at || null,
+      schedule: urlData.schedule || null,
+      targeting_rules: urlData.targeting_rules || null,
       click_count: 0,
-      createdAt: new Date(),
-      updatedAt: new Date()
+      merged_into_id: null,
+      created_at: urlData.created_at || new Date(),
+      updated_at: urlData.created_at || new Date(),
+      deleted_at: null
     };
-    this.urls.set(id, url);
-    return url;
+    return this.put('urls', url);
   }
 
   async findUrlByShortCode(shortCode) {
-    for (const url of this.urls.values()) {
-      if (url.short_url === shortCode) {
-        return url;
-      }
-    }
-    return null;
+    return this.urls.get(this.indexes.urls.short_url.get(shortCode)) || null;
   }
 
   async findUrlById(id) {
@@ -114,20 +379,38 @@ class InMemoryDatabase {
   }
 
   async findUrlsByUserId(userId) {
-    return Array.from(this.urls.values()).filter(url => url.user_id === userId);
+    return this.pick('urls', this.indexes.urls.user_id.get(userId));
+  }
+
+  // URLs whose short code folds to `folded` (see config/shortCodes.js)
+  async findUrlsByFoldedCode(folded) {
+    return this.pick('urls', this.indexes.urls.folded.get(folded));
   }
 
   async updateUrl(id, updates) {
+    await this.transactions.gate();
     const url = this.urls.get(id);
     if (!url) return null;
     
-    Object.assign(url, updates, { updatedAt: new Date() });
-    this.urls.set(id, url);
-    return url;
+    // Validate before mutating so a conflict leaves the record untouched
+    this.assertValidDates('urls', updates);
+    this.assertUnique('urls', { ...url, ...updates });
+    this.track('urls', id);
+    Object.assign(url, updates, { updated_at: new Date() });
+    return this.put('urls', url);
   }
 
   async deleteUrl(id) {
-    return this.urls.delete(id);
+    await this.transactions.gate();
+    // Cascade to the URL's clicks, rollups and merged duplicates, matching the SQLite foreign keys
+    for (const mergedId of this.indexes.urls.merged_into_id.get(id)) {
+      await this.deleteUrl(mergedId);
+    }
+    for (const click of await this.findClicksByUrlId(id)) {
+      this.remove('clicks', click.id);
+    }
+    this.indexes.click_rollups.url_id.get(id).forEach(rollupId => this.remove('click_rollups', rollupId));
+    return this.remove('urls', id);
   }
 
   async getAllUrls() {
@@ -135,7 +418,15 @@ class InMemoryDatabase {
   }
 
   // Click operations
+  // Returns null, recording nothing, when the URL has used up its max_clicks;
+  // the check and the count happen in one tick, so concurrent clicks cannot overshoot
   async createClick(clickData) {
+    await this.transactions.gate();
+    const url = this.urls.get(clickData.url_id);
+    if (url && url.max_clicks && (url.click_count || 0) >= url.max_clicks) {
+      return null;
+    }
+
     const id = this.counters.clicks++;
     const click = {
       id,
@@ -148,32 +439,209 @@ class InMemoryDatabase {
       browser: clickData.browser,
       os: clickData.os,
       device_type: clickData.device_type,
-      createdAt: new Date()
+      schedule_slot: clickData.schedule_slot === undefined ? null : clickData.schedule_slot,
+      targeting_rule: clickData.targeting_rule === undefined ? null : clickData.targeting_rule,
+      date_time: clickData.date_time || new Date()
     };
-    this.clicks.set(id, click);
+    this.put('clicks', click);
+    this.rollUp(click);
     
     // Update click count for URL
-    const url = this.urls.get(clickData.url_id);
     if (url) {
+      this.track('urls', url.id);
       url.click_count = (url.click_count || 0) + 1;
-      this.urls.set(clickData.url_id, url);
+      this.put('urls', url);
     }
     
     return click;
   }
 
   async findClicksByUrlId(urlId) {
-    return Array.from(this.clicks.values()).filter(click => click.url_id === urlId);
+    return this.pick('clicks', this.indexes.clicks.url_id.get(urlId));
+  }
+
+  async findClickById(id) {
+    return this.clicks.get(id) || null;
+  }
+
+  async deleteClick(id) {
+    await this.transactions.gate();
+    return this.remove('clicks', id);
+  }
+
+  async getAllClicks() {
+    return Array.from(this.clicks.values());
   }
 
   async getClicksByPeriod(urlId, period = 'day') {
-    const clicks = this.findClicksByUrlId(urlId);
-    // Simple mock data for now
+    const startDate = new Date(Date.now() - (PERIOD_MS[period] || PERIOD_MS.day));
+    return this.indexes.clicks.url_id.range(urlId, startDate).length;
+  }
+
+  // Re-point one URL's clicks, rollups and click count at another URL
+  async moveClicks(fromUrlId, toUrlId) {
+    await this.transactions.gate();
+    const from = this.urls.get(fromUrlId);
+    const to = this.urls.get(toUrlId);
+    if (!from || !to) return 0;
+
+    const clicks = await this.findClicksByUrlId(fromUrlId);
+    clicks.forEach(click => this.put('clicks', { ...click, url_id: toUrlId }));
+
+    // Counters sharing a key with one of the target's are added to it
+    this.indexes.click_rollups.url_id.get(fromUrlId).forEach(rollupId => {
+      const rollup = this.click_rollups.get(rollupId);
+      const moved = { ...rollup, url_id: toUrlId };
+      const existing = this.click_rollups.get(this.indexes.click_rollups.key.get(rollupKey(moved)));
+      if (existing) {
+        this.track('click_rollups', existing.id);
+        existing.count += rollup.count;
+        this.put('click_rollups', existing);
+        this.remove('click_rollups', rollupId);
+      } else {
+        this.put('click_rollups', moved);
+      }
+    });
+
+    this.track('urls', toUrlId);
+    to.click_count = (to.click_count || 0) + (from.click_count || 0);
+    this.put('urls', to);
+    this.track('urls', fromUrlId);
+    from.click_count = 0;
+    this.put('urls', from);
     return clicks.length;
   }
 
+  // Delete raw clicks older than `before`; counters and rollups keep them counted
+  async pruneClicks(before) {
+    await this.transactions.gate();
+    let pruned = 0;
+    for (const urlId of this.urls.keys()) {
+      this.indexes.clicks.url_id.range(urlId, null, before).forEach(clickId => {
+        if (this.remove('clicks', clickId)) pruned++;
+      });
+    }
+    return pruned;
+  }
+
+  // Rollup operations
+  // Increment the click's hourly and daily rollup rows
+  rollUp(click) {
+    rollupEntries(click).forEach(entry => {
+      const rollup = { url_id: click.url_id, ...entry };
+      const existing = this.click_rollups.get(this.indexes.click_rollups.key.get(rollupKey(rollup)));
+      if (existing) {
+        this.track('click_rollups', existing.id);
+        existing.count++;
+        this.put('click_rollups', existing);
+      } else {
+        this.put('click_rollups', { id: this.counters.click_rollups++, ...rollup, count: 1 });
+      }
+    });
+  }
+
+  /**
+   * Rollup rows of one granularity and dimension, oldest bucket first
+   * @param {Object} filter - { url_id (omit for every URL), granularity, dimension, from, to }
+   * @returns {Promise<Array<Object>>}
+   */
+  async findClickRollups({ url_id, granularity, dimension, from, to }) {
+    const ids = url_id === undefined || url_id === null
+      ? this.indexes.click_rollups.all.range(`${granularity}|${dimension}`, from, to)
+      : this.indexes.click_rollups.series.range(`${url_id}|${granularity}|${dimension}`, from, to);
+    return this.pick('click_rollups', ids);
+  }
+
+  // Word list operations
+  async findWords(list) {
+    return this.pick('word_lists', this.indexes.word_lists.list.get(list));
+  }
+
+  async addWord(list, word) {
+    await this.transactions.gate();
+    const entry = { id: this.counters.word_lists, list, word, created_at: new Date() };
+    this.assertUnique('word_lists', entry);
+    this.counters.word_lists++;
+    return this.put('word_lists', entry);
+  }
+
+  async removeWord(list, word) {
+    await this.transactions.gate();
+    const id = this.indexes.word_lists.word.get(`${list}|${word}`);
+    return id !== undefined && this.remove('word_lists', id);
+  }
+
+  // Sequence operations
+  // Claim the next value of a named sequence, starting at 0
+  async nextSequence(name) {
+    await this.transactions.gate();
+    const sequence = this.sequences.get(this.indexes.sequences.name.get(name));
+    if (!sequence) {
+      this.put('sequences', { id: this.counters.sequences++, name, value: 1 });
+      return 0;
+    }
+    this.track('sequences', sequence.id);
+    sequence.value++;
+    this.put('sequences', sequence);
+    return sequence.value - 1;
+  }
+
+  // Number of values a sequence has issued
+  async getSequence(name) {
+    const sequence = this.sequences.get(this.indexes.sequences.name.get(name));
+    return sequence ? sequence.value : 0;
+  }
+
+  // Idempotency key operations
+  async findIdempotencyKey(scope, key) {
+    return this.idempotency_keys.get(this.indexes.idempotency_keys.key.get(`${scope}|${key}`)) || null;
+  }
+
+  async createIdempotencyKey(entryData) {
+    await this.transactions.gate();
+    const now = new Date();
+    const entry = {
+      id: this.counters.idempotency_keys,
+      scope: entryData.scope,
+      key: entryData.key,
+      fingerprint: entryData.fingerprint,
+      status: null,
+      response: null,
+      created_at: now,
+      updated_at: now,
+      expires_at: entryData.expires_at
+    };
+    this.assertUnique('idempotency_keys', entry);
+    this.counters.idempotency_keys++;
+    return this.put('idempotency_keys', entry);
+  }
+
+  async updateIdempotencyKey(id, updates) {
+    await this.transactions.gate();
+    const entry = this.idempotency_keys.get(id);
+    if (!entry) return null;
+    this.track('idempotency_keys', id);
+    Object.assign(entry, updates, { updated_at: new Date() });
+    return this.put('idempotency_keys', entry);
+  }
+
+  async deleteIdempotencyKey(id) {
+    await this.transactions.gate();
+    return this.remove('idempotency_keys', id);
+  }
+
+  // Delete keys that expired before `before`
+  async pruneIdempotencyKeys(before) {
+    await this.transactions.gate();
+    let pruned = 0;
+    for (const entry of Array.from(this.idempotency_keys.values())) {
+      if (entry.expires_at < before && this.remove('idempotency_keys', entry.id)) pruned++;
+    }
+    return pruned;
+  }
+
   async getTopReferrers(urlId, limit = 10) {
-    const clicks = this.findClicksByUrlId(urlId);
+    const clicks = await this.findClicksByUrlId(urlId);
     const referrers = {};
     
     clicks.forEach(click => {
@@ -190,6 +658,31 @@ class InMemoryDatabase {
 }
 
 // Create singleton instance
-const database = new InMemoryDatabase();
+// A DB_PATH selects the persistent SQLite store; tests and setups without a
+// DB_PATH (or with DB_PATH=:memory:) keep everything in memory, unless tests
+// name a DB_DRIVER. DB_DRIVER=memory keeps the in-memory store regardless,
+// journaled to DB_JOURNAL_DIR when that is set.
+const createDatabase = () => {
+  const dbPath = process.env.DB_PATH;
+  const driver = process.env.DB_DRIVER || (dbPath && dbPath !== ':memory:' ? 'sqlite' : 'memory');
+
+  if (process.env.NODE_ENV === 'test' && !process.env.DB_DRIVER) {
+    return new InMemoryDatabase();
+  }
+
+  if (driver === 'memory') {
+    return new InMemoryDatabase({
+      journalDir: process.env.DB_JOURNAL_DIR,
+      flushInterval: parseInt(process.env.DB_JOURNAL_FLUSH_MS) || undefined,
+      snapshotThreshold: parseInt(process.env.DB_SNAPSHOT_THRESHOLD) || undefined
+    });
+  }
+
+  const SqliteDatabase = require('./sqliteDatabase');
+  return new SqliteDatabase(dbPath);
+};
+
+const database = createDatabase();
 
-module.exports = database; 
\ No newline at end of file
+module.exports = database;
+module.exports.InMemoryDatabase = InMemoryDatabase; 
\ No newline at end of file
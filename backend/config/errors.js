@@ -0,0 +1,29 @@
+// Errors raised by the database stores
+
+// A write would duplicate a value in a unique column (short_url, email, username)
+class UniqueConstraintError extends Error {
+  constructor(table, field, value) {
+    super(`${table}.${field} must be unique: "${value}" is already taken`);
+    this.name = 'UniqueConstraintError';
+    this.table = table;
+    this.field = field;
+    this.value = value;
+    this.status = 409;
+  }
+}
+
+// A write carries a value its column cannot hold, such as an invalid date
+class ValidationError extends Error {
+  constructor(table, field, message) {
+    super(`${table}.${field} ${message}`);
+    this.name = 'ValidationError';
+    this.table = table;
+    this.field = field;
+    this.status = 400;
+  }
+}
+
+module.exports = {
+  UniqueConstraintError,
+  ValidationError
+};
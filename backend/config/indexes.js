@@ -0,0 +1,170 @@
+// Secondary indexes for InMemoryDatabase
+// Each index keeps a reverse map from record id to its indexed key, so a
+// record can be re-indexed after an in-place update without knowing its
+// previous values. The key is `field` of the record unless a `key` function
+// computing it is given.
+
+const fieldReader = field => record => record[field];
+
+// One record per key (short_url, email, username)
+class UniqueIndex {
+  constructor(field, key = fieldReader(field)) {
+    this.field = field;
+    this.key = key;
+    this.ids = new Map();
+    this.keys = new Map();
+  }
+
+  // Id of the record holding `key`, if any
+  get(key) {
+    return this.ids.get(key);
+  }
+
+  conflicts(record) {
+    const key = this.key(record);
+    if (key === null || key === undefined) return false;
+    const owner = this.ids.get(key);
+    return owner !== undefined && owner !== record.id;
+  }
+
+  set(record) {
+    this.delete(record.id);
+    const key = this.key(record);
+    if (key === null || key === undefined) return;
+    this.ids.set(key, record.id);
+    this.keys.set(record.id, key);
+  }
+
+  delete(id) {
+    if (!this.keys.has(id)) return;
+    this.ids.delete(this.keys.get(id));
+    this.keys.delete(id);
+  }
+
+  clear() {
+    this.ids.clear();
+    this.keys.clear();
+  }
+}
+
+// Many records per key (user_id)
+class MultiIndex {
+  constructor(field, key = fieldReader(field)) {
+    this.field = field;
+    this.key = key;
+    this.groups = new Map();
+    this.keys = new Map();
+  }
+
+  // Ids of the records holding `key`, in insertion order
+  get(key) {
+    return Array.from(this.groups.get(key) || []);
+  }
+
+  set(record) {
+    const key = this.key(record);
+    // Keep the record's place when its key is unchanged
+    if (this.keys.has(record.id) && this.keys.get(record.id) === key) return;
+
+    this.delete(record.id);
+    if (key === null || key === undefined) return;
+    if (!this.groups.has(key)) this.groups.set(key, new Set());
+    this.groups.get(key).add(record.id);
+    this.keys.set(record.id, key);
+  }
+
+  delete(id) {
+    if (!this.keys.has(id)) return;
+    const key = this.keys.get(id);
+    const group = this.groups.get(key);
+    group.delete(id);
+    if (!group.size) this.groups.delete(key);
+    this.keys.delete(id);
+  }
+
+  clear() {
+    this.groups.clear();
+    this.keys.clear();
+  }
+}
+
+// Many records per key, kept ordered by a date field (clicks by url_id, date_time)
+class SortedIndex {
+  constructor(field, sortField, key = fieldReader(field)) {
+    this.field = field;
+    this.sortField = sortField;
+    this.key = key;
+    this.groups = new Map();
+    this.entries = new Map();
+  }
+
+  // First position in `list` whose time is >= `time` (or > when `after` is set)
+  static search(list, time, after = false) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (list[middle].time < time || (after && list[middle].time === time)) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  // Ids of the records holding `key`, oldest first
+  get(key) {
+    return (this.groups.get(key) || []).map(entry => entry.id);
+  }
+
+  /**
+   * Ids of the records holding `key` within a time range
+   * @param {*} key - Indexed value
+   * @param {Date} [from] - Inclusive lower bound
+   * @param {Date} [to] - Exclusive upper bound
+   * @returns {Array<number>}
+   */
+  range(key, from, to) {
+    const list = this.groups.get(key) || [];
+    const start = from ? SortedIndex.search(list, new Date(from).getTime()) : 0;
+    const end = to ? SortedIndex.search(list, new Date(to).getTime()) : list.length;
+    return list.slice(start, end).map(entry => entry.id);
+  }
+
+  set(record) {
+    this.delete(record.id);
+    const key = this.key(record);
+    if (key === null || key === undefined) return;
+
+    const entry = { id: record.id, key, time: new Date(record[this.sortField]).getTime() };
+    if (!this.groups.has(key)) this.groups.set(key, []);
+    const list = this.groups.get(key);
+    // New clicks are almost always the latest, so this is usually an append
+    list.splice(SortedIndex.search(list, entry.time, true), 0, entry);
+    this.entries.set(record.id, entry);
+  }
+
+  delete(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    const list = this.groups.get(entry.key);
+    let position = SortedIndex.search(list, entry.time);
+    while (list[position].id !== id) position++;
+    list.splice(position, 1);
+    if (!list.length) this.groups.delete(entry.key);
+    this.entries.delete(id);
+  }
+
+  clear() {
+    this.groups.clear();
+    this.entries.clear();
+  }
+}
+
+module.exports = {
+  UniqueIndex,
+  MultiIndex,
+  SortedIndex
+};
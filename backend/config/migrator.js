@@ -0,0 +1,133 @@
+// Versioned schema migrations for the SQLite store
+// Migrations live in backend/migrations as NNN_description.js modules that
+// export up(db) and down(db). Applied versions are recorded in the
+// schema_migrations table; each migration runs in its own transaction.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+  constructor(db, directory = MIGRATIONS_DIR) {
+    this.db = db;
+    this.directory = directory;
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Migrations found on disk, ordered by version
+   * @returns {Array<{version: number, name: string, id: string, file: string}>}
+   */
+  migrations() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .map(file => {
+        const match = file.match(MIGRATION_FILE);
+        if (!match) return null;
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          id: file.replace(/\.js$/, ''),
+          file: path.join(this.directory, file)
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  applied() {
+    return new Map(
+      this.db.prepare('SELECT version, applied_at FROM schema_migrations').all()
+        .map(row => [row.version, row.applied_at])
+    );
+  }
+
+  /**
+   * Every known migration with its applied state
+   * @returns {Array<Object>}
+   */
+  status() {
+    const applied = this.applied();
+    const known = this.migrations();
+    const statuses = known.map(migration => ({
+      ...migration,
+      applied: applied.has(migration.version),
+      applied_at: applied.get(migration.version) || null
+    }));
+
+    // Versions recorded in the database whose file has since disappeared
+    applied.forEach((appliedAt, version) => {
+      if (!known.some(migration => migration.version === version)) {
+        statuses.push({ version, name: null, id: `${version}_missing`, file: null, applied: true, applied_at: appliedAt, missing: true });
+      }
+    });
+
+    return statuses.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Apply pending migrations in version order
+   * @param {Object} options - { to: highest version to apply }
+   * @returns {Array<Object>} - Migrations that were applied
+   */
+  up(options = {}) {
+    const applied = this.applied();
+    const pending = this.migrations().filter(migration =>
+      !applied.has(migration.version) && (options.to === undefined || migration.version <= options.to)
+    );
+
+    pending.forEach(migration => {
+      const { up } = require(migration.file);
+      this.db.transaction(() => {
+        up(this.db);
+        this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, new Date().toISOString());
+      })();
+    });
+
+    return pending;
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} options - { to: keep this version and below } or { steps: how many to revert, default 1 }
+   * @returns {Array<Object>} - Migrations that were reverted
+   */
+  down(options = {}) {
+    const applied = this.applied();
+    let targets = this.migrations()
+      .filter(migration => applied.has(migration.version))
+      .reverse();
+
+    if (options.to !== undefined) {
+      targets = targets.filter(migration => migration.version > options.to);
+    } else {
+      targets = targets.slice(0, options.steps || 1);
+    }
+
+    targets.forEach(migration => {
+      const { down } = require(migration.file);
+      if (typeof down !== 'function') {
+        throw new Error(`Migration ${migration.id} cannot be reverted (no down function)`);
+      }
+      this.db.transaction(() => {
+        down(this.db);
+        this.db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+      })();
+    });
+
+    return targets;
+  }
+}
+
+module.exports = Migrator;
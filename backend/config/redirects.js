@@ -0,0 +1,45 @@
+// Redirect statuses a link may answer with, shared by the validators, stores and redirect
+// 301 and 308 are permanent: browsers and proxies may cache them, so later
+// clicks skip the server (and analytics) and edits to the destination reach
+// returning visitors only once the cache expires. 302 and 307 are asked
+// again every time. 307 and 308 also keep the request method and body.
+
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+const PERMANENT_REDIRECT_STATUSES = [301, 308];
+const DEFAULT_REDIRECT_STATUS = 302;
+
+/**
+ * Status a link redirects with; links stored without one use the default
+ * @param {Object} url
+ * @returns {number}
+ */
+const redirectStatus = (url) => (
+  REDIRECT_STATUSES.includes(url.redirect_status) ? url.redirect_status : DEFAULT_REDIRECT_STATUS
+);
+
+/**
+ * Cache-Control header for a redirect status
+ * Permanent redirects may be cached for PERMANENT_REDIRECT_MAX_AGE seconds
+ * (default one day), but not past the link's expiry; temporary ones are never stored.
+ * @param {number} status
+ * @param {string|Date|null} [expiresAt] - When the link stops redirecting
+ * @param {Date} [now]
+ * @returns {string}
+ */
+const redirectCacheControl = (status, expiresAt = null, now = new Date()) => {
+  if (!PERMANENT_REDIRECT_STATUSES.includes(status)) return 'private, no-store';
+  const configured = parseInt(process.env.PERMANENT_REDIRECT_MAX_AGE, 10);
+  let maxAge = Number.isInteger(configured) && configured >= 0 ? configured : 86400;
+  if (expiresAt) {
+    maxAge = Math.min(maxAge, Math.max(0, Math.floor((new Date(expiresAt) - now) / 1000)));
+  }
+  return `public, max-age=${maxAge}`;
+};
+
+module.exports = {
+  REDIRECT_STATUSES,
+  PERMANENT_REDIRECT_STATUSES,
+  DEFAULT_REDIRECT_STATUS,
+  redirectStatus,
+  redirectCacheControl
+};
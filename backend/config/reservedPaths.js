@@ -0,0 +1,18 @@
+// Top-level paths that are never short codes, shared by the alias rules and
+// the frontend server, which routes a root path to the app or to a short link
+
+// Pages of the React app; they win over a short code of the same name
+const APP_ROUTES = ['admin', 'analytics', 'dashboard', 'login', 'profile', 'register', 'urls'];
+
+// Paths the backend and the frontend serve themselves; an alias equal to one
+// of them would be unreachable or would shadow the page. Always reserved.
+const BUILT_IN_RESERVED = [...new Set([
+  ...APP_ROUTES,
+  'about', 'api', 'app', 'assets', 'auth', 'docs', 'favicon', 'health', 'help',
+  'logout', 'privacy', 'robots', 'settings', 'signup', 'static', 'terms', 'www'
+])].sort();
+
+module.exports = {
+  APP_ROUTES,
+  BUILT_IN_RESERVED
+};
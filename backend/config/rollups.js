@@ -0,0 +1,50 @@
+// Click rollups shared by both stores
+// Every click increments one counter per granularity and dimension: an hourly
+// and a daily bucket, each with a 'total' row plus one row per value of the
+// referrer, device type, country, browser and OS it carries. Rollups outlive
+// the raw clicks they were built from (see services/analyticsService.js).
+
+const GRANULARITIES = ['hour', 'day'];
+
+// 'total' counts every click; the others are clicks columns
+const DIMENSIONS = ['total', 'referer', 'device_type', 'country', 'browser', 'os'];
+
+// Start of the UTC hour or day containing `date`
+const bucketStart = (date, granularity) => {
+  const bucket = new Date(date);
+  if (granularity === 'day') {
+    bucket.setUTCHours(0, 0, 0, 0);
+  } else {
+    bucket.setUTCMinutes(0, 0, 0);
+  }
+  return bucket;
+};
+
+/**
+ * The rollup rows a click increments
+ * @param {Object} click - Click record with date_time and the dimension columns
+ * @returns {Array<{granularity: string, bucket: Date, dimension: string, value: string|null}>}
+ */
+const rollupEntries = (click) => {
+  const entries = [];
+  GRANULARITIES.forEach(granularity => {
+    const bucket = bucketStart(click.date_time, granularity);
+    DIMENSIONS.forEach(dimension => {
+      const value = dimension === 'total' ? null : click[dimension];
+      entries.push({ granularity, bucket, dimension, value: value === undefined || value === '' ? null : value });
+    });
+  });
+  return entries;
+};
+
+// Identity of a rollup row: one counter per URL, granularity, bucket, dimension and value
+const rollupKey = (rollup) =>
+  [rollup.url_id, rollup.granularity, new Date(rollup.bucket).toISOString(), rollup.dimension, rollup.value === null ? '' : rollup.value].join('|');
+
+module.exports = {
+  GRANULARITIES,
+  DIMENSIONS,
+  bucketStart,
+  rollupEntries,
+  rollupKey
+};
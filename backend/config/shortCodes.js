@@ -0,0 +1,43 @@
+// Short-code folding and check characters, shared by the stores and services
+// Folding maps a code to the form a person retyping it would likely produce
+// it in: lowercase, with o/0, i/l/1 and u/v merged. Codes that fold alike
+// are candidates for each other on a mistyped lookup.
+
+// Every character of a folded code (Crockford's base32 alphabet)
+const FOLDED_ALPHABET = '0123456789abcdefghjkmnpqrstvwxyz';
+const CHECK_MODULUS = FOLDED_ALPHABET.length;
+
+// Every sequential code starts with this; aliases and other algorithms may
+// not, so a sequential code is free without a lookup (see algorithms/sequential.js)
+const SEQUENTIAL_PREFIX = '_';
+
+const isSequentialCode = (code) => String(code).startsWith(SEQUENTIAL_PREFIX);
+
+const foldCode = (code) => String(code).toLowerCase().replace(/o/g, '0').replace(/[il]/g, '1').replace(/u/g, 'v');
+
+/**
+ * Check character of a code body (ISO 7064 hybrid system over the folded alphabet)
+ * Computed on the folded body, so it catches any single mistyped character and
+ * nearly every swap of neighbours, but not a case, o/0, i/l/1 or u/v mix-up,
+ * which folding recovers from instead.
+ * Hyphens and underscores do not count.
+ * @param {string} body
+ * @returns {string}
+ */
+const checkCharacter = (body) => {
+  let product = CHECK_MODULUS;
+  for (const char of foldCode(body).replace(/[-_]/g, '')) {
+    let sum = (product + FOLDED_ALPHABET.indexOf(char) + 1) % CHECK_MODULUS;
+    if (sum === 0) sum = CHECK_MODULUS;
+    product = (sum * 2) % (CHECK_MODULUS + 1);
+  }
+  return FOLDED_ALPHABET[(CHECK_MODULUS + 1 - product) % CHECK_MODULUS];
+};
+
+module.exports = {
+  FOLDED_ALPHABET,
+  SEQUENTIAL_PREFIX,
+  isSequentialCode,
+  foldCode,
+  checkCharacter
+};
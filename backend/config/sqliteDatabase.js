@@ -0,0 +1,603 @@
+// SQLite database for persistent storage
+// Implements the same interface as InMemoryDatabase so the model adapters
+// in models/index.js work against either store
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const Migrator = require('./migrator');
+const Transactions = require('./transactions');
+const { UniqueConstraintError, ValidationError } = require('./errors');
+const { rollupEntries } = require('./rollups');
+const { foldCode } = require('./shortCodes');
+const { DEFAULT_REDIRECT_STATUS } = require('./redirects');
+
+const PERIOD_MS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+// Tables in dependency order: rows only reference tables listed before them
+const TABLES = ['users', 'urls', 'clicks', 'click_rollups', 'word_lists', 'sequences', 'idempotency_keys'];
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Columns that update* calls are allowed to write
+const UPDATABLE_COLUMNS = {
+  users: ['username', 'email', 'password_hash', 'role', 'isActive', 'reuse_existing', 'deleted_at'],
+  urls: ['original_url', 'short_url', 'folded_code', 'user_id', 'title', 'description', 'is_active', 'expires_at', 'redirect_status', 'password_hash', 'interstitial', 'max_clicks', 'starts_at', 'schedule', 'targeting_rules', 'click_count', 'merged_into_id', 'deleted_at'],
+  idempotency_keys: ['status', 'response']
+};
+
+// SQLite has no native boolean/date/list types: store 1/0, ISO strings and JSON text
+const toColumnValue = (value, table, column) => {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new ValidationError(table, column, 'must be a valid date');
+    return value.toISOString();
+  }
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (Array.isArray(value)) return JSON.stringify(value);
+  if (value === undefined) return null;
+  return value;
+};
+
+// Report unique violations the same way InMemoryDatabase does
+// SQLite's message reads "UNIQUE constraint failed: table.column"
+const translateError = (error, values) => {
+  if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+    const [table, field] = error.message.split(': ')[1].split(', ')[0].split('.');
+    return new UniqueConstraintError(table, field, values[field]);
+  }
+  return error;
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+const rowToUser = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    isActive: Boolean(row.isActive),
+    reuse_existing: Boolean(row.reuse_existing),
+    created_at: toDate(row.created_at),
+    updated_at: toDate(row.updated_at),
+    deleted_at: toDate(row.deleted_at)
+  };
+};
+
+// folded_code only serves lookups and is derived from short_url
+const rowToUrl = (row) => {
+  if (!row) return null;
+  const { folded_code, ...url } = row;
+  return {
+    ...url,
+    is_active: Boolean(row.is_active),
+    interstitial: Boolean(row.interstitial),
+    schedule: row.schedule ? JSON.parse(row.schedule) : null,
+    targeting_rules: row.targeting_rules ? JSON.parse(row.targeting_rules) : null,
+    expires_at: toDate(row.expires_at),
+    starts_at: toDate(row.starts_at),
+    created_at: toDate(row.created_at),
+    updated_at: toDate(row.updated_at),
+    deleted_at: toDate(row.deleted_at)
+  };
+};
+
+const rowToClick = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    date_time: toDate(row.date_time)
+  };
+};
+
+const rowToRollup = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    bucket: toDate(row.bucket),
+    value: row.value === '' ? null : row.value
+  };
+};
+
+const rowToWord = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    created_at: toDate(row.created_at)
+  };
+};
+
+// The stored response body is JSON text
+const rowToIdempotencyKey = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    response: row.response === null ? null : JSON.parse(row.response),
+    created_at: toDate(row.created_at),
+    updated_at: toDate(row.updated_at),
+    expires_at: toDate(row.expires_at)
+  };
+};
+
+const ROW_MAPPERS = {
+  users: rowToUser,
+  urls: rowToUrl,
+  clicks: rowToClick,
+  click_rollups: rowToRollup,
+  word_lists: rowToWord,
+  sequences: (row) => row,
+  idempotency_keys: rowToIdempotencyKey
+};
+
+class SqliteDatabase {
+  constructor(filename) {
+    this.driver = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+
+    // better-sqlite3 runs statements synchronously on one connection, so an
+    // open transaction spans every statement until COMMIT; Transactions keeps
+    // other requests' writes out of it (their reads may see its rows)
+    this.transactions = new Transactions({
+      begin: () => this.connection().exec('BEGIN IMMEDIATE'),
+      commit: () => this.connection().exec('COMMIT'),
+      rollback: () => {
+        if (this.db && this.db.inTransaction) this.db.exec('ROLLBACK');
+      }
+    });
+  }
+
+  // Open the database file lazily so requiring this module has no side effects
+  connection() {
+    if (!this.db) {
+      fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+      this.db = new Database(this.filename);
+      // The default rollback journal is used instead of WAL because the
+      // data directory may live on EFS, which lacks the shared memory WAL needs
+      this.db.pragma('foreign_keys = ON');
+      this.db.pragma('busy_timeout = 5000');
+    }
+    return this.db;
+  }
+
+  async authenticate() {
+    this.connection().prepare('SELECT 1').get();
+    console.log(`✅ SQLite database ready (${this.filename})`);
+  }
+
+  // Bring the schema up to date by applying pending migrations
+  async sync(options = {}) {
+    const applied = new Migrator(this.connection()).up();
+    applied.forEach(migration => console.log(`⬆️  Applied migration ${migration.id}`));
+    console.log('✅ SQLite database tables synchronized');
+  }
+
+  /**
+   * Run `callback` atomically: every write it makes is rolled back if it throws
+   * @param {Function} callback - Async function doing the work
+   * @returns {Promise<*>} - The callback's result
+   */
+  async transaction(callback) {
+    return this.transactions.run(callback);
+  }
+
+  // Writes are durable once their statement completes; nothing is buffered
+  async flush() {}
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    console.log('📴 SQLite database connection closed');
+  }
+
+  // Shared helpers
+  insert(table, record) {
+    const columns = Object.keys(record);
+    try {
+      const result = this.connection()
+        .prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+        .run(...columns.map(column => toColumnValue(record[column], table, column)));
+      return Number(result.lastInsertRowid);
+    } catch (error) {
+      throw translateError(error, record);
+    }
+  }
+
+  update(table, id, updates) {
+    const columns = Object.keys(updates).filter(column => UPDATABLE_COLUMNS[table].includes(column));
+    const assignments = [...columns.map(column => `${column} = ?`), 'updated_at = ?'];
+    const values = [...columns.map(column => toColumnValue(updates[column], table, column)), new Date().toISOString()];
+
+    try {
+      const result = this.connection()
+        .prepare(`UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ?`)
+        .run(...values, id);
+      return result.changes > 0;
+    } catch (error) {
+      throw translateError(error, updates);
+    }
+  }
+
+  // Backup
+  // Records of `table` in id order, read in batches so other queries can
+  // run on the connection between them
+  async *exportRecords(table) {
+    const statement = this.connection().prepare(`SELECT * FROM ${table} WHERE id > ? ORDER BY id LIMIT ?`);
+    let lastId = 0;
+    for (;;) {
+      const rows = statement.all(lastId, EXPORT_BATCH_SIZE);
+      for (const row of rows) {
+        yield ROW_MAPPERS[table](row);
+      }
+      if (rows.length < EXPORT_BATCH_SIZE) return;
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  // Next id of every table, from the AUTOINCREMENT sequences
+  async getCounters() {
+    const sequences = new Map(
+      this.connection().prepare('SELECT name, seq FROM sqlite_sequence').all().map(row => [row.name, row.seq])
+    );
+    return Object.fromEntries(TABLES.map(table => [table, (sequences.get(table) || 0) + 1]));
+  }
+
+  /**
+   * Replace every table and the id counters with the given data in one transaction
+   * Callers validate the data first (see services/backupService.js)
+   * @param {Object} data - Records by table name
+   * @param {Object} counters - Next id by table name
+   */
+  async replaceAll(data, counters) {
+    await this.transactions.gate();
+    const db = this.connection();
+
+    db.transaction(() => {
+      [...TABLES].reverse().forEach(table => db.prepare(`DELETE FROM ${table}`).run());
+
+      TABLES.forEach(table => {
+        // Fields this schema does not know about are dropped
+        const columns = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+        (data[table] || []).forEach(record => {
+          const row = Object.fromEntries(Object.entries(record).filter(([column]) => columns.has(column)));
+          if (table === 'click_rollups' && row.value === null) row.value = '';
+          if (table === 'urls') row.folded_code = foldCode(row.short_url);
+          this.insert(table, row);
+        });
+
+        const maxId = (data[table] || []).reduce((max, record) => Math.max(max, record.id), 0);
+        db.prepare('DELETE FROM sqlite_sequence WHERE name = ?').run(table);
+        db.prepare('INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)')
+          .run(table, Math.max(maxId, (counters[table] || 1) - 1));
+      });
+    })();
+  }
+
+  // User operations
+  async createUser(userData) {
+    await this.transactions.gate();
+    const now = userData.created_at || new Date();
+    const id = this.insert('users', {
+      username: userData.username,
+      email: userData.email,
+      password_hash: userData.password_hash,
+      role: userData.role || 'user',
+      isActive: userData.isActive !== false,
+      reuse_existing: userData.reuse_existing === true,
+      created_at: now,
+      updated_at: now
+    });
+    return this.findUserById(id);
+  }
+
+  async findUserByEmail(email) {
+    return rowToUser(this.connection().prepare('SELECT * FROM users WHERE email = ?').get(email));
+  }
+
+  async findUserByUsername(username) {
+    return rowToUser(this.connection().prepare('SELECT * FROM users WHERE username = ?').get(username));
+  }
+
+  async findUserById(id) {
+    return rowToUser(this.connection().prepare('SELECT * FROM users WHERE id = ?').get(id));
+  }
+
+  async updateUser(id, updates) {
+    await this.transactions.gate();
+    if (!this.update('users', id, updates)) return null;
+    return this.findUserById(id);
+  }
+
+  async deleteUser(id) {
+    await this.transactions.gate();
+    return this.connection().prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+  }
+
+  async getAllUsers() {
+    return this.connection().prepare('SELECT * FROM users ORDER BY id').all().map(rowToUser);
+  }
+
+  // URL operations
+  async createUrl(urlData) {
+    await this.transactions.gate();
+    const now = urlData.created_at || new Date();
+    const id = this.insert('urls', {
+      original_url: urlData.original_url,
+      short_url: urlData.short_url,
+      folded_code: foldCode(urlData.short_url),
+      user_id: urlData.user_id || null,
+      title: urlData.title || null,
+      description: urlData.description || null,
+      is_active: urlData.is_active !== false,
+      expires_at: urlData.expires_at || null,
+      redirect_status: urlData.redirect_status || DEFAULT_REDIRECT_STATUS,
+      password_hash: urlData.password_hash || null,
+      interstitial: urlData.interstitial === true,
+      max_clicks: urlData.max_clicks || null,
+      starts_at: urlData.starts_at || null,
+      schedule: urlData.schedule || null,
+      targeting_rules: urlData.targeting_rules || null,
+      click_count: 0,
+      created_at: now,
+      updated_at: now
+    });
+    return this.findUrlById(id);
+  }
+
+  async findUrlByShortCode(shortCode) {
+    return rowToUrl(this.connection().prepare('SELECT * FROM urls WHERE short_url = ?').get(shortCode));
+  }
+
+  async findUrlById(id) {
+    return rowToUrl(this.connection().prepare('SELECT * FROM urls WHERE id = ?').get(id));
+  }
+
+  async findUrlsByUserId(userId) {
+    return this.connection().prepare('SELECT * FROM urls WHERE user_id = ? ORDER BY id').all(userId).map(rowToUrl);
+  }
+
+  // URLs whose short code folds to `folded` (see config/shortCodes.js)
+  async findUrlsByFoldedCode(folded) {
+    return this.connection().prepare('SELECT * FROM urls WHERE folded_code = ? ORDER BY id').all(folded).map(rowToUrl);
+  }
+
+  async updateUrl(id, updates) {
+    await this.transactions.gate();
+    if (updates.short_url !== undefined) {
+      updates = { ...updates, folded_code: foldCode(updates.short_url) };
+    }
+    if (!this.update('urls', id, updates)) return null;
+    return this.findUrlById(id);
+  }
+
+  async deleteUrl(id) {
+    await this.transactions.gate();
+    return this.connection().prepare('DELETE FROM urls WHERE id = ?').run(id).changes > 0;
+  }
+
+  async getAllUrls() {
+    return this.connection().prepare('SELECT * FROM urls ORDER BY id').all().map(rowToUrl);
+  }
+
+  // Click operations
+  // Returns null, recording nothing, when the URL has used up its max_clicks
+  async createClick(clickData) {
+    await this.transactions.gate();
+    const db = this.connection();
+    const dateTime = clickData.date_time || new Date();
+
+    // Bump the URL's counter within its cap and record the click atomically;
+    // the conditional update is what keeps concurrent clicks, even from other
+    // processes, from overshooting the cap
+    const id = db.transaction(() => {
+      const counted = db.prepare(`
+        UPDATE urls SET click_count = click_count + 1
+        WHERE id = ? AND (max_clicks IS NULL OR click_count < max_clicks)
+      `).run(clickData.url_id);
+      if (counted.changes === 0 && db.prepare('SELECT 1 FROM urls WHERE id = ?').get(clickData.url_id)) {
+        return null;
+      }
+
+      const clickId = this.insert('clicks', {
+        url_id: clickData.url_id,
+        ip_address: clickData.ip_address,
+        user_agent: clickData.user_agent,
+        referer: clickData.referer,
+        country: clickData.country,
+        city: clickData.city,
+        browser: clickData.browser,
+        os: clickData.os,
+        device_type: clickData.device_type,
+        schedule_slot: clickData.schedule_slot,
+        targeting_rule: clickData.targeting_rule,
+        date_time: dateTime
+      });
+
+      const rollUp = db.prepare(`
+        INSERT INTO click_rollups (url_id, granularity, bucket, dimension, value, count)
+        VALUES (?, ?, ?, ?, ?, 1)
+        ON CONFLICT (url_id, granularity, dimension, bucket, value) DO UPDATE SET count = count + 1
+      `);
+      rollupEntries({ ...clickData, date_time: dateTime }).forEach(entry => {
+        rollUp.run(clickData.url_id, entry.granularity, entry.bucket.toISOString(), entry.dimension, entry.value === null ? '' : entry.value);
+      });
+      return clickId;
+    })();
+
+    return id === null ? null : rowToClick(db.prepare('SELECT * FROM clicks WHERE id = ?').get(id));
+  }
+
+  async findClicksByUrlId(urlId) {
+    return this.connection().prepare('SELECT * FROM clicks WHERE url_id = ? ORDER BY id').all(urlId).map(rowToClick);
+  }
+
+  async findClickById(id) {
+    return rowToClick(this.connection().prepare('SELECT * FROM clicks WHERE id = ?').get(id));
+  }
+
+  async deleteClick(id) {
+    await this.transactions.gate();
+    return this.connection().prepare('DELETE FROM clicks WHERE id = ?').run(id).changes > 0;
+  }
+
+  async getAllClicks() {
+    return this.connection().prepare('SELECT * FROM clicks ORDER BY id').all().map(rowToClick);
+  }
+
+  async getClicksByPeriod(urlId, period = 'day') {
+    const startDate = new Date(Date.now() - (PERIOD_MS[period] || PERIOD_MS.day));
+    const row = this.connection()
+      .prepare('SELECT COUNT(*) AS count FROM clicks WHERE url_id = ? AND date_time >= ?')
+      .get(urlId, startDate.toISOString());
+    return row.count;
+  }
+
+  // Re-point one URL's clicks, rollups and click count at another URL
+  async moveClicks(fromUrlId, toUrlId) {
+    await this.transactions.gate();
+    const db = this.connection();
+
+    return db.transaction(() => {
+      const moved = db.prepare('UPDATE clicks SET url_id = ? WHERE url_id = ?').run(toUrlId, fromUrlId).changes;
+
+      // Counters sharing a key with one of the target's are added to it
+      db.prepare(`
+        INSERT INTO click_rollups (url_id, granularity, bucket, dimension, value, count)
+        SELECT ?, granularity, bucket, dimension, value, count FROM click_rollups WHERE url_id = ?
+        ON CONFLICT (url_id, granularity, dimension, bucket, value) DO UPDATE SET count = count + excluded.count
+      `).run(toUrlId, fromUrlId);
+      db.prepare('DELETE FROM click_rollups WHERE url_id = ?').run(fromUrlId);
+
+      db.prepare('UPDATE urls SET click_count = click_count + (SELECT click_count FROM urls WHERE id = ?) WHERE id = ?')
+        .run(fromUrlId, toUrlId);
+      db.prepare('UPDATE urls SET click_count = 0 WHERE id = ?').run(fromUrlId);
+      return moved;
+    })();
+  }
+
+  // Delete raw clicks older than `before`; counters and rollups keep them counted
+  async pruneClicks(before) {
+    await this.transactions.gate();
+    return this.connection()
+      .prepare('DELETE FROM clicks WHERE date_time < ?')
+      .run(new Date(before).toISOString())
+      .changes;
+  }
+
+  // Rollup operations
+  async findClickRollups({ url_id, granularity, dimension, from, to }) {
+    const conditions = ['granularity = ?', 'dimension = ?'];
+    const values = [granularity, dimension];
+    if (url_id !== undefined && url_id !== null) {
+      conditions.push('url_id = ?');
+      values.push(url_id);
+    }
+    if (from) {
+      conditions.push('bucket >= ?');
+      values.push(new Date(from).toISOString());
+    }
+    if (to) {
+      conditions.push('bucket < ?');
+      values.push(new Date(to).toISOString());
+    }
+
+    return this.connection()
+      .prepare(`SELECT * FROM click_rollups WHERE ${conditions.join(' AND ')} ORDER BY bucket, id`)
+      .all(...values)
+      .map(rowToRollup);
+  }
+
+  // Word list operations
+  async findWords(list) {
+    return this.connection().prepare('SELECT * FROM word_lists WHERE list = ? ORDER BY id').all(list).map(rowToWord);
+  }
+
+  async addWord(list, word) {
+    await this.transactions.gate();
+    const id = this.insert('word_lists', { list, word, created_at: new Date() });
+    return rowToWord(this.connection().prepare('SELECT * FROM word_lists WHERE id = ?').get(id));
+  }
+
+  async removeWord(list, word) {
+    await this.transactions.gate();
+    return this.connection().prepare('DELETE FROM word_lists WHERE list = ? AND word = ?').run(list, word).changes > 0;
+  }
+
+  // Sequence operations
+  // Claim the next value of a named sequence, starting at 0; one statement, so atomic
+  async nextSequence(name) {
+    await this.transactions.gate();
+    const row = this.connection()
+      .prepare(`
+        INSERT INTO sequences (name, value) VALUES (?, 1)
+        ON CONFLICT (name) DO UPDATE SET value = value + 1
+        RETURNING value
+      `)
+      .get(name);
+    return row.value - 1;
+  }
+
+  // Number of values a sequence has issued
+  async getSequence(name) {
+    const row = this.connection().prepare('SELECT value FROM sequences WHERE name = ?').get(name);
+    return row ? row.value : 0;
+  }
+
+  // Idempotency key operations
+  async findIdempotencyKey(scope, key) {
+    return rowToIdempotencyKey(this.connection().prepare('SELECT * FROM idempotency_keys WHERE scope = ? AND key = ?').get(scope, key));
+  }
+
+  async createIdempotencyKey(entryData) {
+    await this.transactions.gate();
+    const now = new Date();
+    const id = this.insert('idempotency_keys', {
+      scope: entryData.scope,
+      key: entryData.key,
+      fingerprint: entryData.fingerprint,
+      created_at: now,
+      updated_at: now,
+      expires_at: entryData.expires_at
+    });
+    return rowToIdempotencyKey(this.connection().prepare('SELECT * FROM idempotency_keys WHERE id = ?').get(id));
+  }
+
+  async updateIdempotencyKey(id, updates) {
+    await this.transactions.gate();
+    const values = updates.response === undefined ? updates : { ...updates, response: JSON.stringify(updates.response) };
+    if (!this.update('idempotency_keys', id, values)) return null;
+    return rowToIdempotencyKey(this.connection().prepare('SELECT * FROM idempotency_keys WHERE id = ?').get(id));
+  }
+
+  async deleteIdempotencyKey(id) {
+    await this.transactions.gate();
+    return this.connection().prepare('DELETE FROM idempotency_keys WHERE id = ?').run(id).changes > 0;
+  }
+
+  // Delete keys that expired before `before`
+  async pruneIdempotencyKeys(before) {
+    await this.transactions.gate();
+    return this.connection()
+      .prepare('DELETE FROM idempotency_keys WHERE expires_at < ?')
+      .run(new Date(before).toISOString())
+      .changes;
+  }
+
+  async getTopReferrers(urlId, limit = 10) {
+    return this.connection()
+      .prepare(`
+        SELECT referer, COUNT(*) AS count FROM clicks
+        WHERE url_id = ? AND referer IS NOT NULL AND referer != ''
+        GROUP BY referer
+        ORDER BY count DESC
+        LIMIT ?
+      `)
+      .all(urlId, limit);
+  }
+}
+
+module.exports = SqliteDatabase;
@@ -0,0 +1,66 @@
+// Transactions for the database stores
+// One transaction runs at a time. Work inside the callback is recognised
+// across awaits (AsyncLocalStorage), so it writes freely; writes from any
+// other request wait at gate() until the transaction has committed or rolled
+// back, which keeps them out of a transaction that may still be undone.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+class Transactions {
+  /**
+   * @param {Object} hooks - begin() returning the transaction state, commit(state) and rollback(state)
+   */
+  constructor(hooks) {
+    this.hooks = hooks;
+    this.context = new AsyncLocalStorage();
+    this.queue = Promise.resolve();
+    this.active = null;
+  }
+
+  // State of the transaction the caller runs in, if any
+  current() {
+    return this.context.getStore() || null;
+  }
+
+  // Wait until no transaction other than the caller's own is open
+  async gate() {
+    if (this.current()) return;
+    let queue;
+    do {
+      queue = this.queue;
+      await queue;
+    } while (queue !== this.queue);
+  }
+
+  /**
+   * Run `callback` in a transaction: commit when it resolves, roll back when it throws
+   * A transaction started inside another one joins it.
+   * @param {Function} callback - Async function receiving the transaction state
+   * @returns {Promise<*>} - The callback's result
+   */
+  run(callback) {
+    if (this.current()) return callback(this.current());
+
+    const run = this.queue.then(() => {
+      const state = this.hooks.begin();
+      this.active = state;
+      return this.context.run(state, async () => {
+        try {
+          const result = await callback(state);
+          this.hooks.commit(state);
+          return result;
+        } catch (error) {
+          this.hooks.rollback(state);
+          throw error;
+        } finally {
+          this.active = null;
+        }
+      });
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = Transactions;
@@ -0,0 +1,32 @@
+// Visitor vocabulary shared by the click tracker and targeting rules
+// Names match what services/visitorService.js derives from a request, and
+// what targeting rules may ask for (see services/targetingService.js).
+
+const DEVICE_TYPES = ['desktop', 'mobile', 'tablet', 'other'];
+
+// Detected from the User-Agent; the first match wins, so more specific patterns come first
+const OPERATING_SYSTEMS = [
+  ['iPadOS', /iPad/],
+  ['iOS', /iPhone|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux|X11/]
+];
+
+// Chromium-based browsers also claim Chrome and Safari, and Chrome claims Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+module.exports = {
+  DEVICE_TYPES,
+  OPERATING_SYSTEMS,
+  BROWSERS
+};
@@ -1,6 +1,9 @@
 const express = require('express');
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const { createProxyMiddleware, responseInterceptor } = require('http-proxy-middleware');
 const path = require('path');
+const fs = require('fs');
+// Top-level paths of the React app; the backend reserves them as aliases
+const { APP_ROUTES } = require('./config/reservedPaths');
 const app = express();
 
 const PORT = process.env.PORT || 3000;
@@ -106,18 +109,52 @@ app.use('/admin', createProxyMiddleware({
   }
 }));
 
+const serveReactApp = process.env.NODE_ENV === 'production';
+const buildPath = path.join(__dirname, 'frontend/build');
+const indexPath = path.join(__dirname, 'frontend/build/index.html');
+
+// Same format the backend accepts for short codes and aliases; a trailing "+" asks for the link's preview
+const SHORT_CODE_PATTERN = /^[a-zA-Z0-9_-]{1,20}\+?$/;
+
+// Short links at the domain root, as Url.getFullShortUrl advertises them
+// Resolved by the backend redirect at /urls/:shortCode, which records the
+// click; X-Forwarded-For carries the visitor's IP there. An unknown code
+// shows the React app's not-found page to browsers.
+const shortLinkProxy = createProxyMiddleware({
+  target: BACKEND_URL,
+  changeOrigin: true,
+  xfwd: true,
+  pathRewrite: (requestPath) => `/urls${requestPath}`,
+  selfHandleResponse: true,
+  onProxyRes: responseInterceptor(async (body, proxyRes, req, res) => {
+    if (proxyRes.statusCode === 404 && serveReactApp && req.accepts('html') && fs.existsSync(indexPath)) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return fs.readFileSync(indexPath);
+    }
+    return body;
+  }),
+  onError: (err, req, res) => {
+    console.error('Short link proxy error:', err.message);
+    res.status(502).json({ error: 'URL service unavailable' });
+  }
+});
+
+const resolveShortLink = (req, res, next) => {
+  const { shortCode } = req.params;
+  if (APP_ROUTES.includes(shortCode.toLowerCase()) || !SHORT_CODE_PATTERN.test(shortCode)) {
+    return next();
+  }
+  shortLinkProxy(req, res, next);
+};
+
 // Serve React static files in production
-if (process.env.NODE_ENV === 'production') {
+if (serveReactApp) {
   console.log('Serving React static files...');
   
-  const buildPath = path.join(__dirname, 'frontend/build');
-  const indexPath = path.join(__dirname, 'frontend/build/index.html');
-  
   console.log(`Frontend build path: ${buildPath}`);
   console.log(`Index.html path: ${indexPath}`);
   
   // Check if build directory exists
-  const fs = require('fs');
   if (fs.existsSync(buildPath)) {
     console.log('✅ Build directory exists');
     console.log('Build directory contents:', fs.readdirSync(buildPath));
@@ -131,9 +168,16 @@ if (process.env.NODE_ENV === 'production') {
     console.error('❌ Build directory NOT found at:', buildPath);
   }
   
-  // Serve static files from React build
+  // Serve static files from React build; a file wins over a short code
   app.use(express.static(buildPath));
-  
+}
+
+// Short codes come after the static files and before the app's catch-all;
+// POST submits a protected link's password form
+app.get('/:shortCode', resolveShortLink);
+app.post('/:shortCode', resolveShortLink);
+
+if (serveReactApp) {
   // Catch-all handler: serve React app for all non-API routes
   app.get('*', (req, res) => {
     res.sendFile(indexPath);
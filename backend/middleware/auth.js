@@ -27,7 +27,7 @@ const authenticateToken = async (req, res, next) => {
     
     // Get user from database to ensure they still exist and are active
     const user = await User.findByPk(decoded.id);
-    if (!user || !user.isActive) {
+    if (!user || !user.isActive || user.deleted_at) {
       return res.status(401).json({ 
         error: 'Invalid token',
         message: 'User account not found or inactive'
@@ -123,7 +123,7 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findByPk(decoded.id);
       
-      if (user && user.isActive) {
+      if (user && user.isActive && !user.deleted_at) {
         req.user = user;
       } else {
         req.user = null;
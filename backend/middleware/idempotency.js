@@ -0,0 +1,67 @@
+const IdempotencyService = require('../services/idempotencyService');
+
+// Printable ASCII, as in the IETF Idempotency-Key draft's examples (UUIDs, random strings)
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const idempotencyError = (res, status, code, message) => res.status(status).json({
+  success: false,
+  error: { code, message }
+});
+
+// Idempotency-Key support for API create endpoints
+// Requests without the header run as usual. With it, the first request's
+// response is stored and replayed (with Idempotent-Replayed: true) to retries
+// that send the same key and body. Must run after optionalAuth.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return idempotencyError(res, 400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key must be 1-255 printable ASCII characters');
+  }
+
+  let claim;
+  try {
+    const scope = req.user ? `user:${req.user.id}` : `ip:${req.clientIp}`;
+    claim = await IdempotencyService.begin(scope, key, IdempotencyService.fingerprint(req));
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return idempotencyError(res, 500, 'INTERNAL_ERROR', 'An error occurred while checking the Idempotency-Key');
+  }
+
+  if (claim.replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.replay.status).json(claim.replay.response);
+  }
+  if (claim.conflict === 'mismatch') {
+    return idempotencyError(res, 409, 'IDEMPOTENCY_KEY_REUSED', 'This Idempotency-Key was already used with a different request body');
+  }
+  if (claim.conflict === 'in_progress') {
+    res.set('Retry-After', '1');
+    return idempotencyError(res, 409, 'IDEMPOTENCY_KEY_IN_USE', 'A request with this Idempotency-Key is still being processed');
+  }
+
+  // Store the response before sending it, so a retry never misses it
+  let settled = false;
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    IdempotencyService.complete(claim.claimed, res.statusCode, body)
+      .catch(error => console.error('Idempotency key error:', error))
+      .finally(() => send(body));
+    return res;
+  };
+
+  // A response sent some other way, or not at all, stores nothing
+  res.on('close', () => {
+    if (!settled) {
+      IdempotencyService.release(claim.claimed).catch(error => console.error('Idempotency key error:', error));
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -1,5 +1,8 @@
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
+const { REDIRECT_STATUSES } = require('../config/redirects');
+const { foldCode } = require('../config/shortCodes');
+const { sendUnlockPage } = require('../views/linkPages');
 
 // Rate limiting configuration
 const createRateLimiter = (windowMs, max, message) => {
@@ -41,6 +44,25 @@ const generalRateLimit = createRateLimiter(
   'Too many requests, please try again later'
 );
 
+// Wrong passwords for a protected link, per link and IP; correct ones do not count
+// Keyed on the folded code, so case and lookalike variants of a code share a budget
+const LINK_UNLOCK_WINDOW_MS = 15 * 60 * 1000;
+const linkUnlockRateLimit = rateLimit({
+  windowMs: LINK_UNLOCK_WINDOW_MS,
+  max: 5,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${foldCode(req.params.shortCode)}|${req.clientIp}`,
+  handler: (req, res) => {
+    res.set('Retry-After', String(LINK_UNLOCK_WINDOW_MS / 1000));
+    sendUnlockPage(res, 429, {
+      shortCode: req.params.shortCode,
+      error: 'Too many wrong passwords, please try again in 15 minutes'
+    });
+  }
+});
+
 // CSRF Protection Middleware
 const csrfProtection = (req, res, next) => {
   // Skip CSRF for GET requests and API endpoints that use Bearer tokens
@@ -80,6 +102,89 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Short codes and custom aliases: alphanumeric, hyphens and underscores
+const SHORT_CODE_PATTERN = /^[a-zA-Z0-9_-]{1,20}$/;
+
+const MAX_CLICKS_LIMIT = 1000000000;
+
+// ISO 8601 date, optionally with a time and offset
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+const isUnset = (value) => value === undefined || value === null;
+
+const isIsoDate = (value) => typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+// Link settings checked alike by validateUrl and the bulk endpoint, which
+// reports each field with its own error code. check(value, body) returns an
+// error message, or null for a valid value; it is not called for an absent or
+// null value, which removes the setting on update.
+const LINK_FIELD_RULES = [
+  {
+    field: 'expires_at',
+    code: 'INVALID_EXPIRES_AT',
+    check: value => (isIsoDate(value) ? null : 'Please provide a valid date in ISO 8601 format')
+  },
+  {
+    field: 'starts_at',
+    code: 'INVALID_STARTS_AT',
+    check: (value, body) => {
+      if (!isIsoDate(value)) {
+        return 'starts_at must be a valid date in ISO 8601 format';
+      }
+      return body.expires_at && new Date(value) >= new Date(body.expires_at) ? 'starts_at must be before expires_at' : null;
+    }
+  },
+  {
+    field: 'redirect_status',
+    code: 'INVALID_REDIRECT_STATUS',
+    check: value => (REDIRECT_STATUSES.includes(value) ? null : `redirect_status must be one of ${REDIRECT_STATUSES.join(', ')}`)
+  },
+  {
+    field: 'interstitial',
+    code: 'INVALID_INTERSTITIAL',
+    check: value => (typeof value === 'boolean' ? null : 'interstitial must be true or false')
+  },
+  {
+    field: 'max_clicks',
+    code: 'INVALID_MAX_CLICKS',
+    check: value => (Number.isInteger(value) && value >= 1 && value <= MAX_CLICKS_LIMIT
+      ? null
+      : `max_clicks must be a whole number from 1 to ${MAX_CLICKS_LIMIT}`)
+  },
+  // Shorthand for max_clicks: 1
+  {
+    field: 'expire_after_first_click',
+    code: 'INVALID_EXPIRE_AFTER_FIRST_CLICK',
+    check: (value, body) => {
+      if (typeof value !== 'boolean') return 'expire_after_first_click must be true or false';
+      return value && !isUnset(body.max_clicks) && body.max_clicks !== 1 ? 'expire_after_first_click conflicts with max_clicks' : null;
+    }
+  },
+  // '' also removes a link's password on update
+  {
+    field: 'password',
+    code: 'INVALID_PASSWORD',
+    check: value => {
+      if (value === '') return null;
+      if (typeof value !== 'string') return 'Password must be a string';
+      return value.length < 4 || value.length > 128 ? 'Password must be between 4 and 128 characters' : null;
+    }
+  }
+];
+
+/**
+ * First invalid link setting in a request body
+ * @param {Object} body - Create or update request, or one bulk item
+ * @returns {Object|null} - { field, code, message }
+ */
+const linkFieldError = (body) => {
+  for (const { field, code, check } of LINK_FIELD_RULES) {
+    const message = isUnset(body[field]) ? null : check(body[field], body);
+    if (message) return { field, code, message };
+  }
+  return null;
+};
+
 // URL validation rules
 const validateUrl = [
   body('original_url')
@@ -101,11 +206,27 @@ const validateUrl = [
     .isLength({ max: 500 })
     .withMessage('Description is too long (maximum 500 characters)')
     .trim(),
-    
-  body('expires_at')
-    .optional()
-    .isISO8601()
-    .withMessage('Please provide a valid date in ISO 8601 format')
+
+  body('custom_alias')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Custom alias must be a string')
+    .trim()
+    .matches(SHORT_CODE_PATTERN)
+    .withMessage('Custom alias must be 1-20 letters, numbers, hyphens or underscores'),
+
+  body('reuse_existing')
+    .optional({ values: 'null' })
+    .custom(value => typeof value === 'boolean')
+    .withMessage('reuse_existing must be true or false'),
+
+  ...LINK_FIELD_RULES.map(({ field, check }) => body(field)
+    .optional({ values: 'null' })
+    .custom((value, { req }) => {
+      const message = check(value, req.body);
+      if (message) throw new Error(message);
+      return true;
+    }))
 ];
 
 // User registration validation rules
@@ -131,6 +252,14 @@ const validateUserRegistration = [
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
 ];
 
+// Profile preference validation rules
+const validateUserPreferences = [
+  body('reuse_existing')
+    .optional()
+    .custom(value => typeof value === 'boolean')
+    .withMessage('reuse_existing must be true or false')
+];
+
 // User login validation rules
 const validateUserLogin = [
   body('email')
@@ -183,9 +312,7 @@ const validateShortCode = (req, res, next) => {
     }
     
     // Validate shortCode format - only allow alphanumeric and safe characters
-    const validShortCodeRegex = /^[a-zA-Z0-9_-]{1,20}$/;
-    
-    if (!validShortCodeRegex.test(shortCode)) {
+    if (!SHORT_CODE_PATTERN.test(shortCode)) {
       return res.status(400).json({
         error: 'Invalid URL',
         message: 'Invalid short code format. Only alphanumeric characters, hyphens, and underscores are allowed.'
@@ -255,13 +382,18 @@ module.exports = {
   authRateLimit,
   urlShortenRateLimit,
   generalRateLimit,
+  linkUnlockRateLimit,
   csrfProtection,
   handleValidationErrors,
   validateUrl,
   validateUserRegistration,
   validateUserLogin,
+  validateUserPreferences,
   securityHeaders,
   extractClientIp,
   validateShortCode,
+  SHORT_CODE_PATTERN,
+  MAX_CLICKS_LIMIT,
+  linkFieldError,
   sanitizeParams
 }; 
\ No newline at end of file
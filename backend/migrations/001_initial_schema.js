@@ -0,0 +1,61 @@
+// Users, URLs and clicks
+// IF NOT EXISTS lets databases created before migrations existed adopt this one
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        email TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'user',
+        isActive INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS urls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        original_url TEXT NOT NULL,
+        short_url TEXT NOT NULL UNIQUE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title TEXT,
+        description TEXT,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        expires_at TEXT,
+        click_count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS urls_user_id ON urls(user_id);
+      CREATE INDEX IF NOT EXISTS urls_created_at ON urls(created_at);
+
+      CREATE TABLE IF NOT EXISTS clicks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url_id INTEGER NOT NULL REFERENCES urls(id) ON DELETE CASCADE,
+        ip_address TEXT,
+        user_agent TEXT,
+        referer TEXT,
+        country TEXT,
+        city TEXT,
+        browser TEXT,
+        os TEXT,
+        device_type TEXT,
+        date_time TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS clicks_url_id_date_time ON clicks(url_id, date_time);
+      CREATE INDEX IF NOT EXISTS clicks_date_time ON clicks(date_time);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS clicks;
+      DROP TABLE IF EXISTS urls;
+      DROP TABLE IF EXISTS users;
+    `);
+  }
+};
@@ -0,0 +1,48 @@
+// Hourly and daily click rollups per URL (see config/rollups.js)
+// Missing values are stored as '' so the unique key also covers them.
+// Existing clicks are rolled up here; new ones are added as they arrive.
+
+const { GRANULARITIES, DIMENSIONS } = require('../config/rollups');
+
+// ISO bucket starts matching Date#toISOString for the UTC hour or day
+const BUCKET_FORMATS = {
+  hour: '%Y-%m-%dT%H:00:00.000Z',
+  day: '%Y-%m-%dT00:00:00.000Z'
+};
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS click_rollups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url_id INTEGER NOT NULL REFERENCES urls(id) ON DELETE CASCADE,
+        granularity TEXT NOT NULL,
+        bucket TEXT NOT NULL,
+        dimension TEXT NOT NULL,
+        value TEXT NOT NULL DEFAULT '',
+        count INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS click_rollups_key
+        ON click_rollups(url_id, granularity, dimension, bucket, value);
+      CREATE INDEX IF NOT EXISTS click_rollups_series
+        ON click_rollups(granularity, dimension, bucket);
+    `);
+
+    GRANULARITIES.forEach(granularity => {
+      DIMENSIONS.forEach(dimension => {
+        const value = dimension === 'total' ? "''" : `COALESCE(${dimension}, '')`;
+        db.prepare(`
+          INSERT INTO click_rollups (url_id, granularity, bucket, dimension, value, count)
+          SELECT url_id, ?, strftime('${BUCKET_FORMATS[granularity]}', date_time), ?, ${value}, COUNT(*)
+          FROM clicks
+          GROUP BY url_id, strftime('${BUCKET_FORMATS[granularity]}', date_time), ${value}
+        `).run(granularity, dimension);
+      });
+    });
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS click_rollups');
+  }
+};
@@ -0,0 +1,25 @@
+// Trash for links and users: a deleted_at timestamp instead of removing the row
+// Trashed rows keep their short code, email and username reserved until the
+// purge sweep removes them (see services/trashService.js).
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE urls ADD COLUMN deleted_at TEXT;
+      ALTER TABLE users ADD COLUMN deleted_at TEXT;
+
+      CREATE INDEX IF NOT EXISTS urls_deleted_at ON urls(deleted_at);
+      CREATE INDEX IF NOT EXISTS users_deleted_at ON users(deleted_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS urls_deleted_at;
+      DROP INDEX IF EXISTS users_deleted_at;
+
+      ALTER TABLE urls DROP COLUMN deleted_at;
+      ALTER TABLE users DROP COLUMN deleted_at;
+    `);
+  }
+};
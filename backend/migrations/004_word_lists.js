@@ -0,0 +1,22 @@
+// Admin-managed word lists, one row per word (see services/aliasService.js)
+// `list` names the list a word belongs to, e.g. 'reserved' for aliases
+// nobody may claim. Words are stored lowercase.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS word_lists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        list TEXT NOT NULL,
+        word TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS word_lists_word ON word_lists(list, word);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS word_lists;');
+  }
+};
@@ -0,0 +1,19 @@
+// Named counters that only move forward, e.g. the one behind the sequential
+// short-code algorithm (see algorithms/sequential.js). `value` is the number
+// of values issued so far.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS sequences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        value INTEGER NOT NULL DEFAULT 0
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS sequences;');
+  }
+};
@@ -0,0 +1,26 @@
+// Folded form of each short code, for typo-tolerant lookups (see
+// config/shortCodes.js). Existing rows are backfilled here; the store keeps
+// the column in step with short_url from then on.
+
+const { foldCode } = require('../config/shortCodes');
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE urls ADD COLUMN folded_code TEXT;
+      CREATE INDEX IF NOT EXISTS urls_folded_code ON urls(folded_code);
+    `);
+
+    const update = db.prepare('UPDATE urls SET folded_code = ? WHERE id = ?');
+    for (const { id, short_url } of db.prepare('SELECT id, short_url FROM urls').all()) {
+      update.run(foldCode(short_url), id);
+    }
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS urls_folded_code;
+      ALTER TABLE urls DROP COLUMN folded_code;
+    `);
+  }
+};
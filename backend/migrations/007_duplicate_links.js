@@ -0,0 +1,25 @@
+// Link deduplication (see services/duplicateService.js)
+// users.reuse_existing is the default for shortening requests that do not say
+// whether to reuse an identical link. A merged duplicate keeps its row as a
+// redirect stub: merged_into_id points at the link its clicks went to, and
+// the stub goes when that link is purged.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN reuse_existing INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE urls ADD COLUMN merged_into_id INTEGER REFERENCES urls(id) ON DELETE CASCADE;
+
+      CREATE INDEX IF NOT EXISTS urls_merged_into_id ON urls(merged_into_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS urls_merged_into_id;
+
+      ALTER TABLE urls DROP COLUMN merged_into_id;
+      ALTER TABLE users DROP COLUMN reuse_existing;
+    `);
+  }
+};
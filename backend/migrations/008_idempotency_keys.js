@@ -0,0 +1,28 @@
+// Responses to create requests sent with an Idempotency-Key header, kept so a
+// retry gets the original response (see services/idempotencyService.js).
+// status is NULL while the first request is still being handled.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        status INTEGER,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        UNIQUE (scope, key)
+      );
+
+      CREATE INDEX IF NOT EXISTS idempotency_keys_expires_at ON idempotency_keys(expires_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS idempotency_keys;');
+  }
+};
@@ -0,0 +1,13 @@
+// Per-link redirect status (see config/redirects.js)
+// Every link redirected with 301 before; existing links move to the
+// temporary default so their clicks are counted and edits take effect.
+
+module.exports = {
+  up(db) {
+    db.exec('ALTER TABLE urls ADD COLUMN redirect_status INTEGER NOT NULL DEFAULT 302');
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE urls DROP COLUMN redirect_status');
+  }
+};
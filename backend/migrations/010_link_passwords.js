@@ -0,0 +1,13 @@
+// Password-protected links (see services/linkPasswordService.js)
+// password_hash is a bcrypt hash like users.password_hash; NULL means the
+// link redirects without asking.
+
+module.exports = {
+  up(db) {
+    db.exec('ALTER TABLE urls ADD COLUMN password_hash TEXT');
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE urls DROP COLUMN password_hash');
+  }
+};
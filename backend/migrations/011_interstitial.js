@@ -0,0 +1,12 @@
+// Interstitial links show the preview page (see views/linkPages.js) with a
+// countdown on every visit instead of redirecting at once.
+
+module.exports = {
+  up(db) {
+    db.exec('ALTER TABLE urls ADD COLUMN interstitial INTEGER NOT NULL DEFAULT 0');
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE urls DROP COLUMN interstitial');
+  }
+};
@@ -0,0 +1,12 @@
+// Click-capped links: a link with max_clicks stops redirecting once its
+// click_count reaches it. NULL means no cap.
+
+module.exports = {
+  up(db) {
+    db.exec('ALTER TABLE urls ADD COLUMN max_clicks INTEGER');
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE urls DROP COLUMN max_clicks');
+  }
+};
@@ -0,0 +1,21 @@
+// Scheduled links (see services/scheduleService.js): starts_at holds a link
+// back until then, schedule is the JSON list of its destination switches, and
+// each click records the schedule slot that served it. NULL means none.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE urls ADD COLUMN starts_at TEXT;
+      ALTER TABLE urls ADD COLUMN schedule TEXT;
+      ALTER TABLE clicks ADD COLUMN schedule_slot INTEGER;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE clicks DROP COLUMN schedule_slot;
+      ALTER TABLE urls DROP COLUMN schedule;
+      ALTER TABLE urls DROP COLUMN starts_at;
+    `);
+  }
+};
@@ -0,0 +1,19 @@
+// Targeting rules (see services/targetingService.js): targeting_rules is the
+// JSON list of a link's rules, and each click records the rule that served
+// it (0 for the link's fallback). NULL means none.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE urls ADD COLUMN targeting_rules TEXT;
+      ALTER TABLE clicks ADD COLUMN targeting_rule INTEGER;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE clicks DROP COLUMN targeting_rule;
+      ALTER TABLE urls DROP COLUMN targeting_rules;
+    `);
+  }
+};
@@ -0,0 +1,303 @@
+const {
+  sequelize,
+  toArray,
+  compare,
+  matchesWhere,
+  createContext,
+  evaluateColumn,
+  isAggregate,
+  groupKey
+} = require('./query');
+
+// Query internals shared between associated models, kept off the public adapter
+const internals = new WeakMap();
+
+const isModel = (value) => internals.has(value);
+
+// Sequelize accepts `include: [Model]` as well as `include: [{ model, as, ... }]`
+const normalizeInclude = (include) => (isModel(include) ? { model: include } : include);
+
+// Pick the stored values (or computed attributes) a query asked for
+const selectAttributes = (attributes, unit) => {
+  const column = ([expression, alias]) => [alias, evaluateColumn(expression, unit)];
+
+  if (Array.isArray(attributes)) {
+    return Object.fromEntries(attributes.map(attribute =>
+      (Array.isArray(attribute) ? column(attribute) : [attribute.split('.').pop(), evaluateColumn(attribute, unit)])
+    ));
+  }
+
+  const values = unit.length ? { ...unit[0].values } : {};
+  if (attributes) {
+    (attributes.exclude || []).forEach(name => delete values[name]);
+    (attributes.include || []).forEach((attribute) => {
+      const [alias, value] = column(attribute);
+      values[alias] = value;
+    });
+  }
+  return values;
+};
+
+// Split row contexts into units: one per group, one per row, or a single
+// unit when only aggregates were selected
+const toUnits = (contexts, options) => {
+  if (options.group) {
+    const groups = new Map();
+    contexts.forEach((context) => {
+      const key = JSON.stringify(toArray(options.group).map(column => groupKey(evaluateColumn(column, [context]))));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(context);
+    });
+    return Array.from(groups.values());
+  }
+
+  const attributes = options.attributes;
+  if (Array.isArray(attributes) && attributes.length && attributes.every(attribute => Array.isArray(attribute) && isAggregate(attribute[0]))) {
+    return [contexts];
+  }
+
+  return contexts.map(context => [context]);
+};
+
+const sortRows = (rows, order) => {
+  const orderings = toArray(order || []).map(item => (Array.isArray(item) ? item : [item, 'ASC']));
+  if (!orderings.length) return rows;
+
+  // Ordering by a selected alias (e.g. 'count') uses the computed value
+  const valueOf = (row, expression) =>
+    (typeof expression === 'string' && expression in row.values ? row.values[expression] : evaluateColumn(expression, row.unit));
+
+  return rows.sort((a, b) => {
+    for (const [expression, direction = 'ASC'] of orderings) {
+      const result = compare(valueOf(a, expression), valueOf(b, expression));
+      if (result !== 0) {
+        return String(direction).toUpperCase().startsWith('DESC') ? -result : result;
+      }
+    }
+    return 0;
+  });
+};
+
+const paginate = (rows, { offset = 0, limit } = {}) => {
+  const start = parseInt(offset) || 0;
+  return limit === undefined || limit === null ? rows.slice(start) : rows.slice(start, start + parseInt(limit));
+};
+
+/**
+ * Create a Sequelize-style model adapter on top of a database store
+ * @param {string} name - Model name ('User', 'Url', 'Click')
+ * @param {Object} store - Record operations: all, create, update, destroy
+ * @param {Object} lookups - Indexed finders by column; `id` is required
+ * @returns {Object} - Model adapter
+ */
+const createModel = (name, store, lookups) => {
+  const model = { name, sequelize, associations: {} };
+
+  // Instance methods for records returned by the adapter
+  const prototype = {
+    get(key) {
+      return typeof key === 'string' ? this[key] : this.toJSON();
+    },
+
+    toJSON() {
+      return { ...this };
+    },
+
+    async update(values) {
+      if (!store.update) {
+        throw new Error(`${name} records cannot be updated`);
+      }
+      const record = await store.update(this.id, values);
+      if (record) Object.assign(this, record);
+      return this;
+    },
+
+    async reload() {
+      const record = await lookups.id(this.id);
+      if (record) Object.assign(this, record);
+      return this;
+    },
+
+    async destroy() {
+      await store.destroy(this.id);
+    }
+  };
+  Object.defineProperty(prototype, 'dataValues', {
+    get() {
+      return this.toJSON();
+    }
+  });
+
+  const build = (values) => Object.assign(Object.create(prototype), values);
+
+  const findAssociation = (include) => {
+    const association = Object.values(model.associations).find(candidate =>
+      (include.as ? candidate.as === include.as : candidate.target === include.model)
+    );
+    if (!association) {
+      throw new Error(`${include.model && include.model.name} is not associated to ${name}`);
+    }
+    return association;
+  };
+
+  // Load the records matching a where clause, through an index when the
+  // clause pins one of the lookup columns
+  const select = async (where, as = null) => {
+    const lookupColumn = where && Object.keys(where).find(column =>
+      column in lookups && ['string', 'number'].includes(typeof where[column])
+    );
+    const records = lookupColumn
+      ? toArray(await lookups[lookupColumn](where[lookupColumn])).filter(Boolean)
+      : await store.all();
+
+    return records
+      .map(record => createContext(model, record, as))
+      .filter(context => matchesWhere(context, where));
+  };
+
+  // Attach included associations to each context; includes with a where
+  // clause (or `required: true`) drop contexts without a match
+  const loadIncludes = async (contexts, includes) => {
+    let result = contexts;
+
+    for (const include of toArray(includes || []).map(normalizeInclude)) {
+      const { type, target, as, foreignKey } = findAssociation(include);
+      const targetInternals = internals.get(target);
+      const related = await targetInternals.loadIncludes(await targetInternals.select(include.where, as), include.include);
+
+      if (type === 'hasMany') {
+        const byForeignKey = new Map();
+        related.forEach((context) => {
+          const key = context.values[foreignKey];
+          if (!byForeignKey.has(key)) byForeignKey.set(key, []);
+          byForeignKey.get(key).push(context);
+        });
+        result.forEach((context) => {
+          context.includes[as] = byForeignKey.get(context.values.id) || [];
+        });
+      } else {
+        const byId = new Map(related.map(context => [context.values.id, context]));
+        result.forEach((context) => {
+          context.includes[as] = byId.get(context.values[foreignKey]) || null;
+        });
+      }
+
+      const required = include.required !== undefined ? include.required : Boolean(include.where);
+      if (required) {
+        result = result.filter(context => toArray(context.includes[as]).some(Boolean));
+      }
+    }
+
+    return result;
+  };
+
+  // Turn a context into the returned value, including its visible associations
+  const output = (values, context, includes, raw) => {
+    if (context) {
+      toArray(includes || []).map(normalizeInclude).forEach((include) => {
+        // `attributes: []` joins for aggregates only
+        if (Array.isArray(include.attributes) && include.attributes.length === 0) return;
+
+        const { target, as } = findAssociation(include);
+        const toValue = relatedContext => internals.get(target).output(
+          selectAttributes(include.attributes, [relatedContext]),
+          relatedContext,
+          include.include,
+          raw
+        );
+        const related = context.includes[as];
+        values[as] = Array.isArray(related) ? related.map(toValue) : (related ? toValue(related) : null);
+      });
+    }
+    return raw ? values : build(values);
+  };
+
+  const run = async (options) => {
+    const contexts = await loadIncludes(await select(options.where), options.include);
+    const rows = toUnits(contexts, options).map(unit => ({
+      unit,
+      values: selectAttributes(options.attributes, unit)
+    }));
+    return sortRows(rows, options.order);
+  };
+
+  const render = (rows, options) =>
+    rows.map(row => output(row.values, row.unit[0], options.include, Boolean(options.raw)));
+
+  internals.set(model, { select, loadIncludes, output });
+
+  Object.assign(model, {
+    hasMany(target, { as, foreignKey }) {
+      model.associations[as] = { type: 'hasMany', target, as, foreignKey };
+    },
+
+    belongsTo(target, { as, foreignKey }) {
+      model.associations[as] = { type: 'belongsTo', target, as, foreignKey };
+    },
+
+    build,
+
+    // null when the store declines the record (a click past its URL's max_clicks)
+    async create(values) {
+      const record = await store.create(values);
+      return record ? build(record) : null;
+    },
+
+    async findAll(options = {}) {
+      return render(paginate(await run(options), options), options);
+    },
+
+    async findOne(options = {}) {
+      const [record] = await model.findAll({ ...options, limit: 1 });
+      return record || null;
+    },
+
+    async findByPk(id, options = {}) {
+      return model.findOne({ ...options, where: { id } });
+    },
+
+    // Grouped queries report one count per group, like Sequelize
+    async findAndCountAll(options = {}) {
+      const rows = await run(options);
+      const count = options.group ? rows.map(row => ({ count: row.unit.length })) : rows.length;
+      return { count, rows: render(paginate(rows, options), options) };
+    },
+
+    async count(options = {}) {
+      const contexts = await loadIncludes(await select(options.where), options.include);
+      return options.group ? toUnits(contexts, options).map(unit => ({ count: unit.length })) : contexts.length;
+    },
+
+    async update(values, options = {}) {
+      if (!store.update) {
+        throw new Error(`${name} records cannot be updated`);
+      }
+      // Like Sequelize, a bulk write never defaults to every row
+      if (!options.where) {
+        throw new Error('Missing where attribute in the options parameter');
+      }
+      const contexts = await select(options.where);
+      for (const context of contexts) {
+        await store.update(context.values.id, values);
+      }
+      return [contexts.length];
+    },
+
+    async destroy(options = {}) {
+      if (!options.where) {
+        throw new Error('Missing where attribute in the options parameter of model.destroy');
+      }
+      const contexts = await select(options.where);
+      for (const context of contexts) {
+        await store.destroy(context.values.id);
+      }
+      return contexts.length;
+    }
+  });
+
+  return model;
+};
+
+module.exports = {
+  createModel
+};
@@ -1,86 +1,60 @@
 const database = require('../config/database');
+const { createModel } = require('./adapter');
+const { Op, fn, col, toId } = require('./query');
+
+// Model adapters
+// Each adapter exposes the Sequelize query API the routes use (see
+// models/query.js) on top of the active database store
+const User = createModel('User', {
+  all: () => database.getAllUsers(),
+  create: (userData) => database.createUser(userData),
+  update: (id, updates) => database.updateUser(id, updates),
+  destroy: (id) => database.deleteUser(id)
+}, {
+  id: (id) => database.findUserById(toId(id)),
+  email: (email) => database.findUserByEmail(email),
+  username: (username) => database.findUserByUsername(username)
+});
+
+const Url = createModel('Url', {
+  all: () => database.getAllUrls(),
+  create: (urlData) => database.createUrl(urlData),
+  update: (id, updates) => database.updateUrl(id, updates),
+  destroy: (id) => database.deleteUrl(id)
+}, {
+  id: (id) => database.findUrlById(toId(id)),
+  short_url: (shortCode) => database.findUrlByShortCode(shortCode),
+  user_id: (userId) => database.findUrlsByUserId(toId(userId))
+});
+
+const Click = createModel('Click', {
+  all: () => database.getAllClicks(),
+  create: (clickData) => database.createClick(clickData),
+  destroy: (id) => database.deleteClick(id)
+}, {
+  id: (id) => database.findClickById(toId(id)),
+  url_id: (urlId) => database.findClicksByUrlId(toId(urlId))
+});
+
+Click.getClicksByPeriod = (urlId, period) => database.getClicksByPeriod(toId(urlId), period);
+Click.getTopReferrers = (urlId, limit) => database.getTopReferrers(toId(urlId), limit);
+Click.getRollups = (filter) => database.findClickRollups({ ...filter, url_id: toId(filter.url_id) });
+Click.pruneBefore = (date) => database.pruneClicks(date);
+
+// Associations
+User.hasMany(Url, { as: 'urls', foreignKey: 'user_id' });
+Url.belongsTo(User, { as: 'user', foreignKey: 'user_id' });
+Url.hasMany(Click, { as: 'clicks', foreignKey: 'url_id' });
+Click.belongsTo(Url, { as: 'url', foreignKey: 'url_id' });
 
 // Export the database instance and model adapters
 module.exports = {
   sequelize: database, // For compatibility with existing code
   database,
-  
-  // Model adapters
-  User: {
-    create: (userData) => database.createUser(userData),
-    findOne: async (options) => {
-      if (options.where) {
-        if (options.where.email) {
-          return database.findUserByEmail(options.where.email);
-        }
-        if (options.where.username) {
-          return database.findUserByUsername(options.where.username);
-        }
-        if (options.where.id) {
-          return database.findUserById(options.where.id);
-        }
-      }
-      return null;
-    },
-    findByPk: (id) => database.findUserById(id),
-    update: (updates, options) => {
-      if (options.where && options.where.id) {
-        return database.updateUser(options.where.id, updates);
-      }
-      return null;
-    },
-    destroy: (options) => {
-      if (options.where && options.where.id) {
-        return database.deleteUser(options.where.id);
-      }
-      return false;
-    },
-    findAll: () => database.getAllUsers()
-  },
-  
-  Url: {
-    create: (urlData) => database.createUrl(urlData),
-    findOne: async (options) => {
-      if (options.where) {
-        if (options.where.short_url) {
-          return database.findUrlByShortCode(options.where.short_url);
-        }
-        if (options.where.id) {
-          return database.findUrlById(options.where.id);
-        }
-      }
-      return null;
-    },
-    findByPk: (id) => database.findUrlById(id),
-    findAll: (options) => {
-      if (options && options.where && options.where.user_id) {
-        return database.findUrlsByUserId(options.where.user_id);
-      }
-      return database.getAllUrls();
-    },
-    update: (updates, options) => {
-      if (options.where && options.where.id) {
-        return database.updateUrl(options.where.id, updates);
-      }
-      return null;
-    },
-    destroy: (options) => {
-      if (options.where && options.where.id) {
-        return database.deleteUrl(options.where.id);
-      }
-      return false;
-    }
-  },
-  
-  Click: {
-    create: (clickData) => database.createClick(clickData),
-    findAll: (options) => {
-      if (options && options.where && options.where.url_id) {
-        return database.findClicksByUrlId(options.where.url_id);
-      }
-      return Array.from(database.clicks.values());
-    },
-    getClicksByPeriod: (urlId, period) => database.getClicksByPeriod(urlId, period),
-    getTopReferrers: (urlId, limit) => database.getTopReferrers(urlId, limit)
-  }
-}; 
\ No newline at end of file
+  Op,
+  fn,
+  col,
+  User,
+  Url,
+  Click
+};
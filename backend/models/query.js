@@ -0,0 +1,315 @@
+// Sequelize-compatible query layer for the model adapters
+// Evaluates the subset of Sequelize's query options the routes rely on
+// (where operators, include, attributes, group, order, limit/offset) against
+// the records returned by the active database store, so the same route code
+// works with the in-memory and the SQLite backends
+
+// Same symbols Sequelize uses, so conditions built with either are interchangeable
+const Op = {
+  eq: Symbol.for('eq'),
+  ne: Symbol.for('ne'),
+  gt: Symbol.for('gt'),
+  gte: Symbol.for('gte'),
+  lt: Symbol.for('lt'),
+  lte: Symbol.for('lte'),
+  in: Symbol.for('in'),
+  notIn: Symbol.for('notIn'),
+  is: Symbol.for('is'),
+  not: Symbol.for('not'),
+  between: Symbol.for('between'),
+  notBetween: Symbol.for('notBetween'),
+  like: Symbol.for('like'),
+  notLike: Symbol.for('notLike'),
+  iLike: Symbol.for('iLike'),
+  notILike: Symbol.for('notILike'),
+  startsWith: Symbol.for('startsWith'),
+  endsWith: Symbol.for('endsWith'),
+  substring: Symbol.for('substring'),
+  and: Symbol.for('and'),
+  or: Symbol.for('or')
+};
+
+class Fn {
+  constructor(name, args) {
+    this.name = name.toUpperCase();
+    this.args = args;
+  }
+}
+
+class Col {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+const fn = (name, ...args) => new Fn(name, args);
+const col = (name) => new Col(name);
+
+// Stand-in for `Model.sequelize` so routes can keep using `Url.sequelize.Sequelize.Op`
+const sequelize = {
+  Sequelize: { Op, fn, col },
+  fn,
+  col
+};
+
+// ===== VALUE HELPERS =====
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Route params arrive as strings while stored ids are numbers
+const toId = (value) => (typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+
+// Coerce `value` so it can be compared with `other` (dates, numeric strings)
+const coerce = (value, other) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string') {
+    if (other instanceof Date) {
+      const time = Date.parse(value);
+      return Number.isNaN(time) ? value : time;
+    }
+    if (typeof other === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      return Number(value);
+    }
+  }
+  return value;
+};
+
+const compare = (a, b) => {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+
+  const x = coerce(a, b);
+  const y = coerce(b, a);
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+};
+
+const equals = (a, b) => compare(a, b) === 0;
+
+const likeToRegExp = (pattern, flags = '') => {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, `s${flags}`);
+};
+
+const truncateDate = (value, unit) => {
+  if (value == null) return null;
+  const date = new Date(value);
+
+  switch (String(unit).toLowerCase()) {
+    case 'minute':
+      date.setUTCSeconds(0, 0);
+      break;
+    case 'hour':
+      date.setUTCMinutes(0, 0, 0);
+      break;
+    case 'week':
+      date.setUTCHours(0, 0, 0, 0);
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      break;
+    case 'month':
+      date.setUTCHours(0, 0, 0, 0);
+      date.setUTCDate(1);
+      break;
+    case 'year':
+      date.setUTCHours(0, 0, 0, 0);
+      date.setUTCMonth(0, 1);
+      break;
+    default:
+      date.setUTCHours(0, 0, 0, 0);
+  }
+
+  return date;
+};
+
+// ===== WHERE EVALUATION =====
+
+const OPERATORS = {
+  [Op.eq]: (value, target) => equals(value, target),
+  [Op.ne]: (value, target) => !equals(value, target),
+  [Op.gt]: (value, target) => value != null && compare(value, target) > 0,
+  [Op.gte]: (value, target) => value != null && compare(value, target) >= 0,
+  [Op.lt]: (value, target) => value != null && compare(value, target) < 0,
+  [Op.lte]: (value, target) => value != null && compare(value, target) <= 0,
+  [Op.in]: (value, target) => toArray(target).some(item => equals(value, item)),
+  [Op.notIn]: (value, target) => !toArray(target).some(item => equals(value, item)),
+  [Op.is]: (value, target) => equals(value, target),
+  [Op.not]: (value, target) => (isPlainObject(target) ? !matchesCondition(value, target) : !equals(value, target)),
+  [Op.between]: (value, [low, high]) => value != null && compare(value, low) >= 0 && compare(value, high) <= 0,
+  [Op.notBetween]: (value, [low, high]) => value != null && (compare(value, low) < 0 || compare(value, high) > 0),
+  [Op.like]: (value, target) => value != null && likeToRegExp(target).test(String(value)),
+  [Op.notLike]: (value, target) => value != null && !likeToRegExp(target).test(String(value)),
+  [Op.iLike]: (value, target) => value != null && likeToRegExp(target, 'i').test(String(value)),
+  [Op.notILike]: (value, target) => value != null && !likeToRegExp(target, 'i').test(String(value)),
+  [Op.startsWith]: (value, target) => value != null && String(value).startsWith(target),
+  [Op.endsWith]: (value, target) => value != null && String(value).endsWith(target),
+  [Op.substring]: (value, target) => value != null && String(value).includes(target),
+  [Op.and]: (value, target) => toConditionList(target).every(condition => matchesCondition(value, condition)),
+  [Op.or]: (value, target) => toConditionList(target).some(condition => matchesCondition(value, condition))
+};
+
+// `{ [Op.or]: { a: 1, b: 2 } }` is shorthand for `[{ a: 1 }, { b: 2 }]`
+const toConditionList = (conditions) => {
+  if (Array.isArray(conditions)) return conditions;
+  return Reflect.ownKeys(conditions).map(key => ({ [key]: conditions[key] }));
+};
+
+// Test a single column value against a condition (literal, array or operator map)
+const matchesCondition = (value, condition) => {
+  // Values reached through a hasMany include match like a join: any row will do
+  if (Array.isArray(value)) {
+    return value.some(item => matchesCondition(item, condition));
+  }
+
+  if (Array.isArray(condition)) {
+    return OPERATORS[Op.in](value, condition);
+  }
+
+  if (isPlainObject(condition)) {
+    return Reflect.ownKeys(condition).every((operator) => {
+      const test = OPERATORS[operator];
+      if (!test) {
+        throw new Error(`Unsupported query operator: ${String(operator)}`);
+      }
+      return test(value, condition[operator]);
+    });
+  }
+
+  return equals(value, condition);
+};
+
+// Test a row context against a where clause
+const matchesWhere = (context, where) => {
+  if (!where) return true;
+
+  return Reflect.ownKeys(where).every((key) => {
+    const condition = where[key];
+
+    if (key === Op.and) {
+      return toConditionList(condition).every(clause => matchesWhere(context, clause));
+    }
+    if (key === Op.or) {
+      return toConditionList(condition).some(clause => matchesWhere(context, clause));
+    }
+    if (key === Op.not) {
+      return !matchesWhere(context, condition);
+    }
+
+    // `$user.username$` references a column of an included model
+    const path = key.replace(/^\$(.*)\$$/, '$1');
+    const values = resolve(context, path);
+    return matchesCondition(values.length > 1 ? values : values[0], condition);
+  });
+};
+
+// ===== ROW CONTEXTS =====
+
+// A context wraps one stored record together with its loaded includes
+const createContext = (model, record, as = null) => ({
+  model,
+  as,
+  values: record,
+  includes: {}
+});
+
+// Resolve a column path ('id', 'Url.id', 'clicks.id', 'urls.clicks.id') to
+// the list of values it reaches
+const resolve = (context, path) => {
+  let segments = path.split('.');
+  if (segments.length > 1 && (segments[0] === context.model.name || segments[0] === context.as)) {
+    segments = segments.slice(1);
+  }
+
+  let contexts = [context];
+  while (segments.length > 1) {
+    const alias = segments.shift();
+    contexts = contexts.flatMap(current => toArray(current.includes[alias])).filter(Boolean);
+  }
+
+  return contexts.map(current => current.values[segments[0]]);
+};
+
+const AGGREGATES = {
+  COUNT: values => values.length,
+  SUM: values => values.reduce((sum, value) => sum + Number(value), 0),
+  AVG: values => (values.length ? values.reduce((sum, value) => sum + Number(value), 0) / values.length : null),
+  MIN: values => values.reduce((min, value) => (min === null || compare(value, min) < 0 ? value : min), null),
+  MAX: values => values.reduce((max, value) => (max === null || compare(value, max) > 0 ? value : max), null)
+};
+
+const SCALARS = {
+  DATE_TRUNC: (unit, value) => truncateDate(value, unit),
+  DATE: value => truncateDate(value, 'day'),
+  LOWER: value => (value == null ? value : String(value).toLowerCase()),
+  UPPER: value => (value == null ? value : String(value).toUpperCase()),
+  COALESCE: (...values) => values.find(value => value != null) ?? null
+};
+
+const isAggregate = expression => expression instanceof Fn && expression.name in AGGREGATES;
+
+// Evaluate an attribute/order/group expression over a unit (the rows of one group)
+const evaluate = (expression, unit) => {
+  if (expression instanceof Col) {
+    return unit.length ? resolve(unit[0], expression.name)[0] : null;
+  }
+
+  if (expression instanceof Fn) {
+    if (isAggregate(expression)) {
+      const [argument] = expression.args;
+      let values;
+
+      if (argument === '*' || argument === undefined) {
+        values = unit;
+      } else if (argument instanceof Fn && argument.name === 'DISTINCT') {
+        const distinct = new Set(unit.flatMap(context => resolve(context, argument.args[0].name)).filter(value => value != null));
+        values = Array.from(distinct);
+      } else {
+        values = unit.flatMap(context => resolve(context, argument.name)).filter(value => value != null);
+      }
+
+      return AGGREGATES[expression.name](values);
+    }
+
+    const scalar = SCALARS[expression.name];
+    if (!scalar) {
+      throw new Error(`Unsupported query function: ${expression.name}`);
+    }
+    return scalar(...expression.args.map(argument =>
+      (argument instanceof Fn || argument instanceof Col ? evaluate(argument, unit) : argument)
+    ));
+  }
+
+  return expression;
+};
+
+// Column names in attribute/group/order lists are paths, everything else an expression
+const evaluateColumn = (column, unit) =>
+  (typeof column === 'string' ? (unit.length ? resolve(unit[0], column)[0] : null) : evaluate(column, unit));
+
+const groupKey = (value) => (value instanceof Date ? value.toISOString() : value);
+
+module.exports = {
+  Op,
+  Fn,
+  Col,
+  fn,
+  col,
+  sequelize,
+  toId,
+  toArray,
+  isPlainObject,
+  compare,
+  matchesWhere,
+  createContext,
+  resolve,
+  evaluate,
+  evaluateColumn,
+  isAggregate,
+  groupKey
+};
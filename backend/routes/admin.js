@@ -1,10 +1,19 @@
 const express = require('express');
-const { User, Url, Click } = require('../models');
+const { User, Url } = require('../models');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { 
   validateUserRegistration, 
-  handleValidationErrors 
+  handleValidationErrors,
+  SHORT_CODE_PATTERN
 } = require('../middleware/security');
+const AnalyticsService = require('../services/analyticsService');
+const BackupService = require('../services/backupService');
+const TrashService = require('../services/trashService');
+const AliasService = require('../services/aliasService');
+const CollisionService = require('../services/collisionService');
+const WordFilterService = require('../services/wordFilterService');
+const algorithms = require('../algorithms');
+const { linkJson } = require('../views/linkJson');
 
 const router = express.Router();
 
@@ -20,7 +29,7 @@ router.get('/users',
       const { page = 1, limit = 20, search, role, isActive } = req.query;
       const offset = (parseInt(page) - 1) * parseInt(limit);
 
-      let whereClause = {};
+      let whereClause = { deleted_at: null };
       
       if (search) {
         whereClause = {
@@ -100,21 +109,7 @@ router.get('/users/:id',
         include: [
           {
             model: Url,
-            as: 'urls',
-            include: [
-              {
-                model: Click,
-                as: 'clicks',
-                attributes: []
-              }
-            ],
-            attributes: {
-              include: [
-                [Url.sequelize.Sequelize.fn('COUNT', Url.sequelize.Sequelize.col('urls.clicks.id')), 'click_count']
-              ]
-            },
-            group: ['urls.id'],
-            subQuery: false
+            as: 'urls'
           }
         ]
       });
@@ -304,25 +299,24 @@ router.delete('/users/:id',
       }
 
       const user = await User.findByPk(id);
-      if (!user) {
+      if (!user || user.deleted_at) {
         return res.status(404).json({
           error: 'User not found',
           message: 'The requested user does not exist'
         });
       }
 
-      // Delete user's URLs and associated clicks
-      const userUrls = await Url.findAll({ where: { user_id: id } });
-      for (const url of userUrls) {
-        await Click.destroy({ where: { url_id: url.id } });
-      }
-      await Url.destroy({ where: { user_id: id } });
-
-      // Delete user
-      await user.destroy();
+      // Move the user and their URLs to the trash; the sweep purges them later
+      const trashedUrls = await TrashService.trashUser(user);
 
       res.json({
-        message: 'User deleted successfully'
+        message: 'User moved to trash',
+        data: {
+          id: user.id,
+          trashed_urls: trashedUrls,
+          deleted_at: user.deleted_at,
+          purge_at: TrashService.purgeAt(user.deleted_at)
+        }
       });
 
     } catch (error) {
@@ -344,7 +338,7 @@ router.get('/urls',
       const { page = 1, limit = 20, search, userId, isActive } = req.query;
       const offset = (parseInt(page) - 1) * parseInt(limit);
 
-      let whereClause = {};
+      let whereClause = { deleted_at: null };
       
       if (search) {
         whereClause = {
@@ -375,43 +369,20 @@ router.get('/urls',
             model: User,
             as: 'user',
             attributes: ['id', 'username', 'email']
-          },
-          {
-            model: Click,
-            as: 'clicks',
-            attributes: []
           }
-        ],
-        attributes: {
-          include: [
-            [Url.sequelize.Sequelize.fn('COUNT', Url.sequelize.Sequelize.col('clicks.id')), 'click_count']
-          ]
-        },
-        group: ['Url.id', 'user.id'],
-        subQuery: false
+        ]
       });
 
-      const domain = process.env.APP_DOMAIN || 'mini.cloudrakshak.com';
-
       res.json({
         data: urls.map(url => ({
-          id: url.id,
-          original_url: url.original_url,
-          short_url: url.short_url,
-          full_short_url: `https://${domain}/${url.short_url}`,
-          title: url.title,
-          description: url.description,
+          ...linkJson(url),
           click_count: parseInt(url.dataValues.click_count) || 0,
-          is_active: url.is_active,
-          expires_at: url.expires_at,
-          created_at: url.created_at,
-          updated_at: url.updated_at,
           user: url.user
         })),
         pagination: {
           currentPage: parseInt(page),
-          totalPages: Math.ceil(count.length / parseInt(limit)),
-          totalCount: count.length,
+          totalPages: Math.ceil(count / parseInt(limit)),
+          totalCount: count,
           limit: parseInt(limit)
         }
       });
@@ -453,10 +424,10 @@ router.get('/analytics/dashboard',
       }
 
       // Get overall statistics
-      const totalUsers = await User.count();
-      const totalUrls = await Url.count();
-      const totalClicks = await Click.count();
-      const activeUrls = await Url.count({ where: { is_active: true } });
+      const totalUsers = await User.count({ where: { deleted_at: null } });
+      const totalUrls = await Url.count({ where: { deleted_at: null } });
+      const totalClicks = await AnalyticsService.countClicks();
+      const activeUrls = await Url.count({ where: { is_active: true, deleted_at: null } });
 
       // Get new registrations in period
       const newUsers = await User.count({
@@ -477,74 +448,27 @@ router.get('/analytics/dashboard',
       });
 
       // Get clicks in period
-      const clicksInPeriod = await Click.count({
-        where: {
-          date_time: {
-            [Click.sequelize.Sequelize.Op.gte]: startDate
-          }
-        }
-      });
+      const clicksInPeriod = await AnalyticsService.countClicks({ from: startDate });
 
       // Get top URLs by clicks
       const topUrls = await Url.findAll({
+        where: { deleted_at: null },
         include: [
-          {
-            model: Click,
-            as: 'clicks',
-            attributes: []
-          },
           {
             model: User,
             as: 'user',
             attributes: ['username']
           }
         ],
-        attributes: {
-          include: [
-            [Url.sequelize.Sequelize.fn('COUNT', Url.sequelize.Sequelize.col('clicks.id')), 'click_count']
-          ]
-        },
-        group: ['Url.id', 'user.id'],
-        order: [[Url.sequelize.Sequelize.fn('COUNT', Url.sequelize.Sequelize.col('clicks.id')), 'DESC']],
-        limit: 10,
-        subQuery: false
+        order: [['click_count', 'DESC']],
+        limit: 10
       });
 
       // Get clicks by date for chart
-      const clicksByDate = await Click.findAll({
-        attributes: [
-          [Click.sequelize.Sequelize.fn('DATE_TRUNC', 'day', Click.sequelize.Sequelize.col('date_time')), 'date'],
-          [Click.sequelize.Sequelize.fn('COUNT', Click.sequelize.Sequelize.col('id')), 'count']
-        ],
-        where: {
-          date_time: {
-            [Click.sequelize.Sequelize.Op.gte]: startDate
-          }
-        },
-        group: [Click.sequelize.Sequelize.fn('DATE_TRUNC', 'day', Click.sequelize.Sequelize.col('date_time'))],
-        order: [[Click.sequelize.Sequelize.fn('DATE_TRUNC', 'day', Click.sequelize.Sequelize.col('date_time')), 'ASC']],
-        raw: true
-      });
+      const clicksByDate = await AnalyticsService.clicksByDate({ from: startDate, unit: 'day' });
 
       // Get top referrers
-      const topReferrers = await Click.findAll({
-        attributes: [
-          'referer',
-          [Click.sequelize.Sequelize.fn('COUNT', Click.sequelize.Sequelize.col('id')), 'count']
-        ],
-        where: {
-          referer: {
-            [Click.sequelize.Sequelize.Op.ne]: null
-          },
-          date_time: {
-            [Click.sequelize.Sequelize.Op.gte]: startDate
-          }
-        },
-        group: ['referer'],
-        order: [[Click.sequelize.Sequelize.fn('COUNT', Click.sequelize.Sequelize.col('id')), 'DESC']],
-        limit: 10,
-        raw: true
-      });
+      const topReferrers = await AnalyticsService.breakdown('referer', { from: startDate, limit: 10, includeEmpty: false });
 
       res.json({
         summary: {
@@ -644,4 +568,501 @@ router.get('/analytics/user-activity',
   }
 );
 
+// Short-code collision telemetry per algorithm since the server started
+router.get('/analytics/collisions',
+  async (req, res) => {
+    try {
+      res.json({
+        data: {
+          growth_threshold: CollisionService.threshold(),
+          window: CollisionService.windowSize(),
+          algorithms: await CollisionService.report(algorithms.list())
+        }
+      });
+
+    } catch (error) {
+      console.error('Collision telemetry error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch collision telemetry',
+        message: 'An error occurred while fetching collision telemetry'
+      });
+    }
+  }
+);
+
+// ===== TRASH =====
+
+// Get trashed URLs of every user
+router.get('/trash/urls',
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: urls } = await Url.findAndCountAll({
+        where: { deleted_at: { [Url.sequelize.Sequelize.Op.ne]: null }, merged_into_id: null },
+        order: [['deleted_at', 'DESC']],
+        limit: parseInt(limit),
+        offset: offset,
+        include: [
+          {
+            model: User,
+            as: 'user',
+            attributes: ['id', 'username', 'email']
+          }
+        ]
+      });
+
+      res.json({
+        data: urls.map(url => ({
+          id: url.id,
+          original_url: url.original_url,
+          short_url: url.short_url,
+          title: url.title,
+          click_count: url.click_count,
+          created_at: url.created_at,
+          deleted_at: url.deleted_at,
+          purge_at: TrashService.purgeAt(url.deleted_at),
+          user: url.user
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / parseInt(limit)),
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get trashed URLs error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch trash',
+        message: 'An error occurred while fetching deleted URLs'
+      });
+    }
+  }
+);
+
+// Get trashed users
+router.get('/trash/users',
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: users } = await User.findAndCountAll({
+        where: { deleted_at: { [User.sequelize.Sequelize.Op.ne]: null } },
+        order: [['deleted_at', 'DESC']],
+        limit: parseInt(limit),
+        offset: offset
+      });
+
+      res.json({
+        data: users.map(user => ({
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          created_at: user.created_at,
+          deleted_at: user.deleted_at,
+          purge_at: TrashService.purgeAt(user.deleted_at)
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / parseInt(limit)),
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get trashed users error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch trash',
+        message: 'An error occurred while fetching deleted users'
+      });
+    }
+  }
+);
+
+// Restore a trashed URL
+router.post('/trash/urls/:id/restore',
+  async (req, res) => {
+    try {
+      const url = await Url.findByPk(req.params.id, {
+        include: [{ model: User, as: 'user' }]
+      });
+
+      // Merged duplicates look trashed but are redirect stubs (see services/duplicateService.js)
+      if (!url || !url.deleted_at || url.merged_into_id) {
+        return res.status(404).json({
+          error: 'URL not found',
+          message: 'The requested URL is not in the trash'
+        });
+      }
+
+      if (url.user && url.user.deleted_at) {
+        return res.status(409).json({
+          error: 'Owner deleted',
+          message: 'The owner of this URL is in the trash; restore the user first'
+        });
+      }
+
+      await TrashService.restoreUrl(url);
+
+      res.json({
+        message: 'URL restored successfully',
+        data: {
+          id: url.id,
+          original_url: url.original_url,
+          short_url: url.short_url,
+          user_id: url.user_id
+        }
+      });
+
+    } catch (error) {
+      console.error('Restore URL error:', error);
+      res.status(500).json({
+        error: 'URL restore failed',
+        message: 'An error occurred while restoring the URL'
+      });
+    }
+  }
+);
+
+// Restore a trashed user with the URLs that were trashed along with them
+router.post('/trash/users/:id/restore',
+  async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id);
+
+      if (!user || !user.deleted_at) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'The requested user is not in the trash'
+        });
+      }
+
+      const restoredUrls = await TrashService.restoreUser(user);
+
+      res.json({
+        message: 'User restored successfully',
+        data: {
+          id: user.id,
+          username: user.username,
+          restored_urls: restoredUrls
+        }
+      });
+
+    } catch (error) {
+      console.error('Restore user error:', error);
+      res.status(500).json({
+        error: 'User restore failed',
+        message: 'An error occurred while restoring the user'
+      });
+    }
+  }
+);
+
+// Permanently delete a trashed URL or user now instead of at the next sweep
+router.delete('/trash/:type/:id',
+  async (req, res) => {
+    try {
+      const { type, id } = req.params;
+      const Model = { urls: Url, users: User }[type];
+      const record = Model ? await Model.findByPk(id) : null;
+
+      if (!record || !record.deleted_at || record.merged_into_id) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'The requested item is not in the trash'
+        });
+      }
+
+      await record.destroy();
+
+      res.json({
+        message: 'Permanently deleted'
+      });
+
+    } catch (error) {
+      console.error('Trash purge error:', error);
+      res.status(500).json({
+        error: 'Permanent deletion failed',
+        message: 'An error occurred while permanently deleting the item'
+      });
+    }
+  }
+);
+
+// ===== RESERVED ALIASES =====
+
+// Get the reserved alias list
+router.get('/reserved-aliases',
+  async (req, res) => {
+    try {
+      res.json({
+        data: await AliasService.reservedWords()
+      });
+
+    } catch (error) {
+      console.error('Reserved aliases fetch error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch reserved aliases',
+        message: 'An error occurred while fetching the reserved aliases'
+      });
+    }
+  }
+);
+
+// Reserve an alias so nobody can claim it; links already using it keep working
+router.post('/reserved-aliases',
+  async (req, res) => {
+    try {
+      const { word } = req.body;
+
+      if (typeof word !== 'string' || !SHORT_CODE_PATTERN.test(word.trim())) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Reserved words must be 1-20 letters, numbers, hyphens or underscores'
+        });
+      }
+
+      const entry = await AliasService.reserve(word);
+      if (!entry) {
+        return res.status(409).json({
+          error: 'Already reserved',
+          message: `"${word.trim()}" is already reserved`
+        });
+      }
+
+      res.status(201).json({
+        message: 'Alias reserved successfully',
+        data: entry
+      });
+
+    } catch (error) {
+      console.error('Reserve alias error:', error);
+      res.status(500).json({
+        error: 'Failed to reserve alias',
+        message: 'An error occurred while reserving the alias'
+      });
+    }
+  }
+);
+
+// Release an admin-reserved alias
+router.delete('/reserved-aliases/:word',
+  async (req, res) => {
+    try {
+      const { word } = req.params;
+
+      if (AliasService.isBuiltIn(word)) {
+        return res.status(400).json({
+          error: 'Built-in reserved word',
+          message: `"${word}" is used by the application and cannot be released`
+        });
+      }
+
+      if (!await AliasService.unreserve(word)) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `"${word}" is not on the reserved list`
+        });
+      }
+
+      res.json({
+        message: 'Alias released successfully'
+      });
+
+    } catch (error) {
+      console.error('Release alias error:', error);
+      res.status(500).json({
+        error: 'Failed to release alias',
+        message: 'An error occurred while releasing the alias'
+      });
+    }
+  }
+);
+
+// ===== BLOCKED WORDS =====
+
+// Get the denylist generated codes are filtered through
+router.get('/blocked-words',
+  async (req, res) => {
+    try {
+      res.json({
+        data: await WordFilterService.blockedTerms()
+      });
+
+    } catch (error) {
+      console.error('Blocked words fetch error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch blocked words',
+        message: 'An error occurred while fetching the blocked words'
+      });
+    }
+  }
+);
+
+// Existing short codes spelling a blocked term (all terms, or ?word=)
+router.get('/blocked-words/report',
+  async (req, res) => {
+    try {
+      const { word } = req.query;
+      let terms;
+      if (word) {
+        terms = [WordFilterService.normalizeTerm(word)];
+      } else {
+        const { built_in, custom } = await WordFilterService.blockedTerms();
+        terms = [...built_in, ...custom];
+      }
+
+      const matches = await WordFilterService.findMatchingUrls(terms);
+      res.json({
+        data: matches,
+        total: matches.length
+      });
+
+    } catch (error) {
+      console.error('Blocked words report error:', error);
+      res.status(500).json({
+        error: 'Failed to build report',
+        message: 'An error occurred while matching short codes against the blocked words'
+      });
+    }
+  }
+);
+
+// Block a term for future codes; the response lists existing codes that spell it
+router.post('/blocked-words',
+  async (req, res) => {
+    try {
+      const { word } = req.body;
+
+      if (typeof word !== 'string' || !WordFilterService.isValidTerm(word)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Blocked words must be 3-20 letters or numbers'
+        });
+      }
+
+      const entry = await WordFilterService.block(word);
+      if (!entry) {
+        return res.status(409).json({
+          error: 'Already blocked',
+          message: `"${word.trim()}" is already blocked`
+        });
+      }
+
+      const matches = await WordFilterService.findMatchingUrls([entry.word]);
+      res.status(201).json({
+        message: 'Word blocked successfully',
+        data: entry,
+        existing_matches: matches
+      });
+
+    } catch (error) {
+      console.error('Block word error:', error);
+      res.status(500).json({
+        error: 'Failed to block word',
+        message: 'An error occurred while blocking the word'
+      });
+    }
+  }
+);
+
+// Unblock an admin-added term
+router.delete('/blocked-words/:word',
+  async (req, res) => {
+    try {
+      const { word } = req.params;
+
+      if (WordFilterService.isBuiltIn(word)) {
+        return res.status(400).json({
+          error: 'Built-in blocked word',
+          message: `"${word}" is on the built-in list and cannot be unblocked`
+        });
+      }
+
+      if (!await WordFilterService.unblock(word)) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `"${word}" is not on the blocked list`
+        });
+      }
+
+      res.json({
+        message: 'Word unblocked successfully'
+      });
+
+    } catch (error) {
+      console.error('Unblock word error:', error);
+      res.status(500).json({
+        error: 'Failed to unblock word',
+        message: 'An error occurred while unblocking the word'
+      });
+    }
+  }
+);
+
+// ===== BACKUP & RESTORE =====
+
+// Export every user (with password hash), URL, click and rollup as NDJSON
+router.get('/export',
+  async (req, res) => {
+    const filename = `minurl-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`;
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      await BackupService.exportTo(res);
+      res.end();
+    } catch (error) {
+      console.error('Export error:', error);
+      // Headers are gone; cutting the stream leaves a file without its end line,
+      // which restore rejects
+      res.destroy(error);
+    }
+  }
+);
+
+// Replace the entire dataset with an NDJSON export
+router.post('/restore',
+  async (req, res) => {
+    if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+      return res.status(415).json({
+        error: 'Unsupported content type',
+        message: 'Send the backup file as the request body with Content-Type: application/x-ndjson'
+      });
+    }
+
+    try {
+      const counts = await BackupService.restoreFrom(req);
+
+      console.log(`♻️ Dataset restored by admin ${req.user.username}: ${Object.entries(counts).map(([table, count]) => `${count} ${table}`).join(', ')}`);
+      res.json({
+        message: 'Backup restored successfully',
+        data: counts
+      });
+
+    } catch (error) {
+      if (error instanceof BackupService.RestoreValidationError) {
+        return res.status(400).json({
+          error: 'Invalid backup',
+          message: error.message,
+          details: error.details
+        });
+      }
+
+      console.error('Restore error:', error);
+      res.status(500).json({
+        error: 'Restore failed',
+        message: 'An error occurred while restoring the backup'
+      });
+    }
+  }
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -1,5 +1,5 @@
 const express = require('express');
-const { Url, Click } = require('../models');
+const { Url, Click, sequelize } = require('../models');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { 
   validateUrl, 
@@ -7,9 +7,21 @@ const {
   urlShortenRateLimit,
   extractClientIp,
   validateShortCode,
-  sanitizeParams
+  sanitizeParams,
+  SHORT_CODE_PATTERN,
+  linkFieldError
 } = require('../middleware/security');
+const { idempotency } = require('../middleware/idempotency');
 const UrlService = require('../services/urlService');
+const AliasService = require('../services/aliasService');
+const DuplicateService = require('../services/duplicateService');
+const LinkPasswordService = require('../services/linkPasswordService');
+const ScheduleService = require('../services/scheduleService');
+const TargetingService = require('../services/targetingService');
+const algorithms = require('../algorithms');
+const AnalyticsService = require('../services/analyticsService');
+const { linkJson } = require('../views/linkJson');
+const { UniqueConstraintError } = require('../config/errors');
 
 const router = express.Router();
 
@@ -23,6 +35,7 @@ v1Router.post('/shorten',
   urlShortenRateLimit,
   extractClientIp,
   optionalAuth,
+  idempotency,
   validateUrl,
   handleValidationErrors,
   async (req, res) => {
@@ -32,8 +45,14 @@ v1Router.post('/shorten',
         title, 
         description, 
         expires_at, 
+        starts_at,
         algorithm = 'hash',
-        custom_options = {}
+        custom_options = {},
+        custom_alias,
+        reuse_existing,
+        redirect_status,
+        password,
+        interstitial
       } = req.body;
       
       // Normalize URL
@@ -50,28 +69,81 @@ v1Router.post('/shorten',
         });
       }
 
+      const { schedule, error: scheduleError } = ScheduleService.parse(req.body.schedule);
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_SCHEDULE',
+            message: scheduleError.message
+          }
+        });
+      }
+
+      const { rules: targetingRules, error: targetingError } = TargetingService.parse(req.body.targeting_rules);
+      if (targetingError) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_TARGETING_RULES',
+            message: targetingError.message
+          }
+        });
+      }
+
+      const expiresAt = expires_at ? new Date(expires_at) : null;
+      const startsAt = starts_at ? new Date(starts_at) : null;
+      const userId = req.user ? req.user.id : null;
+      const maxClicks = UrlService.requestedClickCap(req.body) || null;
+      const metadata = () => ({
+        request_id: req.headers['x-request-id'] || null,
+        timestamp: new Date().toISOString(),
+        rate_limit_remaining: res.getHeader('X-RateLimit-Remaining')
+      });
+
+      // Hand back the user's identical link instead of creating another; an alias, a password or a click cap always asks for a new link
+      if (!custom_alias && !password && !maxClicks && DuplicateService.shouldReuse(reuse_existing, req.user)) {
+        const existing = await DuplicateService.findReusable({
+          user_id: userId,
+          original_url: normalizedUrl,
+          expires_at: expiresAt,
+          redirect_status,
+          interstitial,
+          starts_at: startsAt,
+          schedule,
+          targeting_rules: targetingRules
+        });
+        if (existing) {
+          return res.json({
+            success: true,
+            data: { ...linkJson(existing), reused: true },
+            metadata: metadata()
+          });
+        }
+      }
+
       let shortCode;
       
-      // Generate short code based on algorithm
-      if (algorithm === 'custom' && Object.keys(custom_options).length > 0) {
-        // Use custom algorithm with developer-specified options
-        shortCode = UrlService.customAlgorithm(custom_options);
-        
-        // Ensure uniqueness
-        let attempts = 0;
-        while (attempts < 10) {
-          const existingUrl = await Url.findOne({ where: { short_url: shortCode } });
-          if (!existingUrl) break;
-          
-          shortCode = UrlService.customAlgorithm(custom_options);
-          attempts++;
-        }
-        
-        if (attempts >= 10) {
-          throw new Error('Unable to generate unique short code with custom options');
+      // Use the requested alias, or generate a short code based on algorithm
+      if (custom_alias) {
+        const unavailable = await AliasService.checkAvailable(custom_alias);
+        if (unavailable) {
+          return res.status(unavailable.status).json({
+            success: false,
+            error: {
+              code: unavailable.code,
+              message: unavailable.message
+            }
+          });
         }
+        shortCode = custom_alias;
       } else {
-        shortCode = await UrlService.generateShortCode(algorithm, normalizedUrl);
+        // Check the algorithm exists and custom_options match its schema
+        const { error } = UrlService.resolveAlgorithm(algorithm, custom_options);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+        shortCode = await UrlService.generateShortCode(algorithm, normalizedUrl, custom_options);
       }
       
       // Create URL record
@@ -80,35 +152,43 @@ v1Router.post('/shorten',
         short_url: shortCode,
         title: title || null,
         description: description || null,
-        expires_at: expires_at ? new Date(expires_at) : null,
-        user_id: req.user ? req.user.id : null
+        expires_at: expiresAt,
+        redirect_status: redirect_status || null,
+        password_hash: password ? await LinkPasswordService.hash(password) : null,
+        interstitial: interstitial === true,
+        max_clicks: maxClicks,
+        starts_at: startsAt,
+        schedule,
+        targeting_rules: targetingRules,
+        user_id: userId
       };
 
       const url = await Url.create(urlData);
-      const domain = process.env.APP_DOMAIN || 'mini.cloudrakshak.com';
 
       res.status(201).json({
         success: true,
         data: {
-          id: url.id,
-          original_url: url.original_url,
-          short_url: url.short_url,
-          full_short_url: `https://${domain}/${url.short_url}`,
-          title: url.title,
-          description: url.description,
-          expires_at: url.expires_at,
-          created_at: url.created_at,
-          is_active: url.is_active,
-          algorithm_used: algorithm
+          ...linkJson(url),
+          algorithm_used: custom_alias ? 'alias' : algorithm
         },
-        metadata: {
-          request_id: req.headers['x-request-id'] || null,
-          timestamp: new Date().toISOString(),
-          rate_limit_remaining: res.getHeader('X-RateLimit-Remaining')
-        }
+        metadata: metadata()
       });
 
     } catch (error) {
+      if (error instanceof UniqueConstraintError && req.body.custom_alias) {
+        const { status, code, message } = AliasService.takenError(req.body.custom_alias);
+        return res.status(status).json({ success: false, error: { code, message } });
+      }
+      // A generated code claimed by someone else between generation and insert
+      if (error instanceof UniqueConstraintError) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'CODE_CONFLICT',
+            message: 'The generated short code was taken in the meantime, please retry'
+          }
+        });
+      }
       console.error('API URL shortening error:', error);
       res.status(500).json({
         success: false,
@@ -122,14 +202,110 @@ v1Router.post('/shorten',
   }
 );
 
+/**
+ * Validate one bulk item and pick its short code without writing anything
+ * @param {Object} urlData - Item from the request's urls array
+ * @param {Object} options - { algorithm, custom_options, userId, reserved: codes already taken by this batch,
+ *   reuse: whether to reuse identical links, pending: records of an atomic batch by destination key }
+ * @returns {Promise<Object>} - { record } ready for Url.create, { existing } or { duplicateOf: record } to reuse,
+ *   or { error: { code, message } }
+ */
+const prepareBulkItem = async (urlData, { algorithm, custom_options, userId, reserved, reuse, pending }) => {
+  const { original_url, title, description, expires_at, starts_at, custom_alias, redirect_status, password, interstitial } = urlData;
+
+  // Validate required field
+  if (!original_url) {
+    return { error: { code: 'MISSING_URL', message: 'original_url is required' } };
+  }
+
+  // Normalize and validate URL
+  const normalizedUrl = UrlService.normalizeUrl(original_url);
+  if (!UrlService.isValidUrl(normalizedUrl)) {
+    return { error: { code: 'INVALID_URL', message: 'Invalid URL format' } };
+  }
+
+  const fieldError = linkFieldError(urlData);
+  if (fieldError) {
+    return { error: { code: fieldError.code, message: fieldError.message } };
+  }
+  const maxClicks = UrlService.requestedClickCap(urlData) || null;
+  const { schedule, error: scheduleError } = ScheduleService.parse(urlData.schedule);
+  if (scheduleError) {
+    return { error: { code: 'INVALID_SCHEDULE', message: scheduleError.message } };
+  }
+  const { rules: targetingRules, error: targetingError } = TargetingService.parse(urlData.targeting_rules);
+  if (targetingError) {
+    return { error: { code: 'INVALID_TARGETING_RULES', message: targetingError.message } };
+  }
+
+  const hasAlias = custom_alias !== undefined && custom_alias !== null && custom_alias !== '';
+  const destination = {
+    user_id: userId,
+    original_url: normalizedUrl,
+    expires_at: expires_at ? new Date(expires_at) : null,
+    redirect_status: redirect_status || null,
+    interstitial: interstitial === true,
+    starts_at: starts_at ? new Date(starts_at) : null,
+    schedule,
+    targeting_rules: targetingRules
+  };
+
+  // Reuse the user's identical link, or one this atomic batch is about to create
+  const reusable = reuse && !hasAlias && !password && !maxClicks;
+  if (reusable) {
+    const existing = await DuplicateService.findReusable(destination);
+    if (existing) return { existing };
+    const pendingRecord = pending && pending.get(DuplicateService.destinationKey(destination));
+    if (pendingRecord) return { duplicateOf: pendingRecord };
+  }
+
+  // Claim the requested alias, or generate a short code, unique in the database and within the batch
+  let shortCode;
+  if (hasAlias) {
+    if (typeof custom_alias !== 'string' || !SHORT_CODE_PATTERN.test(custom_alias)) {
+      return { error: { code: 'INVALID_ALIAS', message: 'Custom alias must be 1-20 letters, numbers, hyphens or underscores' } };
+    }
+    const unavailable = reserved.has(custom_alias)
+      ? AliasService.takenError(custom_alias)
+      : await AliasService.checkAvailable(custom_alias);
+    if (unavailable) {
+      return { error: { code: unavailable.code, message: unavailable.message } };
+    }
+    shortCode = custom_alias;
+  } else {
+    try {
+      shortCode = await UrlService.generateShortCode(algorithm, normalizedUrl, custom_options, reserved);
+    } catch (error) {
+      return { error: { code: 'GENERATION_FAILED', message: 'Unable to generate unique short code' } };
+    }
+  }
+  reserved.add(shortCode);
+
+  const record = {
+    ...destination,
+    short_url: shortCode,
+    title: title || null,
+    description: description || null,
+    password_hash: password ? await LinkPasswordService.hash(password) : null,
+    max_clicks: maxClicks
+  };
+  if (reusable && pending) {
+    pending.set(DuplicateService.destinationKey(destination), record);
+  }
+  return { record };
+};
+
 // Bulk URL shortening
+// With atomic: true every item is validated and given a code first, then all
+// URLs are created in one transaction; any failure creates none of them
 v1Router.post('/shorten/bulk',
   urlShortenRateLimit,
   extractClientIp,
   optionalAuth,
+  idempotency,
   async (req, res) => {
     try {
-      const { urls, algorithm = 'hash', custom_options = {} } = req.body;
+      const { urls, algorithm = 'hash', custom_options = {}, atomic = false, reuse_existing } = req.body;
       
       if (!Array.isArray(urls) || urls.length === 0) {
         return res.status(400).json({
@@ -151,107 +327,111 @@ v1Router.post('/shorten/bulk',
         });
       }
 
+      if (reuse_existing !== undefined && reuse_existing !== null && typeof reuse_existing !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_INPUT',
+            message: 'reuse_existing must be true or false'
+          }
+        });
+      }
+
+      // One algorithm for the whole batch: reject it before touching any item
+      const { error: algorithmError } = UrlService.resolveAlgorithm(algorithm, custom_options);
+      if (algorithmError) {
+        return res.status(400).json({ success: false, error: algorithmError });
+      }
+
       const results = [];
-      const domain = process.env.APP_DOMAIN || 'mini.cloudrakshak.com';
+      const options = {
+        algorithm,
+        custom_options,
+        userId: req.user ? req.user.id : null,
+        reserved: new Set(),
+        reuse: DuplicateService.shouldReuse(reuse_existing, req.user),
+        pending: atomic === true ? new Map() : null
+      };
+
+      if (atomic === true) {
+        const prepared = [];
+        for (const urlData of urls) {
+          prepared.push(await prepareBulkItem(urlData || {}, options));
+        }
+
+        const failures = prepared
+          .map((item, index) => ({ index, original_url: (urls[index] || {}).original_url, error: item.error }))
+          .filter(item => item.error);
+        if (failures.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'BATCH_VALIDATION_FAILED',
+              message: `${failures.length} of ${urls.length} URLs are invalid; none were created`,
+              details: failures
+            }
+          });
+        }
 
-      for (const urlData of urls) {
         try {
-          const { original_url, title, description, expires_at } = urlData;
-          
-          // Validate required field
-          if (!original_url) {
-            results.push({
-              original_url: original_url,
+          const created = await sequelize.transaction(async () => {
+            const rows = new Map();
+            for (const item of prepared) {
+              if (item.record) rows.set(item.record, await Url.create(item.record));
+            }
+            return rows;
+          });
+          prepared.forEach((item, index) => {
+            const url = item.existing || created.get(item.record || item.duplicateOf);
+            const data = item.record ? linkJson(url) : { ...linkJson(url), reused: true };
+            results.push({ original_url: urls[index].original_url, success: true, data });
+          });
+        } catch (error) {
+          // A code taken by a concurrent request between generation and commit
+          if (error instanceof UniqueConstraintError) {
+            return res.status(409).json({
               success: false,
               error: {
-                code: 'MISSING_URL',
-                message: 'original_url is required'
+                code: 'BATCH_ROLLED_BACK',
+                message: 'A short code was taken while the batch was being created; none were created, please retry'
               }
             });
-            continue;
           }
+          throw error;
+        }
+      } else {
+        for (const urlData of urls) {
+          try {
+            const { record, existing, error } = await prepareBulkItem(urlData, options);
+            if (error) {
+              results.push({ original_url: urlData.original_url, success: false, error });
+              continue;
+            }
+            if (existing) {
+              results.push({ original_url: urlData.original_url, success: true, data: { ...linkJson(existing), reused: true } });
+              continue;
+            }
+
+            // Create URL record
+            const url = await Url.create(record);
+            results.push({ original_url: urlData.original_url, success: true, data: linkJson(url) });
 
-          // Normalize and validate URL
-          const normalizedUrl = UrlService.normalizeUrl(original_url);
-          if (!UrlService.isValidUrl(normalizedUrl)) {
+          } catch (error) {
             results.push({
-              original_url: original_url,
+              original_url: (urlData && urlData.original_url) || 'unknown',
               success: false,
               error: {
-                code: 'INVALID_URL',
-                message: 'Invalid URL format'
+                code: 'PROCESSING_ERROR',
+                message: 'Error processing this URL'
               }
             });
-            continue;
           }
-
-          // Generate short code
-          let shortCode;
-          if (algorithm === 'custom' && Object.keys(custom_options).length > 0) {
-            shortCode = UrlService.customAlgorithm(custom_options);
-            
-            // Ensure uniqueness
-            let attempts = 0;
-            while (attempts < 5) {
-              const existingUrl = await Url.findOne({ where: { short_url: shortCode } });
-              if (!existingUrl) break;
-              
-              shortCode = UrlService.customAlgorithm(custom_options);
-              attempts++;
-            }
-            
-            if (attempts >= 5) {
-              results.push({
-                original_url: original_url,
-                success: false,
-                error: {
-                  code: 'GENERATION_FAILED',
-                  message: 'Unable to generate unique short code'
-                }
-              });
-              continue;
-            }
-          } else {
-            shortCode = await UrlService.generateShortCode(algorithm, normalizedUrl);
-          }
-
-          // Create URL record
-          const url = await Url.create({
-            original_url: normalizedUrl,
-            short_url: shortCode,
-            title: title || null,
-            description: description || null,
-            expires_at: expires_at ? new Date(expires_at) : null,
-            user_id: req.user ? req.user.id : null
-          });
-
-          results.push({
-            original_url: original_url,
-            success: true,
-            data: {
-              id: url.id,
-              original_url: url.original_url,
-              short_url: url.short_url,
-              full_short_url: `https://${domain}/${url.short_url}`,
-              title: url.title,
-              created_at: url.created_at
-            }
-          });
-
-        } catch (error) {
-          results.push({
-            original_url: urlData.original_url || 'unknown',
-            success: false,
-            error: {
-              code: 'PROCESSING_ERROR',
-              message: 'Error processing this URL'
-            }
-          });
         }
       }
 
       const successCount = results.filter(r => r.success).length;
       const failureCount = results.length - successCount;
+      const reusedCount = results.filter(r => r.success && r.data.reused).length;
 
       res.json({
         success: true,
@@ -260,7 +440,9 @@ v1Router.post('/shorten/bulk',
           summary: {
             total: results.length,
             successful: successCount,
-            failed: failureCount
+            failed: failureCount,
+            reused: reusedCount,
+            atomic: atomic === true
           }
         },
         metadata: {
@@ -312,12 +494,22 @@ v1Router.get('/url/:shortCode',
         });
       }
 
+      if (url.deleted_at) {
+        return res.status(410).json({
+          success: false,
+          error: {
+            code: 'URL_DELETED',
+            message: 'The requested shortened URL has been deleted'
+          }
+        });
+      }
+
       let analytics = null;
       if (include_analytics === 'true') {
-        const totalClicks = await Click.count({ where: { url_id: url.id } });
-        const clicksToday = await Click.getClicksByPeriod(url.id, 'day');
-        const clicksThisWeek = await Click.getClicksByPeriod(url.id, 'week');
-        const clicksThisMonth = await Click.getClicksByPeriod(url.id, 'month');
+        const totalClicks = await AnalyticsService.countClicks({ urlId: url.id });
+        const clicksToday = await AnalyticsService.countClicks({ urlId: url.id, from: AnalyticsService.since('day') });
+        const clicksThisWeek = await AnalyticsService.countClicks({ urlId: url.id, from: AnalyticsService.since('week') });
+        const clicksThisMonth = await AnalyticsService.countClicks({ urlId: url.id, from: AnalyticsService.since('month') });
 
         analytics = {
           total_clicks: totalClicks,
@@ -327,21 +519,11 @@ v1Router.get('/url/:shortCode',
         };
       }
 
-      const domain = process.env.APP_DOMAIN || 'mini.cloudrakshak.com';
-
+      // Anyone may look a code up; the password guards every destination of a protected link
       res.json({
         success: true,
         data: {
-          id: url.id,
-          original_url: url.original_url,
-          short_url: url.short_url,
-          full_short_url: `https://${domain}/${url.short_url}`,
-          title: url.title,
-          description: url.description,
-          is_active: url.is_active,
-          expires_at: url.expires_at,
-          created_at: url.created_at,
-          updated_at: url.updated_at,
+          ...linkJson(url, { hideProtected: true }),
           analytics: analytics
         }
       });
@@ -375,19 +557,32 @@ v1Router.post('/validate',
         });
       }
 
-      const normalizedUrl = UrlService.normalizeUrl(url);
-      const isValid = UrlService.isValidUrl(normalizedUrl);
-      const domain = isValid ? UrlService.extractDomain(normalizedUrl) : null;
+      if (typeof url !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_URL',
+            message: 'URL parameter must be a string'
+          }
+        });
+      }
+
+      // The same canonical form shortening stores
+      const { url: canonicalUrl, transformations } = UrlService.canonicalizeUrl(url);
+      const isValid = UrlService.isValidUrl(canonicalUrl);
+      const domain = isValid ? UrlService.extractDomain(canonicalUrl) : null;
 
       res.json({
         success: true,
         data: {
           original_url: url,
-          normalized_url: normalizedUrl,
+          normalized_url: canonicalUrl,
+          canonical_url: canonicalUrl,
+          transformations,
           is_valid: isValid,
           domain: domain,
           validation_details: {
-            has_protocol: url.startsWith('http://') || url.startsWith('https://'),
+            has_protocol: /^[a-z][a-z0-9+.-]*:\/\//i.test(url.trim()),
             is_reachable: null // Could be enhanced with actual reachability check
           }
         }
@@ -412,33 +607,7 @@ v1Router.get('/algorithms',
     res.json({
       success: true,
       data: {
-        algorithms: [
-          {
-            name: 'hash',
-            description: 'MD5 hash-based algorithm with timestamp',
-            default_length: 6,
-            supports_custom_options: false
-          },
-          {
-            name: 'uuid',
-            description: 'UUID-based algorithm',
-            default_length: 8,
-            supports_custom_options: false
-          },
-          {
-            name: 'custom',
-            description: 'Customizable algorithm with developer options',
-            default_length: 7,
-            supports_custom_options: true,
-            options: {
-              length: 'Code length (4-12 characters)',
-              includeNumbers: 'Include numbers (true/false)',
-              includeUppercase: 'Include uppercase letters (true/false)',
-              includeLowercase: 'Include lowercase letters (true/false)',
-              excludeSimilar: 'Exclude similar looking characters (true/false)'
-            }
-          }
-        ]
+        algorithms: algorithms.list().map(algorithms.describe)
       }
     });
   }
@@ -496,14 +665,9 @@ v1Router.get('/stats',
         }
       });
 
-      const totalClicks = await Click.count({
-        include: [{
-          model: Url,
-          as: 'url',
-          where: { user_id: userId },
-          attributes: []
-        }]
-      });
+      // Summed from the per-URL counters, which outlive pruned raw clicks
+      const userUrls = await Url.findAll({ where: { user_id: userId }, attributes: ['click_count'] });
+      const totalClicks = userUrls.reduce((sum, url) => sum + (url.click_count || 0), 0);
 
       res.json({
         success: true,
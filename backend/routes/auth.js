@@ -5,6 +5,7 @@ const { generateToken, authenticateToken } = require('../middleware/auth');
 const { 
   validateUserRegistration, 
   validateUserLogin, 
+  validateUserPreferences,
   handleValidationErrors,
   authRateLimit
 } = require('../middleware/security');
@@ -100,8 +101,8 @@ router.post('/login',
       // Add user methods
       const user = UserMethods.addUserMethods(foundUser);
 
-      // Check if user is active
-      if (!user.isActive) {
+      // Check if user is active (deleted users stay disabled until restored)
+      if (!user.isActive || user.deleted_at) {
         return res.status(401).json({
           error: 'Account disabled',
           message: 'Your account has been disabled. Please contact support.'
@@ -162,6 +163,7 @@ router.get('/profile',
           username: req.user.username,
           email: req.user.email,
           role: req.user.role,
+          reuse_existing: Boolean(req.user.reuse_existing),
           created_at: req.user.created_at,
           updated_at: req.user.updated_at
         }
@@ -181,12 +183,13 @@ router.put('/profile',
   authenticateToken,
   [
     validateUserRegistration[0], // username validation
-    validateUserRegistration[1]  // email validation
+    validateUserRegistration[1], // email validation
+    ...validateUserPreferences
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { username, email } = req.body;
+      const { username, email, reuse_existing } = req.body;
       const userId = req.user.id;
 
       // Check if new username/email is already taken by another user
@@ -218,7 +221,11 @@ router.put('/profile',
       }
 
       // Update user
-      await req.user.update({ username, email });
+      await req.user.update({
+        username,
+        email,
+        ...(reuse_existing !== undefined && { reuse_existing })
+      });
 
       res.json({
         message: 'Profile updated successfully',
@@ -227,6 +234,7 @@ router.put('/profile',
           username: req.user.username,
           email: req.user.email,
           role: req.user.role,
+          reuse_existing: Boolean(req.user.reuse_existing),
           updated_at: req.user.updated_at
         }
       });
@@ -7,12 +7,29 @@ const {
   urlShortenRateLimit,
   extractClientIp,
   validateShortCode,
+  linkUnlockRateLimit,
   sanitizeParams
 } = require('../middleware/security');
 const UrlService = require('../services/urlService');
+const CodeCheckService = require('../services/codeCheckService');
+const AnalyticsService = require('../services/analyticsService');
+const TrashService = require('../services/trashService');
+const AliasService = require('../services/aliasService');
+const DuplicateService = require('../services/duplicateService');
+const LinkPasswordService = require('../services/linkPasswordService');
+const PreviewService = require('../services/previewService');
+const ScheduleService = require('../services/scheduleService');
+const TargetingService = require('../services/targetingService');
+const VisitorService = require('../services/visitorService');
+const { sendUnlockPage, sendPreviewPage } = require('../views/linkPages');
+const { linkJson } = require('../views/linkJson');
+const { UniqueConstraintError } = require('../config/errors');
+const { redirectStatus, redirectCacheControl } = require('../config/redirects');
 
 const router = express.Router();
 
+const EXHAUSTED = { error: 'URL exhausted', message: 'This shortened URL has reached its click limit' };
+
 // Shorten URL
 router.post('/shorten',
   urlShortenRateLimit,
@@ -22,7 +39,7 @@ router.post('/shorten',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { original_url, title, description, expires_at, algorithm = 'hash' } = req.body;
+      const { original_url, title, description, expires_at, starts_at, algorithm = 'hash', custom_alias, reuse_existing, redirect_status, password, interstitial } = req.body;
       
       // Normalize URL
       const normalizedUrl = UrlService.normalizeUrl(original_url);
@@ -35,8 +52,68 @@ router.post('/shorten',
         });
       }
 
-      // Generate short code
-      const shortCode = await UrlService.generateShortCode(algorithm, normalizedUrl);
+      const { schedule, error: scheduleError } = ScheduleService.parse(req.body.schedule);
+      if (scheduleError) {
+        return res.status(400).json({
+          error: 'Invalid schedule',
+          message: scheduleError.message
+        });
+      }
+
+      const { rules: targetingRules, error: targetingError } = TargetingService.parse(req.body.targeting_rules);
+      if (targetingError) {
+        return res.status(400).json({
+          error: 'Invalid targeting rules',
+          message: targetingError.message
+        });
+      }
+
+      const expiresAt = expires_at ? new Date(expires_at) : null;
+      const startsAt = starts_at ? new Date(starts_at) : null;
+      const userId = req.user ? req.user.id : null;
+      const maxClicks = UrlService.requestedClickCap(req.body) || null;
+
+      // Hand back the user's identical link instead of creating another; an alias, a password or a click cap always asks for a new link
+      if (!custom_alias && !password && !maxClicks && DuplicateService.shouldReuse(reuse_existing, req.user)) {
+        const existing = await DuplicateService.findReusable({
+          user_id: userId,
+          original_url: normalizedUrl,
+          expires_at: expiresAt,
+          redirect_status,
+          interstitial,
+          starts_at: startsAt,
+          schedule,
+          targeting_rules: targetingRules
+        });
+        if (existing) {
+          return res.json({
+            message: 'Existing short URL reused',
+            data: { ...linkJson(existing), reused: true }
+          });
+        }
+      }
+
+      // Use the requested alias, or generate a short code
+      let shortCode;
+      if (custom_alias) {
+        const unavailable = await AliasService.checkAvailable(custom_alias);
+        if (unavailable) {
+          return res.status(unavailable.status).json({
+            error: 'Alias unavailable',
+            message: unavailable.message
+          });
+        }
+        shortCode = custom_alias;
+      } else {
+        const { error } = UrlService.resolveAlgorithm(algorithm);
+        if (error) {
+          return res.status(400).json({
+            error: 'Invalid algorithm',
+            message: error.message
+          });
+        }
+        shortCode = await UrlService.generateShortCode(algorithm, normalizedUrl);
+      }
       
       // Create URL record
       const urlData = {
@@ -44,29 +121,38 @@ router.post('/shorten',
         short_url: shortCode,
         title: title || null,
         description: description || null,
-        expires_at: expires_at ? new Date(expires_at) : null,
-        user_id: req.user ? req.user.id : null
+        expires_at: expiresAt,
+        redirect_status: redirect_status || null,
+        password_hash: password ? await LinkPasswordService.hash(password) : null,
+        interstitial: interstitial === true,
+        max_clicks: maxClicks,
+        starts_at: startsAt,
+        schedule,
+        targeting_rules: targetingRules,
+        user_id: userId
       };
 
       const url = await Url.create(urlData);
-      const domain = process.env.APP_DOMAIN || 'mini.cloudrakshak.com';
 
       res.status(201).json({
         message: 'URL shortened successfully',
-        data: {
-          id: url.id,
-          original_url: url.original_url,
-          short_url: url.short_url,
-          full_short_url: `https://${domain}/${url.short_url}`,
-          title: url.title,
-          description: url.description,
-          expires_at: url.expires_at,
-          created_at: url.created_at,
-          is_active: url.is_active
-        }
+        data: linkJson(url)
       });
 
     } catch (error) {
+      if (error instanceof UniqueConstraintError && req.body.custom_alias) {
+        return res.status(409).json({
+          error: 'Alias unavailable',
+          message: AliasService.takenError(req.body.custom_alias).message
+        });
+      }
+      // A generated code claimed by someone else between generation and insert
+      if (error instanceof UniqueConstraintError) {
+        return res.status(409).json({
+          error: 'Short code conflict',
+          message: 'The generated short code was taken in the meantime, please retry'
+        });
+      }
       console.error('URL shortening error:', error);
       res.status(500).json({
         error: 'URL shortening failed',
@@ -76,66 +162,204 @@ router.post('/shorten',
   }
 );
 
+// ===== REDIRECT =====
+
+/**
+ * The live link a short code leads to
+ * @param {string} shortCode
+ * @returns {Promise<Object>} - { url }, or { status, body } for the error response
+ */
+const findRedirectTarget = async (shortCode) => {
+  // Find URL by short code, falling back to codes it could be a mistyping of
+  let url = await Url.findOne({ where: { short_url: shortCode } });
+
+  // Without an exact match, a wrong check character means a mistyped code; no
+  // need to look further. Codes that merely end like one, such as an alias
+  // "promo-a", still resolve above.
+  if (!url && CodeCheckService.enabled() && CodeCheckService.hasCheckShape(shortCode) && !CodeCheckService.isValid(shortCode)) {
+    return {
+      status: 404,
+      body: {
+        error: 'URL not found',
+        message: 'This short code looks mistyped: its check character does not match'
+      }
+    };
+  }
+
+  if (!url) {
+    const similar = await CodeCheckService.findSimilar(shortCode);
+    if (CodeCheckService.foldingEnabled() && similar.length === 1) {
+      url = await Url.findOne({ where: { id: similar[0].id } });
+    } else {
+      const domain = process.env.APP_DOMAIN || 'mini.cloudrakshak.com';
+      return {
+        status: 404,
+        body: {
+          error: 'URL not found',
+          message: 'The shortened URL you requested does not exist',
+          ...(similar.length && {
+            suggestions: similar.map(candidate => ({
+              short_url: candidate.short_url,
+              full_short_url: `https://${domain}/${candidate.short_url}`
+            }))
+          })
+        }
+      };
+    }
+  }
+
+  // A merged duplicate redirects, and counts its clicks, as the link it was merged into
+  if (url.merged_into_id) {
+    url = await Url.findOne({ where: { id: url.merged_into_id } });
+  }
+
+  // Trashed links keep their code reserved but no longer redirect
+  if (url.deleted_at) {
+    return { status: 410, body: { error: 'URL deleted', message: 'This shortened URL has been deleted' } };
+  }
+
+  // Check if URL is active
+  if (!url.is_active) {
+    return { status: 410, body: { error: 'URL disabled', message: 'This shortened URL has been disabled' } };
+  }
+
+  // Check if URL is expired
+  if (UrlService.isExpired(url)) {
+    return { status: 410, body: { error: 'URL expired', message: 'This shortened URL has expired' } };
+  }
+
+  // Capped links stop once their clicks are used up
+  if (UrlService.isExhausted(url)) {
+    return { status: 410, body: EXHAUSTED };
+  }
+
+  // Scheduled links are held back until their starts_at
+  if (UrlService.isPending(url)) {
+    return {
+      status: 404,
+      body: { error: 'URL not active yet', message: 'This shortened URL is not active yet', starts_at: url.starts_at }
+    };
+  }
+
+  return { url };
+};
+
+// A "+" after the code asks for the link's preview (see services/previewService.js)
+const previewSuffix = (req, res, next) => {
+  const { shortCode } = req.params;
+  if (shortCode && shortCode.endsWith('+')) {
+    req.preview = true;
+    req.params.shortCode = shortCode.slice(0, -1);
+  }
+  next();
+};
+
+/**
+ * Where this visit to a live link goes
+ * A matching targeting rule wins; otherwise the link's schedule decides.
+ * @param {Object} req
+ * @param {Object} url
+ * @returns {{original_url: string, slot: number|null, rule: number|null, visitor: Object}} - slot is
+ *   the schedule slot that served the visit (null when a rule did), rule the targeting rule (0 for none)
+ */
+const resolveDestination = (req, url) => {
+  const visitor = VisitorService.describe(req);
+  const targeted = TargetingService.resolve(url, visitor);
+  const scheduled = ScheduleService.resolve(url);
+  return {
+    original_url: targeted.original_url || scheduled.original_url,
+    slot: targeted.original_url ? null : scheduled.slot,
+    rule: targeted.rule,
+    visitor
+  };
+};
+
+// Track click analytics, with the schedule slot or targeting rule that served the click
+// Returns false when a capped link has no clicks left (another visitor took
+// the last one since it was looked up); the visit must not go through then.
+const trackClick = async (req, url, destination) => {
+  try {
+    const { visitor } = destination;
+    const referer = req.headers.referer || req.headers.referrer || null;
+
+    const click = await Click.create({
+      url_id: url.id,
+      ip_address: req.clientIp,
+      user_agent: visitor.user_agent,
+      referer: referer,
+      country: visitor.country,
+      browser: visitor.browser,
+      os: visitor.os,
+      device_type: visitor.device_type,
+      schedule_slot: destination.slot,
+      targeting_rule: destination.rule,
+      date_time: new Date()
+    });
+    return click !== null;
+  } catch (analyticsError) {
+    console.error('Analytics tracking error:', analyticsError);
+    // Don't fail the redirect if analytics fails, unless the click is what enforces a cap
+    return !url.max_clicks;
+  }
+};
+
 // Redirect shortened URL and track analytics
+// A password-protected link asks for its password instead, unless this
+// browser unlocked it recently. A preview request shows where the link goes
+// without counting a click; an interstitial link shows that page with a
+// countdown, counting the click. A targeted link goes where the first rule
+// matching the visitor points; otherwise a scheduled link goes wherever its
+// schedule points at the time of the visit.
 router.get('/:shortCode',
   extractClientIp,
+  previewSuffix,
   validateShortCode,
   async (req, res) => {
     try {
       const { shortCode } = req.params;
-      
-      // Find URL by short code
-      const url = await Url.findOne({ where: { short_url: shortCode } });
-      
+      const { url, status: errorStatus, body } = await findRedirectTarget(shortCode);
       if (!url) {
-        return res.status(404).json({
-          error: 'URL not found',
-          message: 'The shortened URL you requested does not exist'
-        });
+        return res.status(errorStatus).json(body);
       }
 
-      // Check if URL is active
-      if (!url.is_active) {
-        return res.status(410).json({
-          error: 'URL disabled',
-          message: 'This shortened URL has been disabled'
-        });
+      const locked = LinkPasswordService.isProtected(url);
+      if (locked && !LinkPasswordService.isUnlocked(req, url)) {
+        return sendUnlockPage(res, 401, { shortCode });
       }
 
-      // Check if URL is expired
-      if (UrlService.isExpired(url)) {
-        return res.status(410).json({
-          error: 'URL expired',
-          message: 'This shortened URL has expired'
+      const destination = resolveDestination(req, url);
+
+      if (PreviewService.isRequested(req)) {
+        return sendPreviewPage(res, {
+          url,
+          destination: destination.original_url,
+          shortCode,
+          warnings: PreviewService.safetyWarnings(destination.original_url)
         });
       }
 
-      // Track click analytics
-      try {
-        const userAgent = req.headers['user-agent'] || '';
-        const referer = req.headers.referer || req.headers.referrer || null;
-        
-        // Basic device detection
-        let deviceType = 'other';
-        if (userAgent.includes('Mobile')) deviceType = 'mobile';
-        else if (userAgent.includes('Tablet')) deviceType = 'tablet';
-        else if (userAgent.includes('Desktop') || userAgent.includes('Windows') || userAgent.includes('Mac')) deviceType = 'desktop';
-
-        await Click.create({
-          url_id: url.id,
-          ip_address: req.clientIp,
-          user_agent: userAgent,
-          referer: referer,
-          device_type: deviceType,
-          date_time: new Date()
+      if (!await trackClick(req, url, destination)) {
+        return res.status(410).json(EXHAUSTED);
+      }
+
+      if (url.interstitial) {
+        return sendPreviewPage(res, {
+          url,
+          destination: destination.original_url,
+          shortCode,
+          warnings: PreviewService.safetyWarnings(destination.original_url),
+          countdown: PreviewService.interstitialSeconds()
         });
-      } catch (analyticsError) {
-        console.error('Analytics tracking error:', analyticsError);
-        // Don't fail the redirect if analytics fails
       }
 
-      // Redirect to original URL
-      res.redirect(301, url.original_url);
+      // Redirect to this visitor's current destination; only permanent
+      // redirects of unprotected, untargeted, uncapped links may be cached,
+      // and never past a scheduled switch
+      const status = redirectStatus(url);
+      const uncacheable = locked || Boolean(url.targeting_rules) || Boolean(url.max_clicks)
+        || ScheduleService.hasPendingSwitch(url);
+      res.set('Cache-Control', uncacheable ? 'private, no-store' : redirectCacheControl(status, url.expires_at));
+      res.redirect(status, destination.original_url);
 
     } catch (error) {
       console.error('URL redirect error:', error);
@@ -147,6 +371,58 @@ router.get('/:shortCode',
   }
 );
 
+// Unlock a password-protected link (the form served by the redirect above)
+// A correct password is remembered for this browser, counts as a click and
+// redirects with 303, so the browser follows with a GET whatever the link's
+// status. Unlocking a preview goes back to the preview, counting nothing.
+router.post('/:shortCode',
+  extractClientIp,
+  previewSuffix,
+  validateShortCode,
+  linkUnlockRateLimit,
+  async (req, res) => {
+    try {
+      const { shortCode } = req.params;
+      const { url, status: errorStatus, body } = await findRedirectTarget(shortCode);
+      if (!url) {
+        return res.status(errorStatus).json(body);
+      }
+
+      if (!LinkPasswordService.isProtected(url)) {
+        return res.status(400).json({
+          error: 'Not password protected',
+          message: 'This shortened URL does not need a password'
+        });
+      }
+
+      if (!await LinkPasswordService.verify(url, req.body.password)) {
+        return sendUnlockPage(res, 401, { shortCode, error: 'Incorrect password' });
+      }
+
+      LinkPasswordService.rememberUnlock(res, url);
+      res.set('Cache-Control', 'private, no-store');
+
+      // Relative, so it works at /:shortCode and /urls/:shortCode alike
+      if (PreviewService.isRequested(req)) {
+        return res.redirect(303, `${shortCode}+`);
+      }
+
+      const destination = resolveDestination(req, url);
+      if (!await trackClick(req, url, destination)) {
+        return res.status(410).json(EXHAUSTED);
+      }
+      res.redirect(303, destination.original_url);
+
+    } catch (error) {
+      console.error('URL unlock error:', error);
+      res.status(500).json({
+        error: 'Unlock failed',
+        message: 'An error occurred while checking the password'
+      });
+    }
+  }
+);
+
 // Get user's URLs
 router.get('/user/urls',
   authenticateToken,
@@ -155,7 +431,7 @@ router.get('/user/urls',
       const { page = 1, limit = 20, search, sortBy = 'created_at', sortOrder = 'DESC' } = req.query;
       const offset = (parseInt(page) - 1) * parseInt(limit);
 
-      let whereClause = { user_id: req.user.id };
+      let whereClause = { user_id: req.user.id, deleted_at: null };
       
       if (search) {
         whereClause = {
@@ -172,43 +448,18 @@ router.get('/user/urls',
         where: whereClause,
         order: [[sortBy, sortOrder.toUpperCase()]],
         limit: parseInt(limit),
-        offset: offset,
-        include: [
-          {
-            model: Click,
-            as: 'clicks',
-            attributes: []
-          }
-        ],
-        attributes: {
-          include: [
-            [Url.sequelize.Sequelize.fn('COUNT', Url.sequelize.Sequelize.col('clicks.id')), 'click_count']
-          ]
-        },
-        group: ['Url.id'],
-        subQuery: false
+        offset: offset
       });
 
-      const domain = process.env.APP_DOMAIN || 'mini.cloudrakshak.com';
-
       res.json({
         data: urls.map(url => ({
-          id: url.id,
-          original_url: url.original_url,
-          short_url: url.short_url,
-          full_short_url: `https://${domain}/${url.short_url}`,
-          title: url.title,
-          description: url.description,
-          click_count: parseInt(url.dataValues.click_count) || 0,
-          is_active: url.is_active,
-          expires_at: url.expires_at,
-          created_at: url.created_at,
-          updated_at: url.updated_at
+          ...linkJson(url),
+          click_count: parseInt(url.dataValues.click_count) || 0
         })),
         pagination: {
           currentPage: parseInt(page),
-          totalPages: Math.ceil(count.length / parseInt(limit)),
-          totalCount: count.length,
+          totalPages: Math.ceil(count / parseInt(limit)),
+          totalCount: count,
           limit: parseInt(limit)
         }
       });
@@ -235,6 +486,7 @@ router.get('/analytics/:id',
       const url = await Url.findOne({
         where: { 
           id: id,
+          deleted_at: null,
           [Url.sequelize.Sequelize.Op.or]: [
             { user_id: req.user.id },
             ...(req.user.role === 'admin' ? [{}] : [])
@@ -249,34 +501,22 @@ router.get('/analytics/:id',
         });
       }
 
-      // Get analytics data
-      const totalClicks = await Click.count({ where: { url_id: id } });
-      const clicksInPeriod = await Click.getClicksByPeriod(id, period);
-      const topReferrers = await Click.getTopReferrers(id, 10);
+      // Get analytics data (raw clicks for recent ranges, rollups beyond retention)
+      const totalClicks = await AnalyticsService.countClicks({ urlId: url.id });
+      const clicksInPeriod = await AnalyticsService.countClicks({ urlId: url.id, from: AnalyticsService.since(period) });
+      const topReferrers = await AnalyticsService.breakdown('referer', { urlId: url.id, limit: 10, includeEmpty: false });
 
       // Get clicks by date for chart
-      const dateFormat = period === 'day' ? '%Y-%m-%d %H:00:00' : '%Y-%m-%d';
-      const clicksByDate = await Click.findAll({
-        attributes: [
-          [Click.sequelize.Sequelize.fn('DATE_TRUNC', period === 'day' ? 'hour' : 'day', Click.sequelize.Sequelize.col('date_time')), 'date'],
-          [Click.sequelize.Sequelize.fn('COUNT', Click.sequelize.Sequelize.col('id')), 'count']
-        ],
-        where: { url_id: id },
-        group: [Click.sequelize.Sequelize.fn('DATE_TRUNC', period === 'day' ? 'hour' : 'day', Click.sequelize.Sequelize.col('date_time'))],
-        order: [[Click.sequelize.Sequelize.fn('DATE_TRUNC', period === 'day' ? 'hour' : 'day', Click.sequelize.Sequelize.col('date_time')), 'ASC']],
-        raw: true
-      });
+      const clicksByDate = await AnalyticsService.clicksByDate({ urlId: url.id, unit: period === 'day' ? 'hour' : 'day' });
 
       // Get device type breakdown
-      const deviceStats = await Click.findAll({
-        attributes: [
-          'device_type',
-          [Click.sequelize.Sequelize.fn('COUNT', Click.sequelize.Sequelize.col('id')), 'count']
-        ],
-        where: { url_id: id },
-        group: ['device_type'],
-        raw: true
-      });
+      const deviceStats = await AnalyticsService.breakdown('device_type', { urlId: url.id });
+
+      // Clicks per schedule slot; empty for links that never had a schedule
+      const scheduleStats = await AnalyticsService.breakdown('schedule_slot', { urlId: url.id, includeEmpty: false });
+
+      // Clicks per targeting rule (0 is the fallback); empty for links that never had rules
+      const targetingStats = await AnalyticsService.breakdown('targeting_rule', { urlId: url.id, includeEmpty: false });
 
       res.json({
         url: {
@@ -292,7 +532,9 @@ router.get('/analytics/:id',
           period: period,
           top_referrers: topReferrers,
           clicks_by_date: clicksByDate,
-          device_stats: deviceStats
+          device_stats: deviceStats,
+          schedule_stats: scheduleStats,
+          targeting_stats: targetingStats
         }
       });
 
@@ -314,12 +556,13 @@ router.put('/:id',
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { original_url, title, description, expires_at, is_active } = req.body;
+      const { original_url, title, description, expires_at, starts_at, is_active, redirect_status, password, interstitial } = req.body;
 
       // Find URL and verify ownership
       const url = await Url.findOne({
         where: { 
           id: id,
+          deleted_at: null,
           [Url.sequelize.Sequelize.Op.or]: [
             { user_id: req.user.id },
             ...(req.user.role === 'admin' ? [{}] : [])
@@ -334,7 +577,24 @@ router.put('/:id',
         });
       }
 
+      const { schedule, error: scheduleError } = ScheduleService.parse(req.body.schedule);
+      if (scheduleError) {
+        return res.status(400).json({
+          error: 'Invalid schedule',
+          message: scheduleError.message
+        });
+      }
+
+      const { rules: targetingRules, error: targetingError } = TargetingService.parse(req.body.targeting_rules);
+      if (targetingError) {
+        return res.status(400).json({
+          error: 'Invalid targeting rules',
+          message: targetingError.message
+        });
+      }
+
       // Update URL
+      const maxClicks = UrlService.requestedClickCap(req.body);
       const normalizedUrl = original_url ? UrlService.normalizeUrl(original_url) : url.original_url;
       
       await url.update({
@@ -342,21 +602,23 @@ router.put('/:id',
         title: title !== undefined ? title : url.title,
         description: description !== undefined ? description : url.description,
         expires_at: expires_at !== undefined ? (expires_at ? new Date(expires_at) : null) : url.expires_at,
-        is_active: is_active !== undefined ? is_active : url.is_active
+        is_active: is_active !== undefined ? is_active : url.is_active,
+        interstitial: interstitial !== undefined && interstitial !== null ? interstitial : Boolean(url.interstitial),
+        // Raising the cap of an exhausted link revives it; null removes the cap
+        max_clicks: maxClicks !== undefined ? maxClicks : url.max_clicks,
+        starts_at: starts_at !== undefined ? (starts_at ? new Date(starts_at) : null) : url.starts_at,
+        // A schedule replaces the whole previous one; null or [] removes it
+        schedule: req.body.schedule !== undefined ? schedule : url.schedule,
+        // Rules are replaced as a whole too; null or [] removes them
+        targeting_rules: req.body.targeting_rules !== undefined ? targetingRules : url.targeting_rules,
+        redirect_status: redirect_status || redirectStatus(url),
+        // A new password locks out browsers that unlocked the old one; null or '' removes it
+        password_hash: password !== undefined ? (password ? await LinkPasswordService.hash(password) : null) : url.password_hash
       });
 
       res.json({
         message: 'URL updated successfully',
-        data: {
-          id: url.id,
-          original_url: url.original_url,
-          short_url: url.short_url,
-          title: url.title,
-          description: url.description,
-          is_active: url.is_active,
-          expires_at: url.expires_at,
-          updated_at: url.updated_at
-        }
+        data: linkJson(url)
       });
 
     } catch (error) {
@@ -380,6 +642,7 @@ router.delete('/:id',
       const url = await Url.findOne({
         where: { 
           id: id,
+          deleted_at: null,
           [Url.sequelize.Sequelize.Op.or]: [
             { user_id: req.user.id },
             ...(req.user.role === 'admin' ? [{}] : [])
@@ -394,14 +657,17 @@ router.delete('/:id',
         });
       }
 
-      // Delete associated clicks first
-      await Click.destroy({ where: { url_id: id } });
-      
-      // Delete URL
-      await url.destroy();
+      // Move to the trash; the sweep purges it (and its clicks) after the retention period
+      await TrashService.trashUrl(url);
 
       res.json({
-        message: 'URL deleted successfully'
+        message: 'URL moved to trash',
+        data: {
+          id: url.id,
+          short_url: url.short_url,
+          deleted_at: url.deleted_at,
+          purge_at: TrashService.purgeAt(url.deleted_at)
+        }
       });
 
     } catch (error) {
@@ -414,4 +680,205 @@ router.delete('/:id',
   }
 );
 
+// ===== TRASH =====
+
+// Find one of the user's trashed URLs (admins may act on anyone's)
+// Merged duplicates are not in the trash (see services/duplicateService.js)
+const findTrashedUrl = (req) => Url.findOne({
+  where: {
+    id: req.params.id,
+    deleted_at: { [Url.sequelize.Sequelize.Op.ne]: null },
+    merged_into_id: null,
+    [Url.sequelize.Sequelize.Op.or]: [
+      { user_id: req.user.id },
+      ...(req.user.role === 'admin' ? [{}] : [])
+    ]
+  }
+});
+
+// Get user's trashed URLs
+router.get('/user/trash',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: urls } = await Url.findAndCountAll({
+        where: {
+          user_id: req.user.id,
+          deleted_at: { [Url.sequelize.Sequelize.Op.ne]: null },
+          merged_into_id: null
+        },
+        order: [['deleted_at', 'DESC']],
+        limit: parseInt(limit),
+        offset: offset
+      });
+
+      res.json({
+        data: urls.map(url => ({
+          id: url.id,
+          original_url: url.original_url,
+          short_url: url.short_url,
+          title: url.title,
+          click_count: url.click_count,
+          created_at: url.created_at,
+          deleted_at: url.deleted_at,
+          purge_at: TrashService.purgeAt(url.deleted_at)
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / parseInt(limit)),
+          totalCount: count,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Trash fetch error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch trash',
+        message: 'An error occurred while fetching deleted URLs'
+      });
+    }
+  }
+);
+
+// Restore a URL from the trash
+router.post('/user/trash/:id/restore',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const url = await findTrashedUrl(req);
+
+      if (!url) {
+        return res.status(404).json({
+          error: 'URL not found',
+          message: 'URL not found in the trash or you do not have permission to restore it'
+        });
+      }
+
+      await TrashService.restoreUrl(url);
+
+      res.json({
+        message: 'URL restored successfully',
+        data: {
+          id: url.id,
+          original_url: url.original_url,
+          short_url: url.short_url,
+          title: url.title,
+          is_active: url.is_active,
+          expires_at: url.expires_at
+        }
+      });
+
+    } catch (error) {
+      console.error('URL restore error:', error);
+      res.status(500).json({
+        error: 'URL restore failed',
+        message: 'An error occurred while restoring the URL'
+      });
+    }
+  }
+);
+
+// Permanently delete a URL from the trash, with its clicks
+router.delete('/user/trash/:id',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const url = await findTrashedUrl(req);
+
+      if (!url) {
+        return res.status(404).json({
+          error: 'URL not found',
+          message: 'URL not found in the trash or you do not have permission to delete it'
+        });
+      }
+
+      await url.destroy();
+
+      res.json({
+        message: 'URL permanently deleted'
+      });
+
+    } catch (error) {
+      console.error('URL purge error:', error);
+      res.status(500).json({
+        error: 'URL deletion failed',
+        message: 'An error occurred while permanently deleting the URL'
+      });
+    }
+  }
+);
+
+// ===== DUPLICATES =====
+
+const duplicateGroup = ({ keep, duplicates }) => ({
+  original_url: keep.original_url,
+  expires_at: keep.expires_at,
+  keep: { id: keep.id, short_url: keep.short_url, click_count: keep.click_count, created_at: keep.created_at },
+  duplicates: duplicates.map(url => ({ id: url.id, short_url: url.short_url, click_count: url.click_count, created_at: url.created_at }))
+});
+
+// Report the user's identical links (same destination and settings)
+router.get('/user/duplicates',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const groups = await DuplicateService.findDuplicates(req.user.id);
+
+      res.json({
+        data: groups.map(duplicateGroup),
+        total: groups.length
+      });
+
+    } catch (error) {
+      console.error('Duplicates fetch error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch duplicates',
+        message: 'An error occurred while looking for duplicate URLs'
+      });
+    }
+  }
+);
+
+// Merge the user's identical links into the oldest of each group, with their clicks
+// Pass original_url to merge only the links to that URL
+router.post('/user/duplicates/merge',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { original_url } = req.body;
+      if (original_url !== undefined && typeof original_url !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid URL',
+          message: 'original_url must be a string'
+        });
+      }
+
+      const groups = await DuplicateService.findDuplicates(
+        req.user.id,
+        original_url ? UrlService.normalizeUrl(original_url) : undefined
+      );
+      const result = await DuplicateService.merge(groups);
+
+      res.json({
+        message: result.merged_urls ? 'Duplicate URLs merged successfully' : 'No duplicate URLs to merge',
+        data: {
+          ...result,
+          merged: groups.map(duplicateGroup)
+        }
+      });
+
+    } catch (error) {
+      console.error('Duplicate merge error:', error);
+      res.status(500).json({
+        error: 'Duplicate merge failed',
+        message: 'An error occurred while merging duplicate URLs'
+      });
+    }
+  }
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// Full backup and restore of users, links, clicks, click rollups, word lists and sequences
+// Uses the same NDJSON format as GET /admin/export and POST /admin/restore.
+//
+// Usage:
+//   npm run backup -- export backup.ndjson     Write the whole dataset to backup.ndjson
+//   npm run backup -- restore backup.ndjson    Replace the whole dataset with backup.ndjson
+//
+// Restore validates the file completely before anything is replaced.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { once } = require('events');
+const { database } = require('../models');
+const BackupService = require('../services/backupService');
+
+const exportTo = async (file) => {
+  const output = fs.createWriteStream(file);
+  await BackupService.exportTo(output);
+  output.end();
+  await once(output, 'finish');
+  console.log(`✅ Exported the dataset to ${file}`);
+};
+
+const restoreFrom = async (file) => {
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} does not exist`);
+  }
+
+  const counts = await BackupService.restoreFrom(fs.createReadStream(file));
+  Object.entries(counts).forEach(([table, count]) => console.log(`♻️  ${count} ${table}`));
+  console.log(`✅ Restored the dataset from ${file}`);
+};
+
+const run = async () => {
+  const [command, file] = process.argv.slice(2);
+
+  if (!['export', 'restore'].includes(command) || !file) {
+    console.error('Usage: npm run backup -- export <file> | restore <file>');
+    process.exitCode = 1;
+    return;
+  }
+
+  await database.authenticate();
+  await database.sync();
+
+  if (database.driver === 'memory' && !database.journal) {
+    console.warn('⚠️  The in-memory store without DB_JOURNAL_DIR holds no data outside a running server.');
+  }
+
+  if (command === 'export') {
+    await exportTo(file);
+  } else {
+    await restoreFrom(file);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Backup failed:', error.message);
+    (error.details || []).forEach(detail => console.error(`   ${detail}`));
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await database.flush();
+    await database.close();
+  });
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// Schema migration runner for the SQLite store
+//
+// Usage:
+//   npm run migrate                         Apply all pending migrations
+//   npm run migrate -- up --to 3            Apply pending migrations up to version 3
+//   npm run migrate -- down                 Revert the latest migration
+//   npm run migrate -- down --steps 2       Revert the latest two migrations
+//   npm run migrate -- down --to 1          Revert everything above version 1
+//   npm run migrate -- status               List migrations and whether they are applied
+
+require('dotenv').config();
+
+const database = require('../config/database');
+const Migrator = require('../config/migrator');
+
+const parseArgs = (argv) => {
+  const args = { command: 'up' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--to') {
+      args.to = parseInt(argv[++i], 10);
+    } else if (arg === '--steps') {
+      args.steps = parseInt(argv[++i], 10);
+    } else if (!arg.startsWith('--')) {
+      args.command = arg;
+    }
+  }
+  return args;
+};
+
+const run = async () => {
+  const { command, to, steps } = parseArgs(process.argv.slice(2));
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error(`Unknown command "${command}". Use up, down or status.`);
+    process.exit(1);
+  }
+  if (Number.isNaN(to) || Number.isNaN(steps)) {
+    console.error('--to and --steps expect a number');
+    process.exit(1);
+  }
+
+  if (database.driver !== 'sqlite') {
+    console.log('ℹ️  The in-memory store has no schema to migrate. Set DB_PATH to use the SQLite store.');
+    return;
+  }
+
+  const migrator = new Migrator(database.connection());
+
+  if (command === 'status') {
+    const statuses = migrator.status();
+    if (!statuses.length) {
+      console.log('No migrations found');
+    }
+    statuses.forEach(migration => {
+      const state = migration.missing ? 'missing' : migration.applied ? 'applied' : 'pending';
+      console.log(`${state.padEnd(8)} ${migration.id}${migration.applied_at ? `  (${migration.applied_at})` : ''}`);
+    });
+    return;
+  }
+
+  const changed = command === 'up' ? migrator.up({ to }) : migrator.down({ to, steps });
+  if (!changed.length) {
+    console.log(command === 'up' ? '✅ Database is up to date' : 'Nothing to revert');
+  }
+  changed.forEach(migration => {
+    console.log(`${command === 'up' ? '⬆️  Applied' : '⬇️  Reverted'} ${migration.id}`);
+  });
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
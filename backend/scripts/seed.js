@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+// Demo data generator
+// Creates demo users, links and click histories with realistic referrer,
+// device, browser, country and time-of-day distributions, for dashboard
+// demos and load-testing the analytics routes.
+//
+// Usage:
+//   npm run seed
+//   npm run seed -- --users 50 --urls-per-user 40 --clicks-per-url 500 --days 90 --seed 42
+//
+// Every demo account uses the password printed at the end of the run.
+
+require('dotenv').config();
+
+const { database, User, Url, Click } = require('../models');
+const UserMethods = require('../models/User');
+const UrlService = require('../services/urlService');
+
+const DEMO_PASSWORD = 'Demo@12345';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  users: 5,
+  urlsPerUser: 10,
+  clicksPerUrl: 50,
+  days: 30,
+  seed: Date.now()
+};
+
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS };
+  const flags = {
+    '--users': 'users',
+    '--urls-per-user': 'urlsPerUser',
+    '--clicks-per-url': 'clicksPerUrl',
+    '--days': 'days',
+    '--seed': 'seed'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = flags[argv[i]];
+    if (!key) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    const value = parseInt(argv[++i], 10);
+    if (Number.isNaN(value) || value < 0) {
+      throw new Error(`${argv[i - 1]} expects a non-negative number`);
+    }
+    options[key] = value;
+  }
+  return options;
+};
+
+// ===== RANDOMNESS =====
+
+// Seedable PRNG (mulberry32) so a given --seed reproduces the same dataset
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+// items: [[value, weight], ...]
+const weighted = (random, items) => {
+  const total = items.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [value, weight] of items) {
+    roll -= weight;
+    if (roll < 0) return value;
+  }
+  return items[items.length - 1][0];
+};
+
+// ===== DEMO DATA =====
+
+const FIRST_NAMES = ['ava', 'liam', 'maya', 'noah', 'zoe', 'omar', 'lena', 'kai', 'iris', 'theo', 'nora', 'ravi', 'emma', 'leo', 'sana', 'felix'];
+
+const DESTINATIONS = [
+  ['https://www.example-shop.com/products/wireless-headphones', 'Wireless Headphones', 'Noise-cancelling over-ear headphones'],
+  ['https://blog.example.org/2024/scaling-postgres-read-replicas', 'Scaling Postgres', 'Notes on read replicas in production'],
+  ['https://docs.example.dev/getting-started/installation', 'Installation Guide', null],
+  ['https://www.example-news.com/tech/ai-regulation-explained', 'AI Regulation Explained', 'What the new rules mean for startups'],
+  ['https://events.example.com/spring-summit/register', 'Spring Summit Registration', 'Early-bird tickets'],
+  ['https://github.com/example/awesome-tooling', 'Awesome Tooling', null],
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'Product Launch Video', null],
+  ['https://careers.example.com/jobs/senior-backend-engineer', 'We are hiring', 'Senior Backend Engineer (remote)'],
+  ['https://www.example-shop.com/sale/spring?utm_source=newsletter', 'Spring Sale', '30% off everything'],
+  ['https://status.example.io/incidents/2024-03-outage', 'Incident Report', null],
+  ['https://forms.example.com/feedback/q2-survey', 'Q2 Customer Survey', 'Tell us how we are doing'],
+  ['https://www.example-recipes.com/pasta/carbonara', 'Classic Carbonara', null]
+];
+
+const REFERRERS = [
+  [null, 35],
+  ['https://www.google.com/', 20],
+  ['https://t.co/', 10],
+  ['https://www.facebook.com/', 9],
+  ['https://www.linkedin.com/', 8],
+  ['https://www.reddit.com/', 6],
+  ['https://news.ycombinator.com/', 4],
+  ['https://mail.google.com/', 5],
+  ['https://www.bing.com/', 3]
+];
+
+// [device_type, browser, os, user agent]
+const AGENTS = [
+  [['desktop', 'Chrome', 'Windows', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36'], 30],
+  [['desktop', 'Safari', 'macOS', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_4) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15'], 12],
+  [['desktop', 'Firefox', 'Linux', 'Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0'], 6],
+  [['desktop', 'Edge', 'Windows', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36 Edg/124.0'], 7],
+  [['mobile', 'Safari', 'iOS', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1'], 20],
+  [['mobile', 'Chrome', 'Android', 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Mobile Safari/537.36'], 18],
+  [['tablet', 'Safari', 'iPadOS', 'Mozilla/5.0 (iPad; CPU OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Tablet Safari/604.1'], 5],
+  [['other', 'curl', 'Unknown', 'curl/8.5.0'], 2]
+];
+
+const LOCATIONS = [
+  [['US', 'New York'], 18],
+  [['US', 'San Francisco'], 10],
+  [['GB', 'London'], 10],
+  [['DE', 'Berlin'], 8],
+  [['IN', 'Bengaluru'], 12],
+  [['IN', 'Mumbai'], 7],
+  [['FR', 'Paris'], 6],
+  [['BR', 'São Paulo'], 6],
+  [['JP', 'Tokyo'], 5],
+  [['CA', 'Toronto'], 5],
+  [['AU', 'Sydney'], 4]
+];
+
+// Relative traffic by hour of day (UTC): quiet nights, busy afternoons
+const HOURLY_WEIGHTS = [2, 1, 1, 1, 1, 2, 3, 5, 7, 8, 9, 9, 9, 10, 10, 9, 9, 8, 8, 7, 6, 5, 4, 3]
+  .map((weight, hour) => [hour, weight]);
+
+// A timestamp in the last `days` days, skewed towards recent days
+const randomClickTime = (random, days, notBefore) => {
+  const now = Date.now();
+  const start = Math.max(now - days * DAY_MS, notBefore.getTime());
+  const span = Math.max(now - start, 1);
+  const offset = Math.pow(random(), 1.6) * span;
+
+  const date = new Date(now - offset);
+  date.setUTCHours(weighted(random, HOURLY_WEIGHTS), Math.floor(random() * 60), Math.floor(random() * 60));
+  return date.getTime() > now || date < notBefore ? new Date(now - offset) : date;
+};
+
+const randomIp = random =>
+  [1 + Math.floor(random() * 222), Math.floor(random() * 256), Math.floor(random() * 256), 1 + Math.floor(random() * 254)].join('.');
+
+// ===== SEEDING =====
+
+const seedUsers = async (random, count, passwordHash) => {
+  const users = [];
+
+  for (let i = 0; i < count; i++) {
+    const username = i === 0 ? 'demo_admin' : `demo_${pick(random, FIRST_NAMES)}_${i}`;
+    const existing = await User.findOne({ where: { username } });
+    if (existing) {
+      users.push(existing);
+      continue;
+    }
+
+    users.push(await User.create({
+      username,
+      email: `${username}@demo.minurl.test`,
+      password_hash: passwordHash,
+      role: i === 0 ? 'admin' : 'user'
+    }));
+  }
+
+  return users;
+};
+
+const seedUrls = async (random, users, perUser, days) => {
+  const urls = [];
+
+  for (const user of users) {
+    for (let i = 0; i < perUser; i++) {
+      const [destination, title, description] = pick(random, DESTINATIONS);
+      const createdAt = new Date(Date.now() - Math.pow(random(), 0.7) * days * DAY_MS);
+      const originalUrl = UrlService.normalizeUrl(destination);
+      const algorithm = weighted(random, [['hash', 6], ['custom', 3], ['uuid', 1]]);
+
+      urls.push(await Url.create({
+        original_url: originalUrl,
+        short_url: await UrlService.generateShortCode(algorithm, originalUrl),
+        title,
+        description,
+        user_id: user.id,
+        is_active: random() > 0.05,
+        expires_at: random() < 0.1 ? new Date(Date.now() + (7 + random() * 60) * DAY_MS) : null,
+        created_at: createdAt
+      }));
+    }
+  }
+
+  return urls;
+};
+
+const seedClicks = async (random, urls, perUrl, days) => {
+  let total = 0;
+
+  for (const url of urls) {
+    // Heavy-tailed popularity: most links get a few clicks, some go viral
+    const popularity = -Math.log(1 - random());
+    const count = Math.round(perUrl * popularity);
+
+    for (let i = 0; i < count; i++) {
+      const [deviceType, browser, os, userAgent] = weighted(random, AGENTS);
+      const [country, city] = weighted(random, LOCATIONS);
+
+      await Click.create({
+        url_id: url.id,
+        ip_address: randomIp(random),
+        user_agent: userAgent,
+        referer: weighted(random, REFERRERS),
+        country,
+        city,
+        browser,
+        os,
+        device_type: deviceType,
+        date_time: randomClickTime(random, days, new Date(url.created_at))
+      });
+    }
+
+    total += count;
+  }
+
+  return total;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const random = createRandom(options.seed);
+
+  await database.authenticate();
+  await database.sync();
+
+  if (database.driver === 'memory' && !database.journal) {
+    console.warn('⚠️  Seeding the in-memory store without DB_JOURNAL_DIR: the data is lost when this script exits.');
+  }
+
+  console.log(`🌱 Seeding ${options.users} users × ${options.urlsPerUser} links, ~${options.clicksPerUrl} clicks per link over ${options.days} days (seed ${options.seed})`);
+
+  const passwordHash = await UserMethods.hashPassword(DEMO_PASSWORD);
+  const users = await seedUsers(random, options.users, passwordHash);
+  console.log(`👤 ${users.length} users`);
+
+  const urls = await seedUrls(random, users, options.urlsPerUser, options.days);
+  console.log(`🔗 ${urls.length} links`);
+
+  const clicks = await seedClicks(random, urls, options.clicksPerUrl, options.days);
+  console.log(`🖱️  ${clicks} clicks`);
+
+  console.log(`✅ Done. Log in as demo_admin@demo.minurl.test (or any demo user) with password ${DEMO_PASSWORD}`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Seeding failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await database.flush();
+    await database.close();
+  });
@@ -20,6 +20,10 @@ const authRoutes = require('./routes/auth');
 const urlRoutes = require('./routes/urls');
 const adminRoutes = require('./routes/admin');
 const apiRoutes = require('./routes/api');
+const AnalyticsService = require('./services/analyticsService');
+const TrashService = require('./services/trashService');
+const IdempotencyService = require('./services/idempotencyService');
+const algorithms = require('./algorithms');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -70,13 +74,14 @@ app.use(cors({
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'X-Request-ID']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'X-Request-ID', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Logging
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
-} else {
+} else if (process.env.NODE_ENV !== 'test') {
   app.use(morgan('combined'));
 }
 
@@ -106,7 +111,7 @@ app.get('/health', (req, res) => {
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || 'development',
     version: '1.0.0',
-    database: 'SQLite Connected'
+    database: sequelize.driver === 'sqlite' ? 'SQLite Connected' : 'In-memory'
   });
 });
 
@@ -118,37 +123,56 @@ app.get('/api/docs', (req, res) => {
     description: 'URL Shortener API with custom algorithms and developer features',
     base_url: `${req.protocol}://${req.get('host')}`,
     status: 'Active',
-    database: 'SQLite',
+    database: sequelize.driver === 'sqlite' ? 'SQLite' : 'In-memory',
     endpoints: {
       authentication: {
         'POST /auth/register': 'Register a new user account',
         'POST /auth/login': 'Login and get access token',
         'GET /auth/profile': 'Get current user profile',
-        'PUT /auth/profile': 'Update user profile',
+        'PUT /auth/profile': 'Update user profile (reuse_existing sets the default for shortening)',
         'PUT /auth/change-password': 'Change user password'
       },
       urls: {
-        'POST /urls/shorten': 'Shorten a URL',
-        'GET /urls/:shortCode': 'Redirect to original URL',
+        'POST /urls/shorten': 'Shorten a URL (custom_alias picks the short code; reuse_existing returns your identical link; redirect_status 301/302/307/308; password protects it; interstitial shows a preview first; max_clicks or expire_after_first_click caps its clicks; starts_at and schedule time its activation and destinations; targeting_rules pick a destination by device, OS, browser, country or language)',
+        'GET /urls/:shortCode': 'Redirect to original URL with the link\'s redirect_status (a miss suggests lookalike codes; protected links ask for their password; a "+" suffix or ?preview=1 shows a preview)',
+        'POST /urls/:shortCode': 'Unlock a password-protected link (form field password)',
         'GET /urls/user/urls': 'Get user\'s URLs (requires auth)',
         'GET /urls/analytics/:id': 'Get URL analytics (requires auth)',
-        'PUT /urls/:id': 'Update URL (requires auth)',
-        'DELETE /urls/:id': 'Delete URL (requires auth)'
+        'PUT /urls/:id': 'Update URL, including its redirect_status (requires auth)',
+        'DELETE /urls/:id': 'Move URL to trash (requires auth)',
+        'GET /urls/user/trash': 'Get user\'s trashed URLs (requires auth)',
+        'POST /urls/user/trash/:id/restore': 'Restore URL from trash (requires auth)',
+        'DELETE /urls/user/trash/:id': 'Permanently delete trashed URL (requires auth)',
+        'GET /urls/user/duplicates': 'Report user\'s identical URLs (requires auth)',
+        'POST /urls/user/duplicates/merge': 'Merge identical URLs and their clicks into the oldest (requires auth)'
       },
       admin: {
         'GET /admin/users': 'Get all users (admin only)',
         'POST /admin/users': 'Create user (admin only)',
         'PUT /admin/users/:id': 'Update user (admin only)',
-        'DELETE /admin/users/:id': 'Delete user (admin only)',
+        'DELETE /admin/users/:id': 'Move user and their URLs to trash (admin only)',
+        'GET /admin/trash/urls': 'Get trashed URLs (admin only)',
+        'GET /admin/trash/users': 'Get trashed users (admin only)',
+        'POST /admin/trash/urls/:id/restore': 'Restore trashed URL (admin only)',
+        'POST /admin/trash/users/:id/restore': 'Restore trashed user with their URLs (admin only)',
+        'DELETE /admin/trash/:type/:id': 'Permanently delete trashed URL or user (admin only)',
         'GET /admin/urls': 'Get all URLs (admin only)',
         'GET /admin/analytics/dashboard': 'Get dashboard analytics (admin only)',
-        'GET /admin/analytics/user-activity': 'Get user activity logs (admin only)'
+        'GET /admin/analytics/user-activity': 'Get user activity logs (admin only)',
+        'GET /admin/analytics/collisions': 'Get short-code collision telemetry and code lengths (admin only)',
+        'GET /admin/reserved-aliases': 'Get reserved alias list (admin only)',
+        'POST /admin/reserved-aliases': 'Reserve an alias (admin only)',
+        'DELETE /admin/reserved-aliases/:word': 'Release a reserved alias (admin only)',
+        'GET /admin/blocked-words': 'Get words generated codes must not spell (admin only)',
+        'POST /admin/blocked-words': 'Block a word and list existing codes spelling it (admin only)',
+        'DELETE /admin/blocked-words/:word': 'Unblock a word (admin only)',
+        'GET /admin/blocked-words/report': 'List existing codes spelling blocked words (admin only)'
       },
       api_v1: {
-        'POST /api/v1/shorten': 'Shorten URL with custom algorithms',
-        'POST /api/v1/shorten/bulk': 'Bulk URL shortening',
+        'POST /api/v1/shorten': 'Shorten URL with custom algorithms or a custom_alias (send Idempotency-Key to retry safely)',
+        'POST /api/v1/shorten/bulk': 'Bulk URL shortening (atomic: true creates all or none; send Idempotency-Key to retry safely)',
         'GET /api/v1/url/:shortCode': 'Get URL information',
-        'POST /api/v1/validate': 'Validate URL format',
+        'POST /api/v1/validate': 'Validate URL format and return its canonical form',
         'GET /api/v1/algorithms': 'Get available algorithms',
         'GET /api/v1/health': 'API health check',
         'GET /api/v1/stats': 'Get API usage statistics (requires auth)'
@@ -164,11 +188,9 @@ app.get('/api/docs', (req, res) => {
       authentication: '5 attempts per 15 minutes',
       url_shortening: '20 URLs per minute'
     },
-    custom_algorithms: {
-      hash: 'MD5 hash-based (6 chars)',
-      uuid: 'UUID-based (8 chars)',
-      custom: 'Customizable with options'
-    }
+    custom_algorithms: Object.fromEntries(
+      algorithms.list().map(algorithm => [algorithm.name, `${algorithm.description} (${algorithm.defaultLength} chars)`])
+    )
   });
 });
 
@@ -247,7 +269,7 @@ const startServer = async () => {
   try {
     // Test database connection
     await sequelize.authenticate();
-    console.log('✅ SQLite database connection established successfully');
+    console.log(`✅ Database connection established successfully (${sequelize.driver})`);
 
     // Sync models (create tables if they don't exist)
     if (process.env.NODE_ENV === 'development') {
@@ -258,6 +280,13 @@ const startServer = async () => {
       console.log('✅ Database models loaded');
     }
 
+    // Prune raw clicks past the retention window; rollups keep them counted
+    AnalyticsService.startRetention();
+    // Purge links and users that have been in the trash past its retention period
+    TrashService.startSweep();
+    // Forget Idempotency-Key responses past their replay window
+    IdempotencyService.startSweep();
+
     // Start server
     app.listen(PORT, () => {
       console.log(`🚀 MinURL Server running on port ${PORT}`);
@@ -266,7 +295,7 @@ const startServer = async () => {
       console.log(`📖 API docs: http://localhost:${PORT}/api/docs`);
       console.log(`🏠 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
       console.log(`🔗 Short URL domain: ${process.env.APP_DOMAIN || 'mini.cloudrakshak.com'}`);
-      console.log(`💾 Database: SQLite (${process.env.DB_PATH || './database.sqlite'})`);
+      console.log(`💾 Database: ${sequelize.driver === 'sqlite' ? `SQLite (${sequelize.filename})` : 'In-memory (set DB_PATH to persist data)'}`);
     });
 
   } catch (error) {
@@ -278,6 +307,10 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('📴 SIGTERM received. Shutting down gracefully...');
+  AnalyticsService.stopRetention();
+  TrashService.stopSweep();
+  IdempotencyService.stopSweep();
+  await sequelize.flush();
   await sequelize.close();
   console.log('📴 Database connection closed');
   process.exit(0);
@@ -285,6 +318,10 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('📴 SIGINT received. Shutting down gracefully...');
+  AnalyticsService.stopRetention();
+  TrashService.stopSweep();
+  IdempotencyService.stopSweep();
+  await sequelize.flush();
   await sequelize.close();
   console.log('📴 Database connection closed');
   process.exit(0);
@@ -305,7 +342,9 @@ process.on('uncaughtException', (error) => {
   process.exit(1);
 });
 
-// Start the server
-startServer();
+// Start the server, unless the app is required by the tests
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,102 @@
+const { Url, database } = require('../models');
+const CodeCheckService = require('./codeCheckService');
+const { SEQUENTIAL_PREFIX, isSequentialCode } = require('../config/shortCodes');
+const { BUILT_IN_RESERVED } = require('../config/reservedPaths');
+
+const RESERVED_LIST = 'reserved';
+
+// Custom aliases chosen by users instead of a generated short code
+// An alias must be free, and neither built-in nor on the admin-managed
+// reserved list. Reserved words match case-insensitively.
+class AliasService {
+  static normalizeWord(word) {
+    return String(word).trim().toLowerCase();
+  }
+
+  /**
+   * The reserved list: built-in words and the ones admins added
+   * @returns {Promise<{built_in: string[], custom: string[]}>}
+   */
+  static async reservedWords() {
+    const custom = await database.findWords(RESERVED_LIST);
+    return {
+      built_in: BUILT_IN_RESERVED,
+      custom: custom.map(entry => entry.word).sort()
+    };
+  }
+
+  /**
+   * Whether an alias is on the reserved list
+   * @param {string} alias
+   * @returns {Promise<boolean>}
+   */
+  static async isReserved(alias) {
+    const word = this.normalizeWord(alias);
+    if (BUILT_IN_RESERVED.includes(word)) return true;
+    const custom = await database.findWords(RESERVED_LIST);
+    return custom.some(entry => entry.word === word);
+  }
+
+  /**
+   * Check that a custom alias can be claimed
+   * The alias charset is validated by the request validators beforehand.
+   * @param {string} alias
+   * @returns {Promise<Object|null>} - null when available, otherwise { status, code, message }
+   */
+  static async checkAvailable(alias) {
+    // Lookups reject such a code as mistyped, so the alias would never resolve
+    if (CodeCheckService.enabled() && CodeCheckService.hasCheckShape(alias) && !CodeCheckService.isValid(alias)) {
+      return {
+        status: 400,
+        code: 'ALIAS_CHECK_MISMATCH',
+        message: `The alias "${alias}" ends like a checked short code but its check character is wrong (did you mean "${CodeCheckService.append(alias.slice(0, -2))}"?)`
+      };
+    }
+    if (isSequentialCode(alias)) {
+      return {
+        status: 400,
+        code: 'ALIAS_RESERVED',
+        message: `Aliases may not start with "${SEQUENTIAL_PREFIX}", which is reserved for sequential codes`
+      };
+    }
+    if (await this.isReserved(alias)) {
+      return { status: 400, code: 'ALIAS_RESERVED', message: `The alias "${alias}" is reserved` };
+    }
+    if (await Url.findOne({ where: { short_url: alias } })) {
+      return this.takenError(alias);
+    }
+    return null;
+  }
+
+  // Also reported when a concurrent request claims the alias first
+  static takenError(alias) {
+    return { status: 409, code: 'ALIAS_TAKEN', message: `The alias "${alias}" is already in use` };
+  }
+
+  /**
+   * Add a word to the reserved list
+   * @param {string} word
+   * @returns {Promise<Object|null>} - The new entry, or null if the word is already reserved
+   */
+  static async reserve(word) {
+    const normalized = this.normalizeWord(word);
+    if (await this.isReserved(normalized)) return null;
+    return database.addWord(RESERVED_LIST, normalized);
+  }
+
+  /**
+   * Remove an admin-added word from the reserved list
+   * Built-in words cannot be removed.
+   * @param {string} word
+   * @returns {Promise<boolean>} - Whether the word was on the list
+   */
+  static async unreserve(word) {
+    return database.removeWord(RESERVED_LIST, this.normalizeWord(word));
+  }
+
+  static isBuiltIn(word) {
+    return BUILT_IN_RESERVED.includes(this.normalizeWord(word));
+  }
+}
+
+module.exports = AliasService;
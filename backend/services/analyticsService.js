@@ -0,0 +1,212 @@
+const { Click, Op, fn, col } = require('../models');
+const { bucketStart } = require('../config/rollups');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const PERIOD_MS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS
+};
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_PRUNE_INTERVAL_MS = HOUR_MS;
+
+let pruneTimer = null;
+
+// Click analytics over raw clicks and rollups
+// Raw clicks are kept for CLICK_RETENTION_DAYS; anything older only survives
+// in the hourly/daily rollups. Queries split their range at the retention
+// horizon: the recent part is read from raw clicks, the older part from
+// rollups, resolved to the hour.
+class AnalyticsService {
+  /**
+   * Days raw clicks are kept (CLICK_RETENTION_DAYS, 0 keeps them forever)
+   * @returns {number}
+   */
+  static retentionDays() {
+    const days = parseInt(process.env.CLICK_RETENTION_DAYS, 10);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+  }
+
+  /**
+   * Earliest time from which every raw click is guaranteed to still exist
+   * Rounded up to the hour so the rollup part of a range ends on a bucket edge
+   * @returns {Date|null} - null when raw clicks are never pruned
+   */
+  static horizon(now = new Date()) {
+    const days = this.retentionDays();
+    if (!days) return null;
+    const cutoff = now.getTime() - days * DAY_MS;
+    return new Date(Math.ceil(cutoff / HOUR_MS) * HOUR_MS);
+  }
+
+  /**
+   * Start of a reporting period ending now
+   * @param {string} period - 'day', 'week' or 'month' (anything else is a day)
+   * @returns {Date}
+   */
+  static since(period) {
+    return new Date(Date.now() - (PERIOD_MS[period] || PERIOD_MS.day));
+  }
+
+  // Split [from, now) into a rollup part and a raw part at the horizon
+  static split(from) {
+    const horizon = this.horizon();
+    if (!horizon || (from && from >= horizon)) {
+      return { rollup: null, rawFrom: from || null };
+    }
+    return {
+      rollup: { from: from ? bucketStart(from, 'hour') : null, to: horizon },
+      rawFrom: horizon
+    };
+  }
+
+  // Cover a rollup range with daily buckets where whole days fit, hourly ones elsewhere
+  static segments({ from, to }, unit = 'day') {
+    if (unit === 'hour') return [{ granularity: 'hour', from, to }];
+
+    const firstDay = from ? new Date(Math.ceil(from.getTime() / DAY_MS) * DAY_MS) : null;
+    const lastDay = bucketStart(to, 'day');
+    if (firstDay && firstDay >= lastDay) return [{ granularity: 'hour', from, to }];
+
+    const segments = [];
+    if (from && from < firstDay) segments.push({ granularity: 'hour', from, to: firstDay });
+    segments.push({ granularity: 'day', from: firstDay, to: lastDay });
+    if (lastDay < to) segments.push({ granularity: 'hour', from: lastDay, to });
+    return segments;
+  }
+
+  static async rollups(range, dimension, urlId, unit) {
+    const rows = [];
+    for (const segment of this.segments(range, unit)) {
+      rows.push(...await Click.getRollups({ url_id: urlId, dimension, ...segment }));
+    }
+    return rows;
+  }
+
+  static rawWhere(urlId, rawFrom) {
+    const where = {};
+    if (urlId !== undefined && urlId !== null) where.url_id = urlId;
+    if (rawFrom) where.date_time = { [Op.gte]: rawFrom };
+    return where;
+  }
+
+  /**
+   * Number of clicks since `from`
+   * @param {Object} options - { urlId (omit for every URL), from (omit for all time) }
+   * @returns {Promise<number>}
+   */
+  static async countClicks({ urlId, from } = {}) {
+    const { rollup, rawFrom } = this.split(from);
+    let count = await Click.count({ where: this.rawWhere(urlId, rawFrom) });
+
+    if (rollup) {
+      const rows = await this.rollups(rollup, 'total', urlId);
+      count += rows.reduce((sum, row) => sum + row.count, 0);
+    }
+    return count;
+  }
+
+  /**
+   * Click counts per hour or day since `from`, oldest first
+   * @param {Object} options - { urlId, from, unit: 'hour' or 'day' }
+   * @returns {Promise<Array<{date: Date, count: number}>>}
+   */
+  static async clicksByDate({ urlId, from, unit = 'day' } = {}) {
+    const { rollup, rawFrom } = this.split(from);
+    const counts = new Map();
+    const add = (date, count) => {
+      const key = bucketStart(date, unit).toISOString();
+      counts.set(key, (counts.get(key) || 0) + count);
+    };
+
+    if (rollup) {
+      (await this.rollups(rollup, 'total', urlId, unit)).forEach(row => add(row.bucket, row.count));
+    }
+
+    const raw = await Click.findAll({
+      attributes: [
+        [fn('DATE_TRUNC', unit, col('date_time')), 'date'],
+        [fn('COUNT', col('id')), 'count']
+      ],
+      where: this.rawWhere(urlId, rawFrom),
+      group: [fn('DATE_TRUNC', unit, col('date_time'))],
+      raw: true
+    });
+    raw.forEach(row => add(row.date, Number(row.count)));
+
+    return Array.from(counts.entries())
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([date, count]) => ({ date: new Date(date), count }));
+  }
+
+  /**
+   * Click counts per value of a dimension since `from`, most clicked first
+   * schedule_slot and targeting_rule are not rolled up, so their counts cover retained raw clicks only.
+   * @param {string} dimension - 'referer', 'device_type', 'country', 'browser', 'os', 'schedule_slot' or 'targeting_rule'
+   * @param {Object} options - { urlId, from, limit, includeEmpty: count clicks without a value }
+   * @returns {Promise<Array<Object>>} - [{ [dimension]: value, count }]
+   */
+  static async breakdown(dimension, { urlId, from, limit, includeEmpty = true } = {}) {
+    const { rollup, rawFrom } = this.split(from);
+    const counts = new Map();
+    const add = (value, count) => {
+      const key = value === undefined || value === '' ? null : value;
+      if (key === null && !includeEmpty) return;
+      counts.set(key, (counts.get(key) || 0) + count);
+    };
+
+    if (rollup) {
+      (await this.rollups(rollup, dimension, urlId)).forEach(row => add(row.value, row.count));
+    }
+
+    const raw = await Click.findAll({
+      attributes: [dimension, [fn('COUNT', col('id')), 'count']],
+      where: this.rawWhere(urlId, rawFrom),
+      group: [dimension],
+      raw: true
+    });
+    raw.forEach(row => add(row[dimension], Number(row.count)));
+
+    const rows = Array.from(counts.entries())
+      .sort(([, a], [, b]) => b - a)
+      .map(([value, count]) => ({ [dimension]: value, count }));
+    return limit ? rows.slice(0, limit) : rows;
+  }
+
+  /**
+   * Delete raw clicks that have aged out of the retention window
+   * @returns {Promise<number>} - Number of clicks deleted
+   */
+  static async pruneClicks(now = new Date()) {
+    const days = this.retentionDays();
+    if (!days) return 0;
+    return Click.pruneBefore(new Date(now.getTime() - days * DAY_MS));
+  }
+
+  // Prune now and then every CLICK_PRUNE_INTERVAL_MS; the timer never keeps the process alive
+  static startRetention() {
+    if (pruneTimer || !this.retentionDays()) return;
+
+    const prune = () => this.pruneClicks()
+      .then(count => {
+        if (count) console.log(`🧹 Pruned ${count} clicks older than ${this.retentionDays()} days`);
+      })
+      .catch(error => console.error('Click pruning error:', error));
+
+    prune();
+    pruneTimer = setInterval(prune, parseInt(process.env.CLICK_PRUNE_INTERVAL_MS) || DEFAULT_PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+  }
+
+  static stopRetention() {
+    if (pruneTimer) {
+      clearInterval(pruneTimer);
+      pruneTimer = null;
+    }
+  }
+}
+
+module.exports = AnalyticsService;
@@ -0,0 +1,284 @@
+const readline = require('readline');
+const { once } = require('events');
+const { database } = require('../models');
+
+const FORMAT = 'minurl-backup';
+const FORMAT_VERSION = 1;
+const MAX_REPORTED_ERRORS = 20;
+
+// Exported tables in restore order: a table only references tables before it
+// Rollups are included because they hold the analytics of pruned raw clicks.
+// Sequences are included so a restored server never issues a sequential code twice.
+// Idempotency keys are left out: they are short-lived and a restore clears them.
+const TABLES = [
+  {
+    table: 'users',
+    type: 'user',
+    required: ['id', 'username', 'email', 'password_hash'],
+    unique: ['username', 'email'],
+    dates: ['created_at', 'updated_at', 'deleted_at'],
+    references: {}
+  },
+  {
+    table: 'urls',
+    type: 'url',
+    required: ['id', 'original_url', 'short_url'],
+    unique: ['short_url'],
+    dates: ['expires_at', 'starts_at', 'created_at', 'updated_at', 'deleted_at'],
+    references: { user_id: 'users', merged_into_id: 'urls' }
+  },
+  {
+    table: 'clicks',
+    type: 'click',
+    required: ['id', 'url_id', 'date_time'],
+    unique: [],
+    dates: ['date_time'],
+    references: { url_id: 'urls' }
+  },
+  {
+    table: 'click_rollups',
+    type: 'click_rollup',
+    required: ['id', 'url_id', 'granularity', 'bucket', 'dimension', 'count'],
+    unique: [],
+    dates: ['bucket'],
+    references: { url_id: 'urls' }
+  },
+  {
+    table: 'word_lists',
+    type: 'word',
+    required: ['id', 'list', 'word'],
+    unique: [['list', 'word']],
+    dates: ['created_at'],
+    references: {}
+  },
+  {
+    table: 'sequences',
+    type: 'sequence',
+    required: ['id', 'name', 'value'],
+    unique: ['name'],
+    dates: [],
+    references: {}
+  }
+];
+
+// A unique key is one field or a list of fields unique together
+const uniqueName = (fields) => [].concat(fields).join(', ');
+const uniqueValue = (record, fields) => [].concat(fields).map(field => record[field]).join(', ');
+
+const TABLES_BY_TYPE = Object.fromEntries(TABLES.map(spec => [spec.type, spec]));
+
+// The backup is not a valid export of this system; nothing was restored
+class RestoreValidationError extends Error {
+  constructor(details) {
+    super(`Backup failed validation with ${details.length} error${details.length === 1 ? '' : 's'}`);
+    this.name = 'RestoreValidationError';
+    this.details = details;
+    this.status = 400;
+  }
+}
+
+// Backups as NDJSON: a header line with the id counters, one line per record,
+// and an end line with per-table counts so truncated files are rejected
+//   {"type":"header","format":"minurl-backup","version":1,"exported_at":"...","counters":{...}}
+//   {"type":"user","data":{...}}
+//   {"type":"end","counts":{"users":1,...}}
+class BackupService {
+  /**
+   * Export lines, one JSON document per line
+   * @returns {AsyncGenerator<string>}
+   */
+  static async *exportLines() {
+    yield JSON.stringify({
+      type: 'header',
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      exported_at: new Date(),
+      counters: await database.getCounters()
+    }) + '\n';
+
+    const counts = {};
+    for (const { table, type } of TABLES) {
+      counts[table] = 0;
+      for await (const record of database.exportRecords(table)) {
+        counts[table]++;
+        yield JSON.stringify({ type, data: record }) + '\n';
+      }
+    }
+
+    yield JSON.stringify({ type: 'end', counts }) + '\n';
+  }
+
+  /**
+   * Stream an export into a writable stream, respecting backpressure
+   * @param {stream.Writable} output - HTTP response or file stream
+   */
+  static async exportTo(output) {
+    for await (const line of this.exportLines()) {
+      if (!output.write(line)) {
+        await once(output, 'drain');
+      }
+    }
+  }
+
+  /**
+   * Read and validate an export, then replace the whole dataset with it
+   * Nothing is written unless every line passes validation.
+   * @param {stream.Readable} input - Request body or file stream
+   * @returns {Promise<Object>} - Restored record counts by table
+   */
+  static async restoreFrom(input) {
+    const { data, counters } = await this.parse(input);
+    await database.replaceAll(data, counters);
+    return Object.fromEntries(TABLES.map(({ table }) => [table, data[table].length]));
+  }
+
+  /**
+   * Parse and validate an export
+   * @param {stream.Readable} input
+   * @returns {Promise<{data: Object, counters: Object}>}
+   * @throws {RestoreValidationError}
+   */
+  static async parse(input) {
+    const errors = [];
+    const fail = (line, message) => errors.push(line ? `Line ${line}: ${message}` : message);
+
+    const data = Object.fromEntries(TABLES.map(({ table }) => [table, []]));
+    const ids = Object.fromEntries(TABLES.map(({ table }) => [table, new Set()]));
+    const uniques = Object.fromEntries(TABLES.map(({ table, unique }) => [table, unique.map(() => new Set())]));
+    let header = null;
+    let end = null;
+    let lineNumber = 0;
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      lineNumber++;
+      if (errors.length >= MAX_REPORTED_ERRORS) break;
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        fail(lineNumber, 'invalid JSON');
+        continue;
+      }
+
+      if (!header) {
+        if (entry.type !== 'header' || entry.format !== FORMAT) {
+          fail(lineNumber, `expected a ${FORMAT} header`);
+          break;
+        }
+        if (entry.version > FORMAT_VERSION) {
+          fail(lineNumber, `backup format version ${entry.version} is newer than this server supports (${FORMAT_VERSION})`);
+          break;
+        }
+        header = entry;
+        continue;
+      }
+
+      if (end) {
+        fail(lineNumber, 'data after the end line');
+        break;
+      }
+      if (entry.type === 'end') {
+        end = entry;
+        continue;
+      }
+
+      const spec = TABLES_BY_TYPE[entry.type];
+      if (!spec) {
+        fail(lineNumber, `unknown record type "${entry.type}"`);
+        continue;
+      }
+
+      const record = this.parseRecord(spec, entry.data, message => fail(lineNumber, message));
+      if (!record) continue;
+
+      if (ids[spec.table].has(record.id)) {
+        fail(lineNumber, `duplicate ${spec.type} id ${record.id}`);
+        continue;
+      }
+      ids[spec.table].add(record.id);
+
+      spec.unique.forEach((fields, i) => {
+        const value = uniqueValue(record, fields);
+        if (uniques[spec.table][i].has(value)) {
+          fail(lineNumber, `duplicate ${spec.type} ${uniqueName(fields)} "${value}"`);
+        }
+        uniques[spec.table][i].add(value);
+      });
+
+      data[spec.table].push(record);
+    }
+
+    if (!header && !errors.length) fail(null, 'backup is empty');
+    if (header && !end && !errors.length) fail(null, 'backup is truncated (no end line)');
+
+    if (end && !errors.length) {
+      TABLES.forEach(({ table }) => {
+        const expected = (end.counts || {})[table] || 0;
+        if (expected !== data[table].length) {
+          fail(null, `expected ${expected} ${table}, found ${data[table].length}`);
+        }
+      });
+    }
+
+    // Referential integrity: every reference points at a record in the backup
+    TABLES.forEach(({ table, type, references }) => {
+      Object.entries(references).forEach(([field, target]) => {
+        data[table].forEach(record => {
+          if (record[field] !== null && record[field] !== undefined && !ids[target].has(record[field])) {
+            fail(null, `${type} ${record.id} references missing ${target} id ${record[field]}`);
+          }
+        });
+      });
+    });
+
+    if (errors.length) {
+      throw new RestoreValidationError(errors.slice(0, MAX_REPORTED_ERRORS));
+    }
+
+    // Counters never fall behind the ids being restored
+    const counters = {};
+    TABLES.forEach(({ table }) => {
+      const maxId = data[table].reduce((max, record) => Math.max(max, record.id), 0);
+      const counter = parseInt((header.counters || {})[table], 10);
+      counters[table] = Math.max(Number.isNaN(counter) ? 1 : counter, maxId + 1);
+    });
+
+    return { data, counters };
+  }
+
+  // Check a record's required fields and revive its dates; null when invalid
+  static parseRecord(spec, data, fail) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      fail(`${spec.type} has no data object`);
+      return null;
+    }
+
+    const missing = spec.required.filter(field => data[field] === undefined || data[field] === null || data[field] === '');
+    if (missing.length) {
+      fail(`${spec.type} is missing ${missing.join(', ')}`);
+      return null;
+    }
+    if (!Number.isInteger(data.id) || data.id < 1) {
+      fail(`${spec.type} id must be a positive integer`);
+      return null;
+    }
+
+    const record = { ...data };
+    for (const field of spec.dates) {
+      if (record[field] === undefined || record[field] === null) continue;
+      const date = new Date(record[field]);
+      if (Number.isNaN(date.getTime())) {
+        fail(`${spec.type} ${record.id} has an invalid ${field}`);
+        return null;
+      }
+      record[field] = date;
+    }
+    return record;
+  }
+}
+
+module.exports = BackupService;
+module.exports.RestoreValidationError = RestoreValidationError;
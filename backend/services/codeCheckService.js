@@ -0,0 +1,60 @@
+const { database } = require('../models');
+const { foldCode, checkCharacter } = require('../config/shortCodes');
+
+const CHECK_SHAPE = /^(.+)-([a-zA-Z0-9])$/;
+const MAX_SUGGESTIONS = 3;
+
+// Typo tolerance for short codes
+// With SHORT_CODE_CHECK_CHARACTER=true generated codes end in "-" plus a check
+// character, so a mistyped code is recognised without touching the store.
+// Lookups that miss fall back to codes that fold alike (o/0, i/l/1, u/v and
+// case): SHORT_CODE_LOOKUP=fold follows a single such match, otherwise the
+// matches are only suggested.
+class CodeCheckService {
+  static enabled() {
+    return process.env.SHORT_CODE_CHECK_CHARACTER === 'true';
+  }
+
+  static foldingEnabled() {
+    return process.env.SHORT_CODE_LOOKUP === 'fold';
+  }
+
+  /**
+   * Add the check character to a generated code body
+   * @param {string} body
+   * @returns {string}
+   */
+  static append(body) {
+    return `${body}-${checkCharacter(body)}`;
+  }
+
+  // Whether a code ends the way a checked code does ("-" and one character)
+  static hasCheckShape(code) {
+    return CHECK_SHAPE.test(code);
+  }
+
+  /**
+   * Whether a code's check character matches its body
+   * Folding applies, so a check character typed as "O" for "0" still passes.
+   * @param {string} code
+   * @returns {boolean}
+   */
+  static isValid(code) {
+    const match = CHECK_SHAPE.exec(code);
+    return Boolean(match) && foldCode(match[2]) === checkCharacter(match[1]);
+  }
+
+  /**
+   * Live links whose short code folds like `code` but is not `code` itself
+   * @param {string} code
+   * @returns {Promise<Array<Object>>} - At most MAX_SUGGESTIONS urls, oldest first
+   */
+  static async findSimilar(code) {
+    const urls = await database.findUrlsByFoldedCode(foldCode(code));
+    return urls
+      .filter(url => url.short_url !== code && url.is_active && !url.deleted_at)
+      .slice(0, MAX_SUGGESTIONS);
+  }
+}
+
+module.exports = CodeCheckService;
@@ -0,0 +1,152 @@
+const { database } = require('../models');
+
+const DEFAULT_GROWTH_THRESHOLD = 0.25;
+const DEFAULT_WINDOW = 200;
+const LENGTH_SEQUENCE = 'code_length:';
+
+// Per-algorithm stats since startup, and a window of recent generations
+const stats = new Map();
+// Growth in progress per algorithm, so concurrent triggers grow it once
+const growing = new Map();
+
+const statsFor = (name) => {
+  if (!stats.has(name)) {
+    stats.set(name, { generations: 0, collisions: 0, rejections: 0, failures: 0, histogram: {}, window: [], grown_at: null });
+  }
+  return stats.get(name);
+};
+
+// Collision telemetry and adaptive code length for random algorithms
+// Every generation records how many attempts it took to find a free code.
+// When the share of attempts that collided over the last
+// COLLISION_WINDOW generations exceeds COLLISION_GROWTH_THRESHOLD, or a
+// generation runs out of attempts, the algorithm's codes grow by one
+// character. Growth is persisted (as a sequence, so it only moves forward);
+// the counters are kept in memory and reset on restart.
+class CollisionService {
+  static threshold() {
+    const threshold = parseFloat(process.env.COLLISION_GROWTH_THRESHOLD);
+    return Number.isNaN(threshold) || threshold <= 0 || threshold >= 1 ? DEFAULT_GROWTH_THRESHOLD : threshold;
+  }
+
+  static windowSize() {
+    return parseInt(process.env.COLLISION_WINDOW, 10) || DEFAULT_WINDOW;
+  }
+
+  /**
+   * Current code length of an algorithm: its default plus any growth
+   * @param {Object} algorithm - Registered algorithm
+   * @returns {Promise<number>}
+   */
+  static async lengthFor(algorithm) {
+    if (!algorithm.adaptive) return algorithm.defaultLength;
+    const extra = await database.getSequence(LENGTH_SEQUENCE + algorithm.name);
+    return Math.min(algorithm.defaultLength + extra, algorithm.maxLength);
+  }
+
+  /**
+   * Whether an algorithm can still grow
+   * @param {Object} algorithm - Registered algorithm
+   * @returns {Promise<boolean>}
+   */
+  static async canGrow(algorithm) {
+    return Boolean(algorithm.adaptive) && await this.lengthFor(algorithm) < algorithm.maxLength;
+  }
+
+  /**
+   * Lengthen an algorithm's codes by one character
+   * @param {Object} algorithm - Registered algorithm
+   * @param {number} fromLength - Length the caller saw; growth already past it is not repeated
+   * @returns {Promise<number>} - The new length
+   */
+  static async grow(algorithm, fromLength) {
+    if (growing.has(algorithm.name)) return growing.get(algorithm.name);
+    if (await this.lengthFor(algorithm) > fromLength || !await this.canGrow(algorithm)) {
+      return this.lengthFor(algorithm);
+    }
+
+    const growth = (async () => {
+      await database.nextSequence(LENGTH_SEQUENCE + algorithm.name);
+      const entry = statsFor(algorithm.name);
+      entry.window = [];
+      entry.grown_at = new Date();
+
+      const length = await this.lengthFor(algorithm);
+      console.log(`📏 ${algorithm.name} short codes now ${length} characters long (collision rate above ${this.threshold()})`);
+      return length;
+    })();
+
+    growing.set(algorithm.name, growth);
+    try {
+      return await growth;
+    } finally {
+      growing.delete(algorithm.name);
+    }
+  }
+
+  /**
+   * Record one generation and grow the algorithm if collisions became too frequent
+   * @param {Object} algorithm - Registered algorithm
+   * @param {number} attempts - Codes tried, including the one that was free
+   * @param {Object} options - { length: length generated at, adaptive: the length applied,
+   *   rejected: codes refused as reserved or blocked words, failed: no free code was found }
+   */
+  static async record(algorithm, attempts, { length, adaptive = true, rejected = 0, failed = false }) {
+    const entry = statsFor(algorithm.name);
+    // Rejected words say nothing about how full the keyspace is
+    const collisions = (failed ? attempts : attempts - 1) - rejected;
+    const bucket = failed ? 'failed' : String(attempts);
+
+    entry.generations++;
+    entry.collisions += collisions;
+    entry.rejections += rejected;
+    if (failed) entry.failures++;
+    entry.histogram[bucket] = (entry.histogram[bucket] || 0) + 1;
+
+    entry.window.push({ attempts, collisions });
+    if (entry.window.length > this.windowSize()) entry.window.shift();
+
+    if (adaptive && entry.window.length >= this.windowSize() && this.collisionRate(entry.window) > this.threshold()) {
+      await this.grow(algorithm, length);
+    }
+  }
+
+  // Share of attempts in the window that hit a taken code
+  static collisionRate(window) {
+    const attempts = window.reduce((sum, generation) => sum + generation.attempts, 0);
+    const collisions = window.reduce((sum, generation) => sum + generation.collisions, 0);
+    return attempts ? collisions / attempts : 0;
+  }
+
+  /**
+   * Telemetry of every algorithm for the admin dashboard
+   * @param {Array<Object>} algorithms - Registered algorithms
+   * @returns {Promise<Array<Object>>}
+   */
+  static async report(algorithms) {
+    const rows = [];
+    for (const algorithm of algorithms) {
+      const entry = statsFor(algorithm.name);
+      rows.push({
+        name: algorithm.name,
+        adaptive: Boolean(algorithm.adaptive),
+        default_length: algorithm.defaultLength,
+        current_length: await this.lengthFor(algorithm),
+        max_length: algorithm.adaptive ? algorithm.maxLength : algorithm.defaultLength,
+        generations: entry.generations,
+        collisions: entry.collisions,
+        rejections: entry.rejections,
+        failures: entry.failures,
+        attempts_histogram: entry.histogram,
+        recent: {
+          generations: entry.window.length,
+          collision_rate: Number(this.collisionRate(entry.window).toFixed(4))
+        },
+        last_grown_at: entry.grown_at
+      });
+    }
+    return rows;
+  }
+}
+
+module.exports = CollisionService;
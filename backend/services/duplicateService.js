@@ -0,0 +1,120 @@
+const { Url, database, sequelize } = require('../models');
+const UrlService = require('./urlService');
+const { redirectStatus } = require('../config/redirects');
+
+// Link settings that must match for two links to count as the same link, and
+// how to read each from a link; title and description are labels and may differ.
+// Password hashes are salted, so a protected link never matches another link.
+const MATCHED_SETTINGS = {
+  expires_at: url => url.expires_at,
+  redirect_status: redirectStatus,
+  interstitial: url => Boolean(url.interstitial),
+  password_hash: url => url.password_hash || null,
+  starts_at: url => url.starts_at,
+  schedule: url => (url.schedule ? JSON.stringify(url.schedule.map(entry => [new Date(entry.at).getTime(), entry.original_url])) : null),
+  targeting_rules: url => (url.targeting_rules ? JSON.stringify(url.targeting_rules) : null)
+};
+
+const settingValue = (value) => (value instanceof Date ? value.getTime() : value === undefined ? null : value);
+
+// Deduplication of a user's links
+// Two live, active, unexpired links of one user are duplicates when they
+// point at the same canonical URL with the same MATCHED_SETTINGS. Shortening
+// with reuse_existing returns the existing link instead of creating another;
+// merging folds duplicates into the oldest one, leaving each duplicate as a
+// redirect stub (merged_into_id) so its short code keeps working.
+class DuplicateService {
+  /**
+   * Whether a shortening request should reuse an identical link
+   * @param {boolean|undefined} requested - The request's reuse_existing
+   * @param {Object|null} user - The requesting user; anonymous links are never reused
+   * @returns {boolean}
+   */
+  static shouldReuse(requested, user) {
+    if (!user) return false;
+    return requested === undefined || requested === null ? Boolean(user.reuse_existing) : requested === true;
+  }
+
+  // Identity of a link for deduplication; links stored before
+  // canonicalization changed are compared in today's canonical form
+  static destinationKey(url) {
+    return JSON.stringify([
+      url.user_id,
+      UrlService.comparisonKey(url.original_url),
+      ...Object.values(MATCHED_SETTINGS).map(read => settingValue(read(url)))
+    ]);
+  }
+
+  // Links that a new link could be a duplicate of, oldest first
+  // Capped links count their own clicks, so they are never reused or merged
+  static async findCandidates(userId) {
+    const urls = await Url.findAll({
+      where: { user_id: userId, is_active: true, deleted_at: null },
+      order: [['id', 'ASC']]
+    });
+    return urls.filter(url => !UrlService.isExpired(url) && !url.max_clicks);
+  }
+
+  /**
+   * The user's existing link identical to a link about to be created
+   * @param {Object} record - { user_id, original_url, ...MATCHED_SETTINGS }
+   * @returns {Promise<Object|null>} - The oldest identical link
+   */
+  static async findReusable(record) {
+    if (!record.user_id) return null;
+    const key = this.destinationKey(record);
+    const candidates = await this.findCandidates(record.user_id);
+    return candidates.find(url => this.destinationKey(url) === key) || null;
+  }
+
+  /**
+   * Groups of identical links a user owns
+   * @param {number} userId
+   * @param {string} [originalUrl] - Only report links to this URL, in any of its spellings
+   * @returns {Promise<Array<{keep: Object, duplicates: Object[]}>>} - keep is the oldest link of each group
+   */
+  static async findDuplicates(userId, originalUrl) {
+    const canonical = originalUrl ? UrlService.comparisonKey(originalUrl) : null;
+    const urls = (await this.findCandidates(userId))
+      .filter(url => !canonical || UrlService.comparisonKey(url.original_url) === canonical);
+    const groups = new Map();
+    urls.forEach(url => {
+      const key = this.destinationKey(url);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(url);
+    });
+
+    return [...groups.values()]
+      .filter(group => group.length > 1)
+      .map(([keep, ...duplicates]) => ({ keep, duplicates }));
+  }
+
+  /**
+   * Fold each group's duplicates into the link it keeps
+   * Clicks, rollups and click counts move to the kept link; the duplicates
+   * leave the user's lists but still redirect, to the kept link.
+   * @param {Array<{keep: Object, duplicates: Object[]}>} groups - From findDuplicates
+   * @returns {Promise<{groups: number, merged_urls: number, clicks_moved: number}>}
+   */
+  static async merge(groups) {
+    return sequelize.transaction(async () => {
+      const mergedAt = new Date();
+      let mergedUrls = 0;
+      let clicksMoved = 0;
+
+      for (const { keep, duplicates } of groups) {
+        const before = (await keep.reload()).click_count;
+        for (const duplicate of duplicates) {
+          await database.moveClicks(duplicate.id, keep.id);
+          await duplicate.update({ merged_into_id: keep.id, deleted_at: mergedAt });
+          mergedUrls++;
+        }
+        clicksMoved += (await keep.reload()).click_count - before;
+      }
+
+      return { groups: groups.length, merged_urls: mergedUrls, clicks_moved: clicksMoved };
+    });
+  }
+}
+
+module.exports = DuplicateService;
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { database } = require('../models');
+const { UniqueConstraintError } = require('../config/errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let pruneTimer = null;
+
+// JSON with object keys sorted, so equal bodies fingerprint alike
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Idempotency keys for create requests
+// The first request with a key claims it; its response is stored for
+// IDEMPOTENCY_TTL_HOURS and replayed to every retry with the same key and
+// body. Keys are scoped to the user (or the client IP for anonymous calls).
+class IdempotencyService {
+  /**
+   * Hours a response is kept for replay (IDEMPOTENCY_TTL_HOURS)
+   * @returns {number}
+   */
+  static ttlHours() {
+    const hours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS);
+    return Number.isNaN(hours) || hours <= 0 ? DEFAULT_TTL_HOURS : hours;
+  }
+
+  // Identity of a request: method, path and body
+  static fingerprint(req) {
+    return crypto.createHash('sha256')
+      .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body)}`)
+      .digest('hex');
+  }
+
+  /**
+   * Claim a key for a request, or find what an earlier request with it did
+   * @param {string} scope - Whose key it is, e.g. "user:12"
+   * @param {string} key - The Idempotency-Key header
+   * @param {string} fingerprint - From fingerprint()
+   * @returns {Promise<Object>} - { claimed: entry }, { replay: entry }, or { conflict: 'mismatch' | 'in_progress' }
+   */
+  static async begin(scope, key, fingerprint) {
+    let entry = await database.findIdempotencyKey(scope, key);
+    if (entry && entry.expires_at <= new Date()) {
+      await database.deleteIdempotencyKey(entry.id);
+      entry = null;
+    }
+
+    if (!entry) {
+      try {
+        const expiresAt = new Date(Date.now() + this.ttlHours() * HOUR_MS);
+        return { claimed: await database.createIdempotencyKey({ scope, key, fingerprint, expires_at: expiresAt }) };
+      } catch (error) {
+        // Another request claimed the key first
+        if (!(error instanceof UniqueConstraintError)) throw error;
+        entry = await database.findIdempotencyKey(scope, key);
+      }
+    }
+
+    if (entry.fingerprint !== fingerprint) return { conflict: 'mismatch' };
+    if (entry.status === null) return { conflict: 'in_progress' };
+    return { replay: entry };
+  }
+
+  /**
+   * Store the response to a claimed key
+   * Server errors and conflicts (a taken alias or code, a rolled-back batch)
+   * are not stored: the key is released so a retry runs again.
+   * @param {Object} entry - From begin()
+   * @param {number} status
+   * @param {*} body - The JSON response body
+   */
+  static async complete(entry, status, body) {
+    if (status >= 500 || status === 409) {
+      await this.release(entry);
+      return;
+    }
+    await database.updateIdempotencyKey(entry.id, { status, response: JSON.parse(JSON.stringify(body)) });
+  }
+
+  // Give up a claimed key without a stored response
+  static async release(entry) {
+    await database.deleteIdempotencyKey(entry.id);
+  }
+
+  /**
+   * Delete keys past their replay window
+   * @returns {Promise<number>} - Number of keys deleted
+   */
+  static async pruneExpired(now = new Date()) {
+    return database.pruneIdempotencyKeys(now);
+  }
+
+  // Prune now and then every IDEMPOTENCY_PRUNE_INTERVAL_MS; the timer never keeps the process alive
+  static startSweep() {
+    if (pruneTimer) return;
+
+    const prune = () => this.pruneExpired()
+      .then(count => {
+        if (count) console.log(`🔑 Pruned ${count} expired idempotency keys`);
+      })
+      .catch(error => console.error('Idempotency key pruning error:', error));
+
+    prune();
+    pruneTimer = setInterval(prune, parseInt(process.env.IDEMPOTENCY_PRUNE_INTERVAL_MS) || DEFAULT_PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+  }
+
+  static stopSweep() {
+    if (pruneTimer) {
+      clearInterval(pruneTimer);
+      pruneTimer = null;
+    }
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserMethods = require('../models/User');
+
+const DEFAULT_UNLOCK_MINUTES = 10;
+
+/**
+ * Cookies sent with a request
+ * @param {Object} req
+ * @returns {Object} - Name to value
+ */
+const parseCookies = (req) => {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator < 0) return;
+    const name = pair.slice(0, separator).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(separator + 1).trim());
+    } catch (error) {
+      // A malformed cookie is ignored, not fatal
+    }
+  });
+  return cookies;
+};
+
+// Changes whenever the link's password does, so unlocks from before a change stop working
+const passwordVersion = (url) => crypto.createHash('sha256').update(url.password_hash).digest('hex').slice(0, 16);
+
+// Password-protected links
+// Passwords are hashed like user passwords. A correct password sets a cookie
+// holding a token signed with JWT_SECRET, and the link redirects without
+// asking again until it expires LINK_UNLOCK_MINUTES later.
+class LinkPasswordService {
+  static isProtected(url) {
+    return Boolean(url.password_hash);
+  }
+
+  static async hash(password) {
+    return UserMethods.hashPassword(password);
+  }
+
+  static async verify(url, password) {
+    if (!this.isProtected(url) || typeof password !== 'string') return false;
+    return UserMethods.validatePassword(password, url.password_hash);
+  }
+
+  /**
+   * How long an unlock lasts (LINK_UNLOCK_MINUTES)
+   * @returns {number}
+   */
+  static unlockMinutes() {
+    const minutes = parseInt(process.env.LINK_UNLOCK_MINUTES, 10);
+    return Number.isNaN(minutes) || minutes <= 0 ? DEFAULT_UNLOCK_MINUTES : minutes;
+  }
+
+  static cookieName(url) {
+    return `link_unlock_${url.id}`;
+  }
+
+  /**
+   * Remember a correct password for this browser
+   * The cookie is sent on every path: the link is reached both at /:shortCode and /urls/:shortCode.
+   * @param {Object} res
+   * @param {Object} url
+   */
+  static rememberUnlock(res, url) {
+    const minutes = this.unlockMinutes();
+    const token = jwt.sign(
+      { url_id: url.id, version: passwordVersion(url) },
+      process.env.JWT_SECRET,
+      { expiresIn: minutes * 60 }
+    );
+    res.cookie(this.cookieName(url), token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: minutes * 60 * 1000,
+      path: '/'
+    });
+  }
+
+  /**
+   * Whether the request carries a live unlock for the link's current password
+   * @param {Object} req
+   * @param {Object} url
+   * @returns {boolean}
+   */
+  static isUnlocked(req, url) {
+    const token = parseCookies(req)[this.cookieName(url)];
+    if (!token) return false;
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      return payload.url_id === url.id && payload.version === passwordVersion(url);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = LinkPasswordService;
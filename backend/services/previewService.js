@@ -0,0 +1,69 @@
+const { domainToUnicode } = require('url');
+
+const DEFAULT_INTERSTITIAL_SECONDS = 5;
+
+const IPV4_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+// Link previews
+// A preview shows where a link goes instead of going there: the code with a
+// "+" suffix or ?preview=1, and every visit to an interstitial link (after a
+// countdown). The safety checks look only at the address itself; they do not
+// fetch or scan the destination.
+class PreviewService {
+  /**
+   * Seconds an interstitial page waits before continuing (INTERSTITIAL_SECONDS)
+   * @returns {number}
+   */
+  static interstitialSeconds() {
+    const seconds = parseInt(process.env.INTERSTITIAL_SECONDS, 10);
+    return Number.isNaN(seconds) || seconds < 0 ? DEFAULT_INTERSTITIAL_SECONDS : seconds;
+  }
+
+  /**
+   * Whether a redirect request asks for the preview instead
+   * The "+" suffix is taken off req.params.shortCode by the route.
+   * @param {Object} req
+   * @returns {boolean}
+   */
+  static isRequested(req) {
+    return req.preview === true || ['1', 'true'].includes(req.query.preview);
+  }
+
+  /**
+   * Warning signs in a destination address
+   * @param {string} originalUrl
+   * @returns {Array<{check: string, message: string}>} - Empty when nothing stands out
+   */
+  static safetyWarnings(originalUrl) {
+    let destination;
+    try {
+      destination = new URL(originalUrl);
+    } catch (error) {
+      return [{ check: 'invalid_url', message: 'The destination is not a valid web address' }];
+    }
+
+    const warnings = [];
+    const host = destination.hostname;
+    if (destination.protocol !== 'https:') {
+      warnings.push({ check: 'not_https', message: 'The destination does not use HTTPS, so the connection is not encrypted' });
+    }
+    if (IPV4_PATTERN.test(host) || host.startsWith('[')) {
+      warnings.push({ check: 'ip_address', message: 'The destination is a bare IP address rather than a domain name' });
+    }
+    if (host.split('.').some(label => label.startsWith('xn--'))) {
+      warnings.push({ check: 'international_domain', message: `The domain ${domainToUnicode(host)} uses non-Latin characters, which can imitate a familiar domain` });
+    }
+    if (destination.username || destination.password) {
+      warnings.push({ check: 'credentials', message: 'The address has a user name before an @, which can disguise the real domain' });
+    }
+    if (destination.port) {
+      warnings.push({ check: 'unusual_port', message: `The destination uses the non-standard port ${destination.port}` });
+    }
+    if (host === (process.env.APP_DOMAIN || 'mini.cloudrakshak.com')) {
+      warnings.push({ check: 'short_link', message: 'The destination is another short link, which may lead somewhere else again' });
+    }
+    return warnings;
+  }
+}
+
+module.exports = PreviewService;
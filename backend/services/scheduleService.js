@@ -0,0 +1,159 @@
+const UrlService = require('./urlService');
+
+const MAX_SCHEDULE_ENTRIES = 20;
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+
+// A wall-clock time, read in the entry's timezone
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+// An instant: a time with a UTC offset
+const INSTANT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/i;
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// How far a time zone's clocks are ahead of UTC at an instant, in milliseconds
+const zoneOffset = (timeZone, instant) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant).forEach(({ type, value }) => { parts[type] = Number(value); });
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(instant / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time comes round in a time zone
+ * A time repeated by a daylight saving change is its first occurrence; a
+ * time skipped by one moves forward by the gap.
+ * @param {string} localTime - YYYY-MM-DDTHH:mm[:ss]
+ * @param {string} timeZone - IANA name, e.g. Europe/Berlin
+ * @returns {Date|null} - null when the date or time does not exist
+ */
+const zonedTime = (localTime, timeZone) => {
+  const match = LOCAL_TIME_PATTERN.exec(localTime);
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part || 0));
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const parsed = new Date(wall);
+  if (parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  // The offsets half a day either side cover any change around the time; an
+  // instant fits when its own offset is the one it was computed with
+  const offsets = [zoneOffset(timeZone, wall - HALF_DAY_MS), zoneOffset(timeZone, wall + HALF_DAY_MS)];
+  const instants = offsets.map(offset => wall - offset).filter(instant => zoneOffset(timeZone, instant) === wall - instant);
+  return new Date(instants.length ? Math.min(...instants) : wall - offsets[0]);
+};
+
+// Scheduled links
+// A link with starts_at does not redirect before then. Its schedule is an
+// ordered list of destination switches, { at, timezone, original_url }:
+// the link goes to its own original_url (slot 0) until the first switch, then
+// to each entry's original_url in turn (slots 1, 2, ...). Switches are stored
+// as UTC instants; the timezone is kept to show how each was entered. The
+// redirect evaluates the schedule on every visit and each click records the
+// slot that served it.
+class ScheduleService {
+  /**
+   * Validate a schedule from a create or update request
+   * Each entry's `at` is a local time in its timezone (UTC when none is
+   * given), or an instant with an offset and no timezone.
+   * @param {Array|null|undefined} input
+   * @returns {Object} - { schedule: stored entries, or null for none }, or { error: { message } }
+   */
+  static parse(input) {
+    if (input === undefined || input === null) return { schedule: null };
+    if (!Array.isArray(input)) {
+      return { error: { message: 'schedule must be a list of { at, timezone, original_url } entries' } };
+    }
+    if (input.length > MAX_SCHEDULE_ENTRIES) {
+      return { error: { message: `schedule can have at most ${MAX_SCHEDULE_ENTRIES} entries` } };
+    }
+
+    const schedule = [];
+    for (const [index, entry] of input.entries()) {
+      const fail = (message) => ({ error: { message: `schedule[${index}]: ${message}` } });
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return fail('must be an object with at, timezone and original_url');
+      }
+      const { at, timezone = null, original_url } = entry;
+
+      if (typeof original_url !== 'string' || !original_url || original_url.length > 2048) {
+        return fail('original_url must be a URL of at most 2048 characters');
+      }
+      const normalizedUrl = UrlService.normalizeUrl(original_url);
+      if (!UrlService.isValidUrl(normalizedUrl)) {
+        return fail('original_url must be a valid HTTP or HTTPS URL');
+      }
+
+      if (timezone !== null && (typeof timezone !== 'string' || !isTimeZone(timezone))) {
+        return fail('timezone must be an IANA time zone such as Europe/Berlin');
+      }
+      if (typeof at !== 'string') {
+        return fail('at must be a date and time such as 2025-03-10T09:00');
+      }
+      let switchAt;
+      if (INSTANT_PATTERN.test(at)) {
+        if (timezone !== null) {
+          return fail('at must not have a UTC offset when timezone is given');
+        }
+        switchAt = new Date(at);
+      } else {
+        switchAt = zonedTime(at, timezone || 'UTC');
+      }
+      if (!switchAt || Number.isNaN(switchAt.getTime())) {
+        return fail('at must be a date and time such as 2025-03-10T09:00');
+      }
+      if (schedule.length && switchAt <= new Date(schedule[schedule.length - 1].at)) {
+        return fail('entries must be in chronological order');
+      }
+
+      schedule.push({ at: switchAt.toISOString(), timezone, original_url: normalizedUrl });
+    }
+    return { schedule: schedule.length ? schedule : null };
+  }
+
+  /**
+   * The destination a link serves at a given time
+   * @param {Object} url - URL record
+   * @param {Date} now
+   * @returns {{slot: number|null, original_url: string}} - slot is null for an unscheduled link
+   */
+  static resolve(url, now = new Date()) {
+    const schedule = url.schedule || [];
+    let slot = 0;
+    schedule.forEach((entry, index) => {
+      if (new Date(entry.at) <= now) slot = index + 1;
+    });
+    return {
+      slot: schedule.length ? slot : null,
+      original_url: slot ? schedule[slot - 1].original_url : url.original_url
+    };
+  }
+
+  /**
+   * Whether the link will switch destination after `now`
+   * Such a redirect must not be cached past the switch.
+   * @param {Object} url - URL record
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  static hasPendingSwitch(url, now = new Date()) {
+    return (url.schedule || []).some(entry => new Date(entry.at) > now);
+  }
+}
+
+module.exports = ScheduleService;
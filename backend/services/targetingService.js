@@ -0,0 +1,133 @@
+const UrlService = require('./urlService');
+const { DEVICE_TYPES, OPERATING_SYSTEMS, BROWSERS } = require('../config/visitors');
+
+const MAX_RULES = 20;
+const MAX_VALUES = 50;
+
+// Names are matched case-insensitively and stored as spelled in config/visitors.js
+const namedValue = (names) => {
+  const byKey = new Map(names.map(name => [name.toLowerCase(), name]));
+  return (value) => byKey.get(value.toLowerCase());
+};
+
+const OS_NAMES = OPERATING_SYSTEMS.map(([name]) => name);
+const BROWSER_NAMES = BROWSERS.map(([name]) => name);
+
+// Each condition a rule may set: what it accepts, and the stored form of a value (undefined when invalid)
+const CONDITIONS = {
+  device_type: {
+    describe: `one of ${DEVICE_TYPES.join(', ')}`,
+    canonical: namedValue(DEVICE_TYPES)
+  },
+  os: {
+    describe: `one of ${OS_NAMES.join(', ')}`,
+    canonical: namedValue(OS_NAMES)
+  },
+  browser: {
+    describe: `one of ${BROWSER_NAMES.join(', ')}`,
+    canonical: namedValue(BROWSER_NAMES)
+  },
+  country: {
+    describe: 'a two-letter country code such as US',
+    canonical: (value) => (/^[a-z]{2}$/i.test(value) ? value.toUpperCase() : undefined)
+  },
+  language: {
+    describe: 'a language tag such as en or pt-BR',
+    canonical: (value) => (/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value) ? value.toLowerCase() : undefined)
+  }
+};
+
+// A rule's language matches the visitor's language and its regional variants: en matches en-GB
+const matchesValue = (condition, wanted, actual) => {
+  if (actual === null || actual === undefined) return false;
+  if (condition === 'language') return actual === wanted || actual.startsWith(`${wanted}-`);
+  return actual === wanted;
+};
+
+// Targeting rules
+// A link may send visitors to different destinations by device type, OS,
+// browser, country and language (see services/visitorService.js). Its rules
+// are an ordered list of { device_type, os, browser, country, language,
+// original_url }; each condition is a value or a list of values, any of which
+// matches. The first rule whose conditions all match picks the destination;
+// when none does, the link falls back to its usual destination. Each click
+// records the rule that served it: 1 for the first rule, 0 for the fallback.
+class TargetingService {
+  /**
+   * Validate targeting rules from a create or update request
+   * @param {Array|null|undefined} input
+   * @returns {Object} - { rules: stored rules, or null for none }, or { error: { message } }
+   */
+  static parse(input) {
+    if (input === undefined || input === null) return { rules: null };
+    if (!Array.isArray(input)) {
+      return { error: { message: 'targeting_rules must be a list of rules with conditions and an original_url' } };
+    }
+    if (input.length > MAX_RULES) {
+      return { error: { message: `targeting_rules can have at most ${MAX_RULES} rules` } };
+    }
+
+    const rules = [];
+    for (const [index, entry] of input.entries()) {
+      const fail = (message) => ({ error: { message: `targeting_rules[${index}]: ${message}` } });
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return fail('must be an object with conditions and an original_url');
+      }
+      const { original_url, ...conditions } = entry;
+
+      if (typeof original_url !== 'string' || !original_url || original_url.length > 2048) {
+        return fail('original_url must be a URL of at most 2048 characters');
+      }
+      const normalizedUrl = UrlService.normalizeUrl(original_url);
+      if (!UrlService.isValidUrl(normalizedUrl)) {
+        return fail('original_url must be a valid HTTP or HTTPS URL');
+      }
+
+      const unknown = Object.keys(conditions).find(name => !CONDITIONS[name]);
+      if (unknown) {
+        return fail(`unknown condition ${unknown}; use ${Object.keys(CONDITIONS).join(', ')}`);
+      }
+      if (!Object.keys(conditions).length) {
+        return fail('needs at least one condition; the link\'s own original_url is the fallback');
+      }
+
+      // Stored in a fixed order, so identical rules compare equal (see services/duplicateService.js)
+      const rule = {};
+      for (const name of Object.keys(CONDITIONS).filter(condition => condition in conditions)) {
+        const value = conditions[name];
+        const values = Array.isArray(value) ? value : [value];
+        if (!values.length || values.length > MAX_VALUES) {
+          return fail(`${name} must be a value or a list of 1 to ${MAX_VALUES} values`);
+        }
+        const canonical = values.map(item => (typeof item === 'string' ? CONDITIONS[name].canonical(item) : undefined));
+        if (canonical.includes(undefined)) {
+          return fail(`${name} must be ${CONDITIONS[name].describe}`);
+        }
+        rule[name] = Array.from(new Set(canonical));
+      }
+      rules.push({ ...rule, original_url: normalizedUrl });
+    }
+    return { rules: rules.length ? rules : null };
+  }
+
+  /**
+   * The first of a link's rules that matches a visitor
+   * @param {Object} url - URL record
+   * @param {Object} visitor - From VisitorService.describe
+   * @returns {{rule: number|null, original_url: string|null}} - rule is 0 when no rule matches
+   *   (original_url null) and null for a link without rules
+   */
+  static resolve(url, visitor) {
+    const rules = url.targeting_rules || [];
+    if (!rules.length) return { rule: null, original_url: null };
+
+    const index = rules.findIndex(rule => Object.keys(CONDITIONS)
+      .filter(name => rule[name])
+      .every(name => rule[name].some(wanted => matchesValue(name, wanted, visitor[name]))));
+    return index < 0
+      ? { rule: 0, original_url: null }
+      : { rule: index + 1, original_url: rules[index].original_url };
+  }
+}
+
+module.exports = TargetingService;
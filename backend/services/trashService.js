@@ -0,0 +1,124 @@
+const { User, Url, Op, sequelize } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+// Soft delete for links and users
+// Deleting sets deleted_at; the row stays (keeping its short code, email and
+// username reserved) until the sweep purges it TRASH_RETENTION_DAYS later.
+// Purging removes the row for good, cascading to its clicks and rollups.
+// Merged duplicates also carry deleted_at but are not trash: they are never
+// purged themselves and go with the link they were merged into.
+class TrashService {
+  /**
+   * Days trashed rows are kept (TRASH_RETENTION_DAYS)
+   * @returns {number}
+   */
+  static retentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+  }
+
+  /**
+   * When a row trashed at `deletedAt` will be purged
+   * @param {Date} deletedAt
+   * @returns {Date}
+   */
+  static purgeAt(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.retentionDays() * DAY_MS);
+  }
+
+  /**
+   * Move a link to the trash
+   * @param {Object} url - Url instance
+   * @returns {Promise<Object>} - The trashed url
+   */
+  static async trashUrl(url) {
+    return url.update({ deleted_at: new Date() });
+  }
+
+  /**
+   * Take a link out of the trash
+   * @param {Object} url - Url instance
+   * @returns {Promise<Object>} - The restored url
+   */
+  static async restoreUrl(url) {
+    return url.update({ deleted_at: null });
+  }
+
+  /**
+   * Move a user and every link they own to the trash
+   * The links share the user's deleted_at, which is how restoreUser finds them.
+   * @param {Object} user - User instance
+   * @returns {Promise<number>} - Number of links trashed with the user
+   */
+  static async trashUser(user) {
+    const deletedAt = new Date();
+    return sequelize.transaction(async () => {
+      const urls = await Url.findAll({ where: { user_id: user.id, deleted_at: null } });
+      for (const url of urls) {
+        await url.update({ deleted_at: deletedAt });
+      }
+      await user.update({ deleted_at: deletedAt });
+      return urls.length;
+    });
+  }
+
+  /**
+   * Take a user out of the trash along with the links trashed with them
+   * Links the user had deleted themselves stay in the trash.
+   * @param {Object} user - User instance
+   * @returns {Promise<number>} - Number of links restored with the user
+   */
+  static async restoreUser(user) {
+    const deletedAt = user.deleted_at;
+    return sequelize.transaction(async () => {
+      const urls = await Url.findAll({ where: { user_id: user.id, deleted_at: deletedAt } });
+      for (const url of urls) {
+        await url.update({ deleted_at: null });
+      }
+      await user.update({ deleted_at: null });
+      return urls.length;
+    });
+  }
+
+  /**
+   * Permanently remove trashed rows whose retention has run out
+   * @returns {Promise<{urls: number, users: number}>} - Number of rows purged
+   */
+  static async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.retentionDays() * DAY_MS);
+    const expired = { deleted_at: { [Op.lt]: cutoff } };
+
+    const urls = await Url.destroy({ where: { ...expired, merged_into_id: null } });
+    const users = await User.destroy({ where: expired });
+    return { urls, users };
+  }
+
+  // Purge now and then every TRASH_PURGE_INTERVAL_MS; the timer never keeps the process alive
+  static startSweep() {
+    if (purgeTimer) return;
+
+    const sweep = () => this.purgeExpired()
+      .then(({ urls, users }) => {
+        if (urls || users) console.log(`🗑️ Purged ${urls} links and ${users} users from the trash`);
+      })
+      .catch(error => console.error('Trash purge error:', error));
+
+    sweep();
+    purgeTimer = setInterval(sweep, parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_PURGE_INTERVAL_MS);
+    purgeTimer.unref();
+  }
+
+  static stopSweep() {
+    if (purgeTimer) {
+      clearInterval(purgeTimer);
+      purgeTimer = null;
+    }
+  }
+}
+
+module.exports = TrashService;
@@ -0,0 +1,176 @@
+// Query parameters that only say where a click came from
+const TRACKING_PARAMS = [
+  '_ga', '_gl', 'dclid', 'fbclid', 'gbraid', 'gclid', 'igshid', 'li_fat_id',
+  'mc_cid', 'mc_eid', 'msclkid', 'ttclid', 'twclid', 'wbraid', 'yclid'
+];
+const TRACKING_PREFIXES = ['utm_'];
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+// scheme://authority of a raw URL string
+const AUTHORITY_PATTERN = /^([a-z][a-z0-9+.-]*:)\/\/([^/?#]*)/i;
+
+/**
+ * Tracking parameter names: the built-in ones and URL_TRACKING_PARAMS
+ * @returns {Set<string>} - Lowercase names
+ */
+const trackingParams = () => new Set([
+  ...TRACKING_PARAMS,
+  ...(process.env.URL_TRACKING_PARAMS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+]);
+
+// The query string split on &, undecoded: segments a step keeps are written
+// back byte for byte, so signatures and + versus %20 survive. URLSearchParams
+// would re-serialize the whole query.
+const querySegments = (url) => (url.search ? url.search.slice(1).split('&') : []);
+
+const setQuerySegments = (url, segments) => {
+  url.search = segments.length ? `?${segments.join('&')}` : '';
+};
+
+// Decoded parameter name of a segment, for matching and sorting only
+const segmentName = (segment) => {
+  const name = segment.split('=')[0].replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    return name;
+  }
+};
+
+// Segments ordered by parameter name; repeated names keep their order
+const sortedSegments = (segments) => [...segments].sort((a, b) => {
+  const nameA = segmentName(a);
+  const nameB = segmentName(b);
+  return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+});
+
+const isTrackingParam = (name, tracking) => {
+  const lower = name.toLowerCase();
+  return tracking.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+};
+
+// Steps that URL_CANONICALIZATION can turn on or off, in the order they run
+// Each changes the URL in place and returns a description of what it did, or null.
+const OPTIONAL_STEPS = {
+  remove_tracking_params(url) {
+    const tracking = trackingParams();
+    const segments = querySegments(url);
+    const kept = segments.filter(segment => !isTrackingParam(segmentName(segment), tracking));
+    if (kept.length === segments.length) return null;
+    const removed = [...new Set(segments.filter(segment => !kept.includes(segment)).map(segmentName))];
+    setQuerySegments(url, kept);
+    return `removed ${removed.join(', ')}`;
+  },
+
+  // Off by default: some servers care about parameter order; deduplication
+  // compares sorted queries either way (see UrlCanonicalizer.comparisonKey)
+  sort_query_params(url) {
+    const segments = querySegments(url);
+    const sorted = sortedSegments(segments);
+    if (segments.every((segment, i) => segment === sorted[i])) return null;
+    setQuerySegments(url, sorted);
+    return 'sorted query parameters by name';
+  },
+
+  // Off by default: single-page apps route on the fragment
+  remove_fragment(url) {
+    if (!url.hash) return null;
+    const { hash } = url;
+    url.hash = '';
+    return `removed ${hash}`;
+  }
+};
+
+const DEFAULT_STEPS = ['remove_tracking_params'];
+
+// URL canonicalization
+// Every URL gets a scheme (https:// when it has none), a lowercase punycode
+// host and no default port; WHATWG URL parsing does the latter three, and
+// they are reported from the raw input. The optional steps listed in
+// URL_CANONICALIZATION (comma-separated, or "none") run after that.
+class UrlCanonicalizer {
+  /**
+   * Optional steps in effect
+   * @returns {string[]}
+   */
+  static steps() {
+    const setting = process.env.URL_CANONICALIZATION;
+    if (setting === undefined || setting.trim() === '') return DEFAULT_STEPS;
+    const names = setting.split(',').map(name => name.trim().toLowerCase());
+    return Object.keys(OPTIONAL_STEPS).filter(name => names.includes(name));
+  }
+
+  /**
+   * Canonical form of a URL and the transformations that produced it
+   * A string that does not parse comes back with only the scheme added.
+   * @param {string} input
+   * @returns {{url: string, transformations: Array<{step: string, detail: string}>}}
+   */
+  static canonicalize(input) {
+    const transformations = [];
+    const applied = (step, detail) => transformations.push({ step, detail });
+
+    let raw = String(input).trim();
+    if (!AUTHORITY_PATTERN.test(raw)) {
+      raw = `https://${raw}`;
+      applied('add_scheme', 'added https://');
+    }
+
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (error) {
+      return { url: raw, transformations };
+    }
+
+    const [prefix, scheme, authority] = AUTHORITY_PATTERN.exec(raw);
+    const rest = raw.slice(prefix.length);
+    const hostPort = authority.slice(authority.lastIndexOf('@') + 1);
+    const portMatch = /:(\d*)$/.exec(hostPort);
+    const host = portMatch ? hostPort.slice(0, portMatch.index) : hostPort;
+
+    if (scheme !== scheme.toLowerCase()) {
+      applied('lowercase_scheme', `${scheme} to ${url.protocol}`);
+    }
+    if (/[^\x00-\x7f]/.test(host)) {
+      applied('punycode_host', `${host} to ${url.hostname}`);
+    } else if (host !== host.toLowerCase()) {
+      applied('lowercase_host', `${host} to ${url.hostname}`);
+    }
+    if (portMatch && portMatch[1] === DEFAULT_PORTS[url.protocol]) {
+      applied('strip_default_port', `removed :${portMatch[1]}`);
+    }
+    if (url.pathname === '/' && !rest.startsWith('/')) {
+      applied('add_root_path', 'added / after the host');
+    }
+
+    this.steps().forEach(step => {
+      const detail = OPTIONAL_STEPS[step](url);
+      if (detail) applied(step, detail);
+    });
+
+    return { url: url.href, transformations };
+  }
+
+  /**
+   * Form of a URL that spellings of one address share, for comparing links
+   * The canonical URL with its query parameters sorted by name; never stored
+   * or redirected to.
+   * @param {string} input
+   * @returns {string}
+   */
+  static comparisonKey(input) {
+    const { url: canonical } = this.canonicalize(input);
+    let url;
+    try {
+      url = new URL(canonical);
+    } catch (error) {
+      return canonical;
+    }
+    setQuerySegments(url, sortedSegments(querySegments(url)));
+    return url.href;
+  }
+}
+
+module.exports = UrlCanonicalizer;
@@ -1,91 +1,110 @@
-const crypto = require('crypto');
-const { v4: uuidv4 } = require('uuid');
 const { Url } = require('../models');
+const algorithms = require('../algorithms');
+const AliasService = require('./aliasService');
+const CodeCheckService = require('./codeCheckService');
+const UrlCanonicalizer = require('./urlCanonicalizer');
+const CollisionService = require('./collisionService');
+const WordFilterService = require('./wordFilterService');
+const { SHORT_CODE_PATTERN } = require('../middleware/security');
+const { isSequentialCode } = require('../config/shortCodes');
+
+// Longest code body that still fits SHORT_CODE_PATTERN once "-" and a check character are added
+const MAX_CHECKED_BODY_LENGTH = 18;
 
 class UrlService {
+  /**
+   * Look up an algorithm and validate custom options against its schema
+   * @param {string} name - Registered algorithm name (see algorithms/index.js)
+   * @param {Object} customOptions - The request's custom_options
+   * @returns {Object} - { algorithm, options } with defaults filled in, or { error: { code, message, details } }
+   */
+  static resolveAlgorithm(name = 'hash', customOptions = {}) {
+    const algorithm = algorithms.get(name);
+    if (!algorithm) {
+      return {
+        error: {
+          code: 'UNKNOWN_ALGORITHM',
+          message: `Unknown algorithm "${name}". Available: ${algorithms.list().map(a => a.name).join(', ')}`
+        }
+      };
+    }
+
+    const { options, errors } = algorithms.resolveOptions(algorithm, customOptions);
+    if (errors.length) {
+      return {
+        error: {
+          code: 'INVALID_OPTIONS',
+          message: `Invalid custom_options for the ${algorithm.name} algorithm`,
+          details: errors
+        }
+      };
+    }
+    return { algorithm, options };
+  }
+
   /**
    * Generate a unique short URL code
-   * @param {string} algorithm - The algorithm to use ('hash', 'uuid', 'custom')
+   * @param {string} algorithm - Registered algorithm name ('hash', 'uuid', 'custom', ...)
    * @param {string} originalUrl - The original URL to shorten
+   * @param {Object} customOptions - Options for the algorithm, validated against its schema
+   * @param {Set<string>} reserved - Codes to treat as taken besides those in the database
    * @returns {Promise<string>} - The generated short code
    */
-  static async generateShortCode(algorithm = 'hash', originalUrl = '') {
-    let shortCode;
-    let attempts = 0;
+  static async generateShortCode(algorithm = 'hash', originalUrl = '', customOptions = {}, reserved = new Set()) {
+    const resolved = this.resolveAlgorithm(algorithm, customOptions);
+    if (resolved.error) {
+      throw new Error(resolved.error.message);
+    }
+
+    const { algorithm: generator, options } = resolved;
+    const adaptive = typeof generator.adaptive === 'function' ? generator.adaptive(options) : Boolean(generator.adaptive);
     const maxAttempts = 10;
+    const checked = CodeCheckService.enabled();
 
-    while (attempts < maxAttempts) {
-      switch (algorithm.toLowerCase()) {
-        case 'hash':
-          shortCode = this.generateHashCode(originalUrl);
-          break;
-        case 'uuid':
-          shortCode = this.generateUuidCode();
-          break;
-        case 'custom':
-          shortCode = this.generateCustomCode();
-          break;
-        default:
-          shortCode = this.generateHashCode(originalUrl);
-      }
+    // Running out of attempts lengthens the codes of adaptive algorithms; try again at the new length
+    for (;;) {
+      const length = await CollisionService.lengthFor(generator);
+      let attempts = 0;
+      let rejected = 0;
 
-      // Check if the code is unique
-      const existingUrl = await Url.findOne({ where: { short_url: shortCode } });
-      if (!existingUrl) {
-        return shortCode;
-      }
-      
-      attempts++;
-    }
+      // A unique algorithm only ever skips filtered codes, so it has no attempt cap
+      while (attempts < maxAttempts || generator.unique) {
+        const generated = await generator.generate(originalUrl, options, { length });
+        attempts++;
+        if (typeof generated !== 'string' || !SHORT_CODE_PATTERN.test(generated)) {
+          throw new Error(`Algorithm "${generator.name}" generated an invalid short code`);
+        }
 
-    throw new Error('Unable to generate unique short code after maximum attempts');
-  }
+        // The check character takes two of the 20 characters; a shortened body is no longer guaranteed unique
+        const body = checked ? generated.slice(0, MAX_CHECKED_BODY_LENGTH) : generated;
+        const unique = generator.unique && body === generated;
+        const shortCode = checked ? CodeCheckService.append(body) : body;
 
-  /**
-   * Generate hash-based short code
-   * @param {string} originalUrl - The original URL
-   * @returns {string} - 6-8 character hash code
-   */
-  static generateHashCode(originalUrl) {
-    const timestamp = Date.now().toString();
-    const combined = originalUrl + timestamp + Math.random().toString();
-    
-    return crypto
-      .createHash('md5')
-      .update(combined)
-      .digest('base64')
-      .replace(/[^a-zA-Z0-9]/g, '')
-      .substring(0, 6);
-  }
+        // Never hand out a reserved word or a code spelling a blocked term, even by chance
+        if (await AliasService.isReserved(shortCode) || await WordFilterService.isBlocked(shortCode)) {
+          rejected++;
+          continue;
+        }
 
-  /**
-   * Generate UUID-based short code
-   * @returns {string} - 8 character UUID-based code
-   */
-  static generateUuidCode() {
-    return uuidv4()
-      .replace(/-/g, '')
-      .substring(0, 8);
-  }
+        // The sequential keyspace belongs to the unique algorithm alone
+        if (!generator.unique && isSequentialCode(shortCode)) {
+          rejected++;
+          continue;
+        }
 
-  /**
-   * Generate custom algorithm short code
-   * @returns {string} - 7 character custom code
-   */
-  static generateCustomCode() {
-    const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    const timestamp = Date.now();
-    
-    // Use timestamp to ensure uniqueness
-    const base = timestamp % 1000000; // Get last 6 digits
-    
-    for (let i = 0; i < 7; i++) {
-      const index = (base + Math.floor(Math.random() * chars.length)) % chars.length;
-      result += chars.charAt(index);
+        // Check if the code is unique, unless the algorithm guarantees it
+        if (unique || (!reserved.has(shortCode) && !await Url.findOne({ where: { short_url: shortCode } }))) {
+          await CollisionService.record(generator, attempts, { length, adaptive, rejected });
+          return shortCode;
+        }
+      }
+
+      await CollisionService.record(generator, attempts, { length, adaptive, rejected, failed: true });
+      if (!adaptive || !await CollisionService.canGrow(generator)) break;
+      await CollisionService.grow(generator, length);
     }
-    
-    return result;
+
+    throw new Error('Unable to generate unique short code after maximum attempts');
   }
 
   /**
@@ -103,15 +122,30 @@ class UrlService {
   }
 
   /**
-   * Normalize URL (add protocol if missing)
+   * Normalize URL to its canonical form (see services/urlCanonicalizer.js)
    * @param {string} url - URL to normalize
    * @returns {string} - Normalized URL
    */
   static normalizeUrl(url) {
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-      return 'https://' + url;
-    }
-    return url;
+    return UrlCanonicalizer.canonicalize(url).url;
+  }
+
+  /**
+   * Key under which spellings of one URL compare equal (see services/urlCanonicalizer.js)
+   * @param {string} url - URL to compare
+   * @returns {string} - Canonical URL with sorted query parameters
+   */
+  static comparisonKey(url) {
+    return UrlCanonicalizer.comparisonKey(url);
+  }
+
+  /**
+   * Canonical form of a URL with the transformations applied to reach it
+   * @param {string} url - URL to canonicalize
+   * @returns {{url: string, transformations: Array<{step: string, detail: string}>}}
+   */
+  static canonicalizeUrl(url) {
+    return UrlCanonicalizer.canonicalize(url);
   }
 
   /**
@@ -139,35 +173,42 @@ class UrlService {
   }
 
   /**
-   * Custom shortening algorithm interface for developers
-   * @param {Object} options - Algorithm options
-   * @returns {string} - Generated short code
+   * Check if URL has yet to reach its starts_at
+   * @param {Object} urlRecord - URL database record
+   * @returns {boolean} - Whether URL is not live yet
    */
-  static customAlgorithm(options = {}) {
-    const {
-      length = 7,
-      includeNumbers = true,
-      includeUppercase = true,
-      includeLowercase = true,
-      excludeSimilar = true
-    } = options;
-
-    let chars = '';
-    if (includeLowercase) chars += 'abcdefghijklmnopqrstuvwxyz';
-    if (includeUppercase) chars += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    if (includeNumbers) chars += '0123456789';
-    
-    if (excludeSimilar) {
-      // Remove similar looking characters
-      chars = chars.replace(/[0oO1lI]/g, '');
-    }
+  static isPending(urlRecord) {
+    if (!urlRecord.starts_at) return false;
+    return new Date() < new Date(urlRecord.starts_at);
+  }
 
-    let result = '';
-    for (let i = 0; i < length; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    
-    return result;
+  /**
+   * Click cap a create or update request asks for
+   * expire_after_first_click: true is shorthand for max_clicks: 1.
+   * @param {Object} body - Request body with max_clicks and expire_after_first_click
+   * @returns {number|null|undefined} - undefined when the request does not say, null to remove the cap
+   */
+  static requestedClickCap({ max_clicks, expire_after_first_click }) {
+    return expire_after_first_click === true ? 1 : max_clicks;
+  }
+
+  /**
+   * Clicks left before a capped URL stops redirecting
+   * @param {Object} urlRecord - URL database record
+   * @returns {number|null} - null when the URL has no max_clicks
+   */
+  static remainingClicks(urlRecord) {
+    if (!urlRecord.max_clicks) return null;
+    return Math.max(0, urlRecord.max_clicks - (urlRecord.click_count || 0));
+  }
+
+  /**
+   * Check if URL has used up its max_clicks
+   * @param {Object} urlRecord - URL database record
+   * @returns {boolean} - Whether URL is exhausted
+   */
+  static isExhausted(urlRecord) {
+    return this.remainingClicks(urlRecord) === 0;
   }
 }
 
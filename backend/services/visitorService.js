@@ -0,0 +1,84 @@
+const { OPERATING_SYSTEMS, BROWSERS } = require('../config/visitors');
+
+const DEFAULT_COUNTRY_HEADER = 'cf-ipcountry';
+
+// Values proxies send for an unknown country (XX) or a Tor exit (T1)
+const UNKNOWN_COUNTRIES = ['XX', 'T1'];
+
+const firstMatch = (patterns, userAgent) => {
+  const found = patterns.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+// What the redirect knows about a visitor
+// Device, OS and browser come from the User-Agent header. The country comes
+// from a header set by the proxy or CDN in front of the app (COUNTRY_HEADER,
+// Cloudflare's CF-IPCountry by default); there is no IP geolocation here.
+// The language is the visitor's most preferred one in Accept-Language.
+class VisitorService {
+  static deviceType(userAgent) {
+    if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) return 'tablet';
+    if (/Mobile|iPhone|iPod/.test(userAgent)) return 'mobile';
+    if (/Desktop|Windows|Macintosh|Mac OS X|X11|CrOS/.test(userAgent)) return 'desktop';
+    return 'other';
+  }
+
+  static os(userAgent) {
+    return firstMatch(OPERATING_SYSTEMS, userAgent);
+  }
+
+  static browser(userAgent) {
+    return firstMatch(BROWSERS, userAgent);
+  }
+
+  /**
+   * ISO 3166 country code the proxy reported for the visitor
+   * @param {Object} req
+   * @returns {string|null}
+   */
+  static country(req) {
+    const header = (process.env.COUNTRY_HEADER || DEFAULT_COUNTRY_HEADER).toLowerCase();
+    const value = String(req.headers[header] || '').trim().toUpperCase();
+    return /^[A-Z][A-Z0-9]$/.test(value) && !UNKNOWN_COUNTRIES.includes(value) ? value : null;
+  }
+
+  /**
+   * The visitor's most preferred language
+   * @param {string} acceptLanguage - Accept-Language header, e.g. "fr-CH, fr;q=0.9, en;q=0.8"
+   * @returns {string|null} - Lowercase language tag, e.g. "fr-ch"
+   */
+  static language(acceptLanguage) {
+    let preferred = null;
+    let best = 0;
+    String(acceptLanguage || '').split(',').forEach(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const weight = q ? Number(q.slice(2)) : 1;
+      // Ties go to the earlier tag
+      if (tag && tag !== '*' && weight > best) {
+        preferred = tag.toLowerCase();
+        best = weight;
+      }
+    });
+    return preferred;
+  }
+
+  /**
+   * Everything targeting rules and click analytics use
+   * @param {Object} req
+   * @returns {{user_agent: string, device_type: string, os: string|null, browser: string|null, country: string|null, language: string|null}}
+   */
+  static describe(req) {
+    const userAgent = req.headers['user-agent'] || '';
+    return {
+      user_agent: userAgent,
+      device_type: this.deviceType(userAgent),
+      os: this.os(userAgent),
+      browser: this.browser(userAgent),
+      country: this.country(req),
+      language: this.language(req.headers['accept-language'])
+    };
+  }
+}
+
+module.exports = VisitorService;
@@ -0,0 +1,121 @@
+const { Url, database } = require('../models');
+
+const BLOCKED_LIST = 'blocked';
+const TERM_PATTERN = /^[a-z0-9]{3,20}$/;
+
+// Characters that read as the same letter in a short code: leetspeak digits
+// and lookalikes such as I, l and 1
+const EQUIVALENT = ['a4', 'b8', 'e3', 'g69', 'il1', 'o0', 's5', 't7', 'z2'];
+const CLASSES = {};
+EQUIVALENT.forEach(group => group.split('').forEach(char => {
+  CLASSES[char] = group;
+}));
+
+// Always blocked; admins add their own terms on top
+const BUILT_IN_BLOCKED = [
+  'anal', 'bitch', 'cock', 'cunt', 'dick', 'fag', 'fuck', 'hitler', 'jizz',
+  'kkk', 'nazi', 'nigg', 'penis', 'piss', 'porn', 'rape', 'sex', 'shit',
+  'slut', 'tits', 'twat', 'wank', 'whore'
+];
+
+// Regex matching `term` anywhere in a normalised code, with every character
+// standing for its whole equivalence class
+const termPattern = (term) => new RegExp(
+  term.split('').map(char => (CLASSES[char] ? `[${CLASSES[char]}]` : char)).join(''),
+  'i'
+);
+
+// Denylist filter for generated short codes
+// Codes are compared case-insensitively with hyphens and underscores removed,
+// so "Sh-1T" matches "shit".
+class WordFilterService {
+  static normalizeTerm(term) {
+    return String(term).trim().toLowerCase();
+  }
+
+  static isValidTerm(term) {
+    return TERM_PATTERN.test(this.normalizeTerm(term));
+  }
+
+  static isBuiltIn(term) {
+    return BUILT_IN_BLOCKED.includes(this.normalizeTerm(term));
+  }
+
+  /**
+   * The denylist: built-in terms and the ones admins added
+   * @returns {Promise<{built_in: string[], custom: string[]}>}
+   */
+  static async blockedTerms() {
+    const custom = await database.findWords(BLOCKED_LIST);
+    return {
+      built_in: BUILT_IN_BLOCKED,
+      custom: custom.map(entry => entry.word).sort()
+    };
+  }
+
+  /**
+   * First term of `terms` that a code spells, if any
+   * @param {string} code
+   * @param {string[]} terms
+   * @returns {string|null}
+   */
+  static match(code, terms) {
+    const normalized = code.replace(/[-_]/g, '');
+    return terms.find(term => termPattern(term).test(normalized)) || null;
+  }
+
+  /**
+   * Whether a code spells a blocked term
+   * @param {string} code
+   * @returns {Promise<boolean>}
+   */
+  static async isBlocked(code) {
+    const { built_in, custom } = await this.blockedTerms();
+    return Boolean(this.match(code, [...built_in, ...custom]));
+  }
+
+  /**
+   * Add a term to the denylist
+   * @param {string} term
+   * @returns {Promise<Object|null>} - The new entry, or null if the term is already blocked
+   */
+  static async block(term) {
+    const normalized = this.normalizeTerm(term);
+    const { built_in, custom } = await this.blockedTerms();
+    if (built_in.includes(normalized) || custom.includes(normalized)) return null;
+    return database.addWord(BLOCKED_LIST, normalized);
+  }
+
+  /**
+   * Remove an admin-added term from the denylist
+   * Built-in terms cannot be removed.
+   * @param {string} term
+   * @returns {Promise<boolean>} - Whether the term was on the list
+   */
+  static async unblock(term) {
+    return database.removeWord(BLOCKED_LIST, this.normalizeTerm(term));
+  }
+
+  /**
+   * Existing short codes that spell any of `terms`
+   * Codes issued before a term was blocked keep working; this lists them for review.
+   * @param {string[]} terms
+   * @returns {Promise<Array<Object>>} - [{ id, short_url, term, user_id, is_active, created_at }]
+   */
+  static async findMatchingUrls(terms) {
+    const urls = await Url.findAll({ where: { deleted_at: null }, order: [['id', 'ASC']] });
+    return urls
+      .map(url => ({ url, term: this.match(url.short_url, terms) }))
+      .filter(({ term }) => term)
+      .map(({ url, term }) => ({
+        id: url.id,
+        short_url: url.short_url,
+        term,
+        user_id: url.user_id,
+        is_active: url.is_active,
+        created_at: url.created_at
+      }));
+  }
+}
+
+module.exports = WordFilterService;
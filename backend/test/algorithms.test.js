@@ -0,0 +1,60 @@
+// Short-code algorithms are looked up, configured and extended through the registry
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const algorithms = require('../algorithms');
+const UrlService = require('../services/urlService');
+
+describe('algorithm registry', () => {
+  test('registers every module in the algorithms directory', () => {
+    const names = algorithms.list().map(algorithm => algorithm.name);
+    ['custom', 'hash', 'uuid'].forEach(name => assert.ok(names.includes(name), name));
+    assert.equal(algorithms.get('HASH').name, 'hash');
+    assert.equal(algorithms.get('nope'), null);
+  });
+
+  test('fills in option defaults and reports invalid options', () => {
+    const custom = algorithms.get('custom');
+    const { options, errors } = algorithms.resolveOptions(custom, { length: 5 });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(options, { length: 5, includeNumbers: true, includeUppercase: true, includeLowercase: true, excludeSimilar: true });
+
+    const invalid = algorithms.resolveOptions(custom, { length: 40, includeNumbers: 'yes', colour: 'red' });
+    assert.deepEqual(invalid.errors.sort(), [
+      'colour is not an option of the custom algorithm',
+      'includeNumbers must be true or false',
+      'length must be at most 12'
+    ]);
+
+    const empty = algorithms.resolveOptions(custom, { includeNumbers: false, includeUppercase: false, includeLowercase: false });
+    assert.equal(empty.errors.length, 1);
+  });
+
+  test('rejects malformed algorithms and taken names', () => {
+    assert.throws(() => algorithms.register({ name: 'bad name', generate: () => 'x' }), /Invalid algorithm name/);
+    assert.throws(() => algorithms.register({ name: 'nogenerate' }), /no generate function/);
+    assert.throws(() => algorithms.register({ name: 'Hash', generate: () => 'x' }), /already registered/);
+    assert.throws(
+      () => algorithms.register({ name: 'typo', options: { size: { type: 'number' } }, generate: () => 'x' }),
+      /unknown type "number"/
+    );
+  });
+
+  test('a registered algorithm generates codes with its options', async () => {
+    let counter = 0;
+    algorithms.register({
+      name: 'repeat',
+      description: 'The same character, a given number of times',
+      defaultLength: 4,
+      options: { char: { type: 'string', default: 'q', values: ['q', 'z'], description: 'Character to repeat' } },
+      generate: (originalUrl, options) => options.char.repeat(4) + String(counter++)
+    });
+
+    assert.equal(await UrlService.generateShortCode('repeat', 'https://example.com', { char: 'z' }), 'zzzz0');
+    assert.equal(UrlService.resolveAlgorithm('repeat', { char: 'x' }).error.code, 'INVALID_OPTIONS');
+    assert.equal(UrlService.resolveAlgorithm('missing').error.code, 'UNKNOWN_ALGORITHM');
+
+    const described = algorithms.describe(algorithms.get('repeat'));
+    assert.equal(described.supports_custom_options, true);
+    assert.deepEqual(described.options, { char: 'Character to repeat' });
+  });
+});
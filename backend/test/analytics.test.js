@@ -0,0 +1,51 @@
+// Click counts survive the pruning of raw clicks through their rollups
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { database } = require('../models');
+const AnalyticsService = require('../services/analyticsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS);
+
+describe('click rollups and retention', () => {
+  let url;
+
+  before(async () => {
+    await database.sync();
+    url = await database.createUrl({ original_url: 'https://example.com', short_url: 'rolled-up' });
+    const clicks = [
+      { date_time: daysAgo(200), country: 'DE', browser: 'Firefox' },
+      { date_time: daysAgo(120), country: 'DE', browser: 'Chrome' },
+      { date_time: daysAgo(2), country: 'FR', browser: 'Chrome' },
+      { date_time: daysAgo(1), country: null, browser: 'Chrome' }
+    ];
+    for (const click of clicks) {
+      await database.createClick({ url_id: url.id, ...click });
+    }
+  });
+
+  test('pruning deletes only raw clicks older than the retention window', async () => {
+    assert.equal(AnalyticsService.retentionDays(), 90);
+    assert.equal(await AnalyticsService.pruneClicks(), 2);
+    assert.equal((await database.findClicksByUrlId(url.id)).length, 2);
+    assert.equal((await database.findUrlById(url.id)).click_count, 4);
+  });
+
+  test('counts still include pruned clicks', async () => {
+    assert.equal(await AnalyticsService.countClicks({ urlId: url.id }), 4);
+    assert.equal(await AnalyticsService.countClicks({ urlId: url.id, from: daysAgo(150) }), 3);
+    assert.equal(await AnalyticsService.countClicks({ urlId: url.id, from: daysAgo(7) }), 2);
+
+    const byDate = await AnalyticsService.clicksByDate({ urlId: url.id });
+    assert.equal(byDate.length, 4);
+    assert.equal(byDate.reduce((sum, row) => sum + row.count, 0), 4);
+  });
+
+  test('breakdowns merge rollups with raw clicks', async () => {
+    const countries = await AnalyticsService.breakdown('country', { urlId: url.id });
+    assert.deepEqual(countries, [{ country: 'DE', count: 2 }, { country: 'FR', count: 1 }, { country: null, count: 1 }]);
+
+    const browsers = await AnalyticsService.breakdown('browser', { urlId: url.id, limit: 1 });
+    assert.deepEqual(browsers, [{ browser: 'Chrome', count: 3 }]);
+  });
+});
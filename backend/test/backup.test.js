@@ -0,0 +1,86 @@
+// An export restores to the same data; a broken one restores nothing
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { database } = require('../models');
+const BackupService = require('../services/backupService');
+const { RestoreValidationError } = BackupService;
+
+const exportText = async () => {
+  let text = '';
+  for await (const line of BackupService.exportLines()) {
+    text += line;
+  }
+  return text;
+};
+
+const restore = text => BackupService.restoreFrom(Readable.from([text]));
+
+// Everything a restore should bring back, without timestamps it rewrites
+const dataset = async () => ({
+  users: (await database.getAllUsers()).map(({ id, username, email }) => ({ id, username, email })),
+  urls: (await database.getAllUrls()).map(({ id, short_url, user_id, click_count }) => ({ id, short_url, user_id, click_count })),
+  clicks: (await database.getAllClicks()).map(({ id, url_id, country }) => ({ id, url_id, country }))
+});
+
+describe('backup and restore', () => {
+  let backup;
+  let original;
+
+  before(async () => {
+    await database.sync();
+    const user = await database.createUser({ username: 'ada', email: 'ada@example.com', password_hash: 'hash' });
+    const url = await database.createUrl({
+      original_url: 'https://example.com',
+      short_url: 'backed-up',
+      user_id: user.id,
+      expires_at: new Date('2031-01-01T00:00:00.000Z')
+    });
+    await database.createClick({ url_id: url.id, country: 'DE' });
+    await database.createClick({ url_id: url.id, country: 'FR' });
+    backup = await exportText();
+    original = await dataset();
+  });
+
+  test('an export round-trips through a restore', async () => {
+    // Diverge from the backup: a new link, and the original user gone with their links
+    await database.createUrl({ original_url: 'https://example.com/new', short_url: 'after-backup' });
+    await database.deleteUser(original.users[0].id);
+
+    const counts = await restore(backup);
+    assert.equal(counts.users, 1);
+    assert.equal(counts.urls, 1);
+    assert.equal(counts.clicks, 2);
+    assert.deepEqual(await dataset(), original);
+
+    const url = await database.findUrlByShortCode('backed-up');
+    assert.ok(url.expires_at instanceof Date);
+    assert.equal(url.expires_at.toISOString(), '2031-01-01T00:00:00.000Z');
+    assert.equal(await database.findUrlByShortCode('after-backup'), null);
+
+    // New ids continue after the restored ones
+    const next = await database.createUrl({ original_url: 'https://example.com/next', short_url: 'next' });
+    assert.ok(next.id > url.id);
+    await database.deleteUrl(next.id);
+  });
+
+  test('a broken backup is rejected and changes nothing', async () => {
+    const lines = backup.trim().split('\n');
+    const urlLine = lines.findIndex(line => JSON.parse(line).type === 'url');
+    const dangling = JSON.parse(lines[urlLine]);
+    dangling.data.user_id = 999;
+
+    const broken = {
+      truncated: lines.slice(0, -1).join('\n'),
+      'invalid JSON': [...lines.slice(0, urlLine), '{"type":"url",', ...lines.slice(urlLine + 1)].join('\n'),
+      'missing reference': [...lines.slice(0, urlLine), JSON.stringify(dangling), ...lines.slice(urlLine + 1)].join('\n'),
+      'count mismatch': [...lines.slice(0, urlLine + 1), ...lines.slice(urlLine + 2)].join('\n'),
+      'not a backup': '{"hello":"world"}'
+    };
+
+    for (const [name, text] of Object.entries(broken)) {
+      await assert.rejects(restore(text), RestoreValidationError, name);
+      assert.deepEqual(await dataset(), original, name);
+    }
+  });
+});
@@ -0,0 +1,80 @@
+// Code length grows with collisions, and the telemetry reports them
+const { describe, test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { database } = require('../models');
+const algorithms = require('../algorithms');
+const UrlService = require('../services/urlService');
+const CollisionService = require('../services/collisionService');
+
+// Random codes over "a" and "b": 4 codes of 2 characters, 8 of 3, 16 of 4
+const twoLetter = (name) => ({
+  name,
+  description: 'Random a/b codes',
+  defaultLength: 2,
+  maxLength: 4,
+  adaptive: true,
+  generate: (originalUrl, options, { length }) => Array.from({ length }, () => (Math.random() < 0.5 ? 'a' : 'b')).join('')
+});
+
+const reportFor = async (name) => (await CollisionService.report(algorithms.list())).find(row => row.name === name);
+
+describe('collision telemetry and adaptive length', () => {
+  before(async () => {
+    await database.sync();
+    ['tiny', 'windowed', 'fixed'].forEach(name => algorithms.register(twoLetter(name)));
+  });
+
+  afterEach(() => {
+    delete process.env.COLLISION_WINDOW;
+  });
+
+  test('codes grow a character once every code of the current length is taken', async () => {
+    const tiny = algorithms.get('tiny');
+    for (const code of ['aa', 'ab', 'ba', 'bb']) {
+      await database.createUrl({ original_url: 'https://example.com', short_url: code });
+    }
+
+    const code = await UrlService.generateShortCode('tiny', 'https://example.com');
+    assert.equal(code.length, 3);
+    assert.equal(await CollisionService.lengthFor(tiny), 3);
+
+    const report = await reportFor('tiny');
+    assert.equal(report.current_length, 3);
+    assert.equal(report.failures, 1);
+    assert.equal(report.generations, 2);
+    assert.equal(report.attempts_histogram.failed, 1);
+    assert.equal(report.collisions, 10);
+    assert.ok(report.last_grown_at instanceof Date);
+  });
+
+  test('a high collision rate over the window grows the length', async () => {
+    process.env.COLLISION_WINDOW = '4';
+    const windowed = algorithms.get('windowed');
+
+    // Reserved or blocked words are not collisions
+    for (let i = 0; i < 4; i++) {
+      await CollisionService.record(windowed, 3, { length: 2, rejected: 2 });
+    }
+    assert.equal(await CollisionService.lengthFor(windowed), 2);
+
+    for (let i = 0; i < 4; i++) {
+      await CollisionService.record(windowed, 3, { length: 2 });
+    }
+    // Growing starts a new window, so it grows once
+    assert.equal(await CollisionService.lengthFor(windowed), 3);
+  });
+
+  test('the length stops at the maximum and skips non-adaptive generations', async () => {
+    process.env.COLLISION_WINDOW = '1';
+    const fixed = algorithms.get('fixed');
+
+    await CollisionService.record(fixed, 5, { length: 2, adaptive: false });
+    assert.equal(await CollisionService.lengthFor(fixed), 2);
+
+    for (const length of [2, 3, 4]) {
+      await CollisionService.record(fixed, 5, { length });
+    }
+    assert.equal(await CollisionService.lengthFor(fixed), 4);
+    assert.equal(await CollisionService.canGrow(fixed), false);
+  });
+});
@@ -0,0 +1,92 @@
+// Secondary indexes keep the in-memory store's lookups in step with its writes
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UniqueIndex, MultiIndex, SortedIndex } = require('../config/indexes');
+const { InMemoryDatabase } = require('../config/database');
+const SqliteDatabase = require('../config/sqliteDatabase');
+const { UniqueConstraintError } = require('../config/errors');
+
+describe('indexes', () => {
+  test('a unique index follows a record whose key changes', () => {
+    const index = new UniqueIndex('email');
+    index.set({ id: 1, email: 'old@example.com' });
+    index.set({ id: 1, email: 'new@example.com' });
+
+    assert.equal(index.get('old@example.com'), undefined);
+    assert.equal(index.get('new@example.com'), 1);
+    assert.equal(index.conflicts({ id: 2, email: 'new@example.com' }), true);
+    assert.equal(index.conflicts({ id: 1, email: 'new@example.com' }), false);
+  });
+
+  test('a multi index groups records by key', () => {
+    const index = new MultiIndex('user_id');
+    [{ id: 1, user_id: 7 }, { id: 2, user_id: 8 }, { id: 3, user_id: 7 }].forEach(record => index.set(record));
+    index.set({ id: 1, user_id: 8 });
+
+    assert.deepEqual(index.get(7), [3]);
+    assert.deepEqual(index.get(8), [2, 1]);
+    index.delete(3);
+    assert.deepEqual(index.get(7), []);
+  });
+
+  test('a sorted index returns a time range oldest first', () => {
+    const index = new SortedIndex('url_id', 'date_time');
+    const at = hour => new Date(Date.UTC(2030, 0, 1, hour));
+    [[1, 5], [2, 1], [3, 3], [4, 3]].forEach(([id, hour]) => index.set({ id, url_id: 9, date_time: at(hour) }));
+
+    assert.deepEqual(index.get(9), [2, 3, 4, 1]);
+    assert.deepEqual(index.range(9, at(2), at(5)), [3, 4]);
+    index.delete(3);
+    assert.deepEqual(index.range(9, at(3)), [4, 1]);
+  });
+});
+
+describe('in-memory store lookups', () => {
+  test('find a link by its current short code and owner', async () => {
+    const database = new InMemoryDatabase();
+    const url = await database.createUrl({ original_url: 'https://example.com', short_url: 'before', user_id: 4 });
+    await database.updateUrl(url.id, { short_url: 'after', user_id: 5 });
+
+    assert.equal(await database.findUrlByShortCode('before'), null);
+    assert.equal((await database.findUrlByShortCode('after')).id, url.id);
+    assert.deepEqual(await database.findUrlsByUserId(4), []);
+    assert.deepEqual((await database.findUrlsByUserId(5)).map(found => found.id), [url.id]);
+  });
+});
+
+const STORES = {
+  memory: () => new InMemoryDatabase(),
+  sqlite: (dir) => new SqliteDatabase(path.join(dir, 'indexes.sqlite'))
+};
+
+Object.entries(STORES).forEach(([name, create]) => {
+  test(`the ${name} store rejects a taken short code, email or username`, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minurl-indexes-'));
+    const database = create(dir);
+    try {
+      await database.sync();
+      const user = await database.createUser({ username: 'ada', email: 'ada@example.com', password_hash: 'hash' });
+      await database.createUser({ username: 'grace', email: 'grace@example.com', password_hash: 'hash' });
+      await database.createUrl({ original_url: 'https://example.com/a', short_url: 'taken-code' });
+      const other = await database.createUrl({ original_url: 'https://example.com/b', short_url: 'free-code' });
+
+      await assert.rejects(
+        database.createUrl({ original_url: 'https://example.com/c', short_url: 'taken-code' }),
+        (error) => error instanceof UniqueConstraintError && error.field === 'short_url'
+      );
+      await assert.rejects(database.updateUrl(other.id, { short_url: 'taken-code' }), UniqueConstraintError);
+      await assert.rejects(database.updateUser(user.id, { email: 'grace@example.com' }), UniqueConstraintError);
+      await assert.rejects(
+        database.createUser({ username: 'ada', email: 'other@example.com', password_hash: 'hash' }),
+        UniqueConstraintError
+      );
+      assert.equal((await database.findUrlById(other.id)).short_url, 'free-code');
+    } finally {
+      await database.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
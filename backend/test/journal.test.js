@@ -0,0 +1,83 @@
+// The in-memory store's journal brings its data back after a crash
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InMemoryDatabase } = require('../config/database');
+
+describe('in-memory journal', () => {
+  let dir;
+  const open = async (options = {}) => {
+    const database = new InMemoryDatabase({ journalDir: dir, ...options });
+    await database.sync();
+    return database;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minurl-journal-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays flushed writes after a crash', async () => {
+    const crashed = await open();
+    const user = await crashed.createUser({ username: 'ada', email: 'ada@example.com', password_hash: 'hash' });
+    const kept = await crashed.createUrl({ original_url: 'https://example.com/kept', short_url: 'kept', user_id: user.id });
+    const gone = await crashed.createUrl({ original_url: 'https://example.com/gone', short_url: 'gone' });
+    await crashed.updateUrl(kept.id, { title: 'Renamed', expires_at: new Date('2030-01-01T00:00:00.000Z') });
+    await crashed.createClick({ url_id: kept.id, ip_address: '203.0.113.7' });
+    await crashed.deleteUrl(gone.id);
+    await crashed.flush();
+    // Crash: no close, so no snapshot; a write was cut off halfway through
+    crashed.journal.stop();
+    fs.appendFileSync(path.join(dir, 'journal.ndjson'), '{"op":"put","table":"urls","rec');
+
+    const restored = await open();
+    assert.equal(fs.existsSync(path.join(dir, 'snapshot.json')), false);
+    assert.equal((await restored.findUserByEmail('ada@example.com')).username, 'ada');
+    const url = await restored.findUrlByShortCode('kept');
+    assert.equal(url.title, 'Renamed');
+    assert.equal(url.user_id, user.id);
+    assert.ok(url.expires_at instanceof Date);
+    assert.equal(url.expires_at.toISOString(), '2030-01-01T00:00:00.000Z');
+    assert.equal(url.click_count, 1);
+    assert.equal((await restored.findClicksByUrlId(kept.id)).length, 1);
+    assert.equal(await restored.findUrlByShortCode('gone'), null);
+
+    // Ids continue after the replayed records
+    const next = await restored.createUrl({ original_url: 'https://example.com/next', short_url: 'next' });
+    assert.ok(next.id > gone.id);
+    await restored.close();
+  });
+
+  test('restores from a snapshot plus the journal written after it', async () => {
+    const crashed = await open({ snapshotThreshold: 3 });
+    for (let index = 0; index < 4; index++) {
+      await crashed.createUrl({ original_url: `https://example.com/${index}`, short_url: `snap-${index}` });
+    }
+    await crashed.flush();
+    assert.ok(fs.existsSync(path.join(dir, 'snapshot.json')));
+    await crashed.createUrl({ original_url: 'https://example.com/after', short_url: 'after-snapshot' });
+    await crashed.flush();
+    crashed.journal.stop();
+
+    const restored = await open();
+    const codes = (await restored.getAllUrls()).map(url => url.short_url).sort();
+    assert.deepEqual(codes, ['after-snapshot', 'snap-0', 'snap-1', 'snap-2', 'snap-3']);
+    await restored.close();
+  });
+
+  test('loses nothing on a clean shutdown', async () => {
+    const closed = await open();
+    await closed.createUrl({ original_url: 'https://example.com/unflushed', short_url: 'unflushed' });
+    await closed.close();
+    assert.equal(fs.readFileSync(path.join(dir, 'journal.ndjson'), 'utf8'), '');
+
+    const restored = await open();
+    assert.ok(await restored.findUrlByShortCode('unflushed'));
+    await restored.close();
+  });
+});
@@ -0,0 +1,56 @@
+// Schedule switches entered as local times land on the right instant, DST included
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const ScheduleService = require('../services/scheduleService');
+
+// The UTC instant a local time in `timezone` is stored as
+const switchAt = (at, timezone) => {
+  const { schedule, error } = ScheduleService.parse([{ at, timezone, original_url: 'https://example.com/next' }]);
+  return error ? null : schedule[0].at;
+};
+
+describe('scheduled destinations', () => {
+  test('local times take the offset in force on their date', () => {
+    assert.equal(switchAt('2030-01-15T09:00', 'Europe/Berlin'), '2030-01-15T08:00:00.000Z');
+    assert.equal(switchAt('2030-07-15T09:00', 'Europe/Berlin'), '2030-07-15T07:00:00.000Z');
+    assert.equal(switchAt('2030-07-15T09:00:30', null), '2030-07-15T09:00:30.000Z');
+  });
+
+  test('a time skipped by a daylight saving change moves forward by the gap', () => {
+    // Clocks go from 02:00 to 03:00
+    assert.equal(switchAt('2030-03-31T02:30', 'Europe/Berlin'), '2030-03-31T01:30:00.000Z');
+    assert.equal(switchAt('2030-03-10T02:30', 'America/New_York'), '2030-03-10T07:30:00.000Z');
+  });
+
+  test('a time repeated by a daylight saving change is its first occurrence', () => {
+    // Clocks go from 03:00 back to 02:00 (01:00 in New York), so these times happen twice
+    assert.equal(switchAt('2030-10-27T02:30', 'Europe/Berlin'), '2030-10-27T00:30:00.000Z');
+    assert.equal(switchAt('2030-11-03T01:30', 'America/New_York'), '2030-11-03T05:30:00.000Z');
+    assert.equal(switchAt('2030-04-07T02:30', 'Australia/Sydney'), '2030-04-06T15:30:00.000Z');
+  });
+
+  test('rejects times that do not exist and zones that are unknown', () => {
+    assert.equal(switchAt('2030-02-30T09:00', 'UTC'), null);
+    assert.equal(switchAt('2030-01-01T24:00', 'UTC'), null);
+    assert.equal(switchAt('2030-01-01T09:00', 'Mars/Olympus'), null);
+    assert.equal(switchAt('2030-01-01T09:00+02:00', 'Europe/Berlin'), null);
+    assert.equal(switchAt('2030-01-01T09:00+02:00', null), '2030-01-01T07:00:00.000Z');
+  });
+
+  test('each visit goes to the slot in force at the time', () => {
+    const { schedule } = ScheduleService.parse([
+      { at: '2030-03-01T00:00Z', original_url: 'https://example.com/march' },
+      { at: '2030-04-01T00:00Z', original_url: 'https://example.com/april' }
+    ]);
+    const url = { original_url: 'https://example.com/', schedule };
+
+    assert.deepEqual(ScheduleService.resolve(url, new Date('2030-02-01')), { slot: 0, original_url: 'https://example.com/' });
+    assert.deepEqual(ScheduleService.resolve(url, new Date('2030-03-15')), { slot: 1, original_url: 'https://example.com/march' });
+    assert.deepEqual(ScheduleService.resolve(url, new Date('2030-05-01')), { slot: 2, original_url: 'https://example.com/april' });
+    assert.equal(ScheduleService.hasPendingSwitch(url, new Date('2030-03-15')), true);
+    assert.equal(ScheduleService.hasPendingSwitch(url, new Date('2030-05-01')), false);
+
+    const outOfOrder = ScheduleService.parse([...schedule].reverse());
+    assert.match(outOfOrder.error.message, /chronological order/);
+  });
+});
@@ -0,0 +1 @@
+require('./suites')('sqlite');
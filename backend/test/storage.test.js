@@ -0,0 +1,71 @@
+// Both stores behave the same for the same writes
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InMemoryDatabase } = require('../config/database');
+const SqliteDatabase = require('../config/sqliteDatabase');
+const { ValidationError } = require('../config/errors');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minurl-storage-'));
+
+const STORES = {
+  memory: () => new InMemoryDatabase(),
+  sqlite: () => new SqliteDatabase(path.join(dir, 'storage.sqlite'))
+};
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+Object.entries(STORES).forEach(([name, create]) => {
+  describe(`${name} store`, () => {
+    let database;
+
+    before(async () => {
+      database = create();
+      await database.sync();
+    });
+
+    after(async () => {
+      await database.close();
+    });
+
+    test('reads back what it stored', async () => {
+      const expiresAt = new Date('2031-05-06T07:08:09.000Z');
+      const created = await database.createUrl({
+        original_url: 'https://example.com/stored',
+        short_url: 'stored-link',
+        title: 'Stored',
+        expires_at: expiresAt
+      });
+
+      const url = await database.findUrlByShortCode('stored-link');
+      assert.equal(url.id, created.id);
+      assert.equal(url.original_url, 'https://example.com/stored');
+      assert.equal(url.title, 'Stored');
+      assert.equal(url.is_active, true);
+      assert.equal(url.click_count, 0);
+      assert.equal(new Date(url.expires_at).getTime(), expiresAt.getTime());
+    });
+
+    test('rejects an invalid date and writes nothing', async () => {
+      const before = (await database.getAllUrls()).length;
+      await assert.rejects(
+        database.createUrl({ original_url: 'https://example.com', short_url: 'bad-date', expires_at: new Date('soon') }),
+        (error) => error instanceof ValidationError && error.field === 'expires_at'
+      );
+      assert.equal((await database.getAllUrls()).length, before);
+
+      const url = await database.createUrl({ original_url: 'https://example.com', short_url: 'good-date' });
+      await assert.rejects(
+        database.updateUrl(url.id, { title: 'Changed', expires_at: new Date(NaN) }),
+        ValidationError
+      );
+      const unchanged = await database.findUrlById(url.id);
+      assert.equal(unchanged.title, null);
+      assert.equal(unchanged.expires_at, null);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+module.exports = (app) => {
+  describe('custom aliases', () => {
+    let admin;
+
+    before(async () => {
+      admin = await app.signUp('alias_admin', { role: 'admin' });
+    });
+
+    const claim = (alias) => app.request('POST', '/api/v1/shorten', {
+      original_url: `https://example.com/${alias}`,
+      custom_alias: alias
+    });
+
+    test('a free alias becomes the short code, once', async () => {
+      const created = await claim('my-vanity');
+      assert.equal(created.status, 201);
+      assert.equal(created.body.data.short_url, 'my-vanity');
+
+      const redirect = await app.request('GET', '/urls/my-vanity');
+      assert.equal(redirect.headers.get('location'), 'https://example.com/my-vanity');
+
+      const again = await claim('my-vanity');
+      assert.equal(again.status, 409);
+      assert.equal(again.body.error.code, 'ALIAS_TAKEN');
+    });
+
+    test('built-in paths are reserved whatever their case', async () => {
+      for (const alias of ['dashboard', 'Login', 'API']) {
+        const res = await claim(alias);
+        assert.equal(res.status, 400, alias);
+        assert.equal(res.body.error.code, 'ALIAS_RESERVED', alias);
+      }
+    });
+
+    test('admins reserve and release words', async () => {
+      const reserved = await app.request('POST', '/admin/reserved-aliases', { word: 'Launch' }, { token: admin.token });
+      assert.equal(reserved.status, 201);
+      const list = await app.request('GET', '/admin/reserved-aliases', undefined, { token: admin.token });
+      assert.ok(list.body.data.custom.includes('launch'));
+      assert.equal((await claim('LAUNCH')).body.error.code, 'ALIAS_RESERVED');
+
+      const builtIn = await app.request('DELETE', '/admin/reserved-aliases/admin', undefined, { token: admin.token });
+      assert.equal(builtIn.status, 400);
+
+      const released = await app.request('DELETE', '/admin/reserved-aliases/launch', undefined, { token: admin.token });
+      assert.equal(released.status, 200);
+      assert.equal((await claim('LAUNCH')).status, 201);
+    });
+
+    test('an alias must be 1-20 letters, numbers, hyphens or underscores', async () => {
+      for (const alias of ['has space', 'slash/ed', 'x'.repeat(21)]) {
+        assert.equal((await claim(alias)).status, 400, alias);
+      }
+    });
+  });
+};
@@ -0,0 +1,63 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+module.exports = (app) => {
+  describe('atomic bulk shortening', () => {
+    test('creates nothing when an item is invalid', async () => {
+      const before = (await app.database.getAllUrls()).length;
+      const res = await app.request('POST', '/api/v1/shorten/bulk', {
+        atomic: true,
+        urls: [{ original_url: 'https://example.com/valid' }, { title: 'No URL' }]
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.success, false);
+      assert.equal((await app.database.getAllUrls()).length, before);
+    });
+
+    test('rejects an item with an invalid expiry date', async () => {
+      const before = (await app.database.getAllUrls()).length;
+      const urls = [{ original_url: 'https://example.com', expires_at: 'next tuesday' }];
+
+      const atomic = await app.request('POST', '/api/v1/shorten/bulk', { atomic: true, urls });
+      assert.equal(atomic.status, 400);
+      assert.equal(atomic.body.error.code, 'BATCH_VALIDATION_FAILED');
+      assert.equal(atomic.body.error.details[0].error.code, 'INVALID_EXPIRES_AT');
+
+      const single = await app.request('POST', '/api/v1/shorten/bulk', { urls });
+      assert.equal(single.status, 200);
+      assert.equal(single.body.data.results[0].error.code, 'INVALID_EXPIRES_AT');
+      assert.equal((await app.database.getAllUrls()).length, before);
+    });
+
+    test('rolls back links already created when a later one fails', async () => {
+      const before = (await app.database.getAllUrls()).length;
+
+      // The second link's code is taken inside the transaction, as a concurrent request could
+      const create = app.Url.create;
+      let calls = 0;
+      app.Url.create = async (record) => {
+        calls++;
+        if (calls === 2) await create(record);
+        return create(record);
+      };
+      let res;
+      try {
+        res = await app.request('POST', '/api/v1/shorten/bulk', {
+          atomic: true,
+          urls: [
+            { original_url: 'https://example.com/one' },
+            { original_url: 'https://example.com/two' },
+            { original_url: 'https://example.com/three' }
+          ]
+        });
+      } finally {
+        app.Url.create = create;
+      }
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'BATCH_ROLLED_BACK');
+      assert.equal((await app.database.getAllUrls()).length, before);
+    });
+  });
+};
@@ -0,0 +1,25 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+module.exports = (app) => {
+  describe('click-capped links', () => {
+    test('redirect exactly max_clicks times under concurrent clicks', async () => {
+      const created = await app.request('POST', '/api/v1/shorten', {
+        original_url: 'https://example.com/capped',
+        max_clicks: 3
+      });
+      assert.equal(created.status, 201);
+      const { short_url: shortCode } = created.body.data;
+
+      const clicks = await Promise.all(
+        Array.from({ length: 10 }, () => app.request('GET', `/urls/${shortCode}`))
+      );
+      const statuses = clicks.map(click => click.status);
+
+      assert.equal(statuses.filter(status => status === 302).length, 3);
+      assert.equal(statuses.filter(status => status === 410).length, 7);
+      const url = await app.database.findUrlByShortCode(shortCode);
+      assert.equal(url.click_count, 3);
+    });
+  });
+};
@@ -0,0 +1,72 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkCharacter, foldCode } = require('../../config/shortCodes');
+
+// Another character of the folded alphabet than `char`
+const otherThan = char => (foldCode(char) === 'x' ? 'y' : 'x');
+
+module.exports = (app) => {
+  describe('check characters and folded lookups', () => {
+    const shorten = body => app.request('POST', '/api/v1/shorten', { original_url: 'https://example.com/checked', ...body });
+
+    beforeEach(() => {
+      process.env.SHORT_CODE_CHECK_CHARACTER = 'true';
+    });
+
+    afterEach(() => {
+      delete process.env.SHORT_CODE_CHECK_CHARACTER;
+      delete process.env.SHORT_CODE_LOOKUP;
+    });
+
+    test('the check character catches one mistyped character and swapped neighbours', () => {
+      const body = 'Ab3xK9';
+      const check = checkCharacter(body);
+      assert.notEqual(checkCharacter('Ab3yK9'), check);
+      assert.notEqual(checkCharacter('bA3xK9'), check);
+      // Case and lookalike mix-ups are left to folding
+      assert.equal(checkCharacter('AB3XK9'), check);
+      assert.equal(checkCharacter('Ab3xk9'), check);
+    });
+
+    test('a mistyped check character is rejected', async () => {
+      const created = await shorten({});
+      assert.equal(created.status, 201);
+      const code = created.body.data.short_url;
+      assert.match(code, /-[0-9a-z]$/);
+      assert.equal((await app.request('GET', `/urls/${code}`)).headers.get('location'), 'https://example.com/checked');
+
+      const mistyped = `${code.slice(0, -1)}${otherThan(code.slice(-1))}`;
+      const res = await app.request('GET', `/urls/${mistyped}`);
+      assert.equal(res.status, 404);
+      assert.match(res.body.message, /check character/);
+    });
+
+    test('an alias that only looks checked keeps resolving', async () => {
+      delete process.env.SHORT_CODE_CHECK_CHARACTER;
+      assert.notEqual(checkCharacter('promo'), 'a');
+      assert.equal((await shorten({ custom_alias: 'promo-a' })).status, 201);
+
+      process.env.SHORT_CODE_CHECK_CHARACTER = 'true';
+      const res = await app.request('GET', '/urls/promo-a');
+      assert.equal(res.headers.get('location'), 'https://example.com/checked');
+
+      // New aliases of that shape are refused, since they could never resolve once mistyped
+      const refused = await shorten({ custom_alias: 'promo-b' });
+      assert.equal(refused.status, 400);
+      assert.equal(refused.body.error.code, 'ALIAS_CHECK_MISMATCH');
+    });
+
+    test('a code mistyped by case or lookalikes is suggested, or followed with folding', async () => {
+      delete process.env.SHORT_CODE_CHECK_CHARACTER;
+      assert.equal((await shorten({ custom_alias: 'Fold0Me1' })).status, 201);
+
+      const suggested = await app.request('GET', '/urls/foldomel');
+      assert.equal(suggested.status, 404);
+      assert.deepEqual(suggested.body.suggestions.map(suggestion => suggestion.short_url), ['Fold0Me1']);
+
+      process.env.SHORT_CODE_LOOKUP = 'fold';
+      const followed = await app.request('GET', '/urls/foldomel');
+      assert.equal(followed.headers.get('location'), 'https://example.com/checked');
+    });
+  });
+};
@@ -0,0 +1,60 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+module.exports = (app) => {
+  describe('duplicate links', () => {
+    let user;
+
+    before(async () => {
+      user = await app.signUp('dup_owner');
+    });
+
+    const shorten = (body, token = user.token) => app.request('POST', '/urls/shorten', body, { token });
+
+    test('shortening an identical destination reuses the link on request', async () => {
+      const first = await shorten({ original_url: 'https://example.com/reused', reuse_existing: true });
+      assert.equal(first.status, 201);
+
+      const again = await shorten({ original_url: 'https://example.com/reused', title: 'Another label', reuse_existing: true });
+      assert.equal(again.status, 200);
+      assert.equal(again.body.data.reused, true);
+      assert.equal(again.body.data.short_url, first.body.data.short_url);
+
+      const differentExpiry = await shorten({ original_url: 'https://example.com/reused', expires_at: '2040-01-01T00:00:00.000Z', reuse_existing: true });
+      assert.equal(differentExpiry.status, 201);
+      const notRequested = await shorten({ original_url: 'https://example.com/reused' });
+      assert.equal(notRequested.status, 201);
+      const anonymous = await app.request('POST', '/urls/shorten', { original_url: 'https://example.com/reused', reuse_existing: true });
+      assert.equal(anonymous.status, 201);
+    });
+
+    test('merging folds duplicates and their clicks into the oldest link', async () => {
+      const keep = (await shorten({ original_url: 'https://example.com/merged' })).body.data;
+      const duplicate = (await shorten({ original_url: 'https://example.com/merged' })).body.data;
+      await app.request('GET', `/urls/${keep.short_url}`);
+      await app.request('GET', `/urls/${duplicate.short_url}`);
+      await app.request('GET', `/urls/${duplicate.short_url}`);
+
+      const report = await app.request('GET', '/urls/user/duplicates', undefined, { token: user.token });
+      const group = report.body.data.find(entry => entry.keep.id === keep.id);
+      assert.deepEqual(group.duplicates.map(url => url.id), [duplicate.id]);
+
+      const merged = await app.request('POST', '/urls/user/duplicates/merge', { original_url: 'https://example.com/merged' }, { token: user.token });
+      assert.equal(merged.status, 200);
+      assert.equal(merged.body.data.merged_urls, 1);
+      assert.equal(merged.body.data.clicks_moved, 2);
+      assert.equal((await app.database.findUrlById(keep.id)).click_count, 3);
+      assert.equal((await app.database.findClicksByUrlId(keep.id)).length, 3);
+
+      // The duplicate's code still works, and counts for the kept link
+      const redirect = await app.request('GET', `/urls/${duplicate.short_url}`);
+      assert.equal(redirect.headers.get('location'), 'https://example.com/merged');
+      assert.equal((await app.database.findUrlById(keep.id)).click_count, 4);
+
+      const listed = await app.request('GET', '/urls/user/urls', undefined, { token: user.token });
+      assert.ok(!listed.body.data.some(url => url.id === duplicate.id));
+      const trash = await app.request('GET', '/urls/user/trash', undefined, { token: user.token });
+      assert.ok(!trash.body.data.some(url => url.id === duplicate.id));
+    });
+  });
+};
@@ -0,0 +1,78 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const IdempotencyService = require('../../services/idempotencyService');
+
+module.exports = (app) => {
+  describe('Idempotency-Key', () => {
+    let user;
+
+    before(async () => {
+      user = await app.signUp('idem_user');
+    });
+
+    const shorten = (key, body) => app.request('POST', '/api/v1/shorten', body, {
+      token: user.token,
+      headers: { 'idempotency-key': key }
+    });
+
+    test('a retry with the same key and body replays the first response', async () => {
+      const body = { original_url: 'https://example.com/idempotent' };
+      const first = await shorten('replay-key', body);
+      assert.equal(first.status, 201);
+      assert.equal(first.headers.get('idempotent-replayed'), null);
+
+      const retry = await shorten('replay-key', body);
+      assert.equal(retry.status, 201);
+      assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+      assert.deepEqual(retry.body, first.body);
+
+      const links = (await app.database.getAllUrls()).filter(url => url.original_url === 'https://example.com/idempotent');
+      assert.equal(links.length, 1);
+    });
+
+    test('a key reused with a different body is a conflict', async () => {
+      assert.equal((await shorten('mismatch-key', { original_url: 'https://example.com/one' })).status, 201);
+
+      const res = await shorten('mismatch-key', { original_url: 'https://example.com/two' });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'IDEMPOTENCY_KEY_REUSED');
+    });
+
+    test('a key still being processed is a conflict to retry later', async () => {
+      const body = { original_url: 'https://example.com/in-flight' };
+      const fingerprint = IdempotencyService.fingerprint({ method: 'POST', baseUrl: '/api/v1', path: '/shorten', body });
+      const { claimed } = await IdempotencyService.begin(`user:${user.user.id}`, 'in-flight-key', fingerprint);
+
+      const res = await shorten('in-flight-key', body);
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'IDEMPOTENCY_KEY_IN_USE');
+      assert.equal(res.headers.get('retry-after'), '1');
+
+      // The first request gave up: the key is free again
+      await IdempotencyService.release(claimed);
+      assert.equal((await shorten('in-flight-key', body)).status, 201);
+    });
+
+    test('a conflict is not stored, so a retry runs again', async () => {
+      const taken = await app.request('POST', '/api/v1/shorten', { original_url: 'https://example.com/first', custom_alias: 'idem-alias' });
+      assert.equal(taken.status, 201);
+
+      const body = { original_url: 'https://example.com/second', custom_alias: 'idem-alias' };
+      const conflict = await shorten('conflict-key', body);
+      assert.equal(conflict.status, 409);
+      assert.equal(conflict.body.error.code, 'ALIAS_TAKEN');
+
+      await app.database.deleteUrl(taken.body.data.id);
+      const retry = await shorten('conflict-key', body);
+      assert.equal(retry.status, 201);
+      assert.equal(retry.headers.get('idempotent-replayed'), null);
+      assert.equal(retry.body.data.short_url, 'idem-alias');
+    });
+
+    test('a malformed key is rejected', async () => {
+      const res = await shorten('x'.repeat(256), { original_url: 'https://example.com' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, 'INVALID_IDEMPOTENCY_KEY');
+    });
+  });
+};
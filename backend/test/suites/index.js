@@ -0,0 +1,31 @@
+// HTTP tests run against each store (see memory.test.js and sqlite.test.js)
+// Every other file here exports `(app) => describe(...)`; `app` is filled in
+// by startApp before the first test runs. The store is chosen before any of
+// them is loaded, so they may require models and services at the top.
+
+const fs = require('fs');
+const path = require('path');
+const { describe, before, after } = require('node:test');
+const { useStore, startApp } = require('../support');
+
+const SUITES = fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.js') && file !== 'index.js')
+  .sort();
+
+module.exports = (store) => {
+  useStore(store);
+
+  describe(`${store} store`, () => {
+    const app = {};
+
+    before(async () => {
+      Object.assign(app, await startApp());
+    });
+
+    after(async () => {
+      await app.close();
+    });
+
+    SUITES.forEach(file => require(path.join(__dirname, file))(app));
+  });
+};
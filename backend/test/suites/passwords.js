@@ -0,0 +1,62 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+module.exports = (app) => {
+  describe('password-protected links', () => {
+    let code;
+    let link;
+
+    before(async () => {
+      const created = await app.request('POST', '/api/v1/shorten', {
+        original_url: 'https://example.com/secret',
+        password: 'open sesame'
+      });
+      assert.equal(created.status, 201);
+      code = created.body.data.short_url;
+      link = created.body.data;
+    });
+
+    const clicks = async () => (await app.database.findUrlById(link.id)).click_count;
+
+    test('asks for the password instead of redirecting', async () => {
+      assert.equal(link.password_protected, true);
+      const res = await app.request('GET', `/urls/${code}`);
+      assert.equal(res.status, 401);
+      assert.match(res.text, /<form/);
+      assert.equal(await clicks(), 0);
+
+      // Lookups leave the destination out
+      const lookup = await app.request('GET', `/api/v1/url/${code}`);
+      assert.equal(lookup.body.data.original_url, null);
+    });
+
+    test('a correct password unlocks the link for this browser', async () => {
+      const wrong = await app.request('POST', `/urls/${code}`, { password: 'guess' });
+      assert.equal(wrong.status, 401);
+      assert.match(wrong.text, /Incorrect password/);
+      assert.equal(await clicks(), 0);
+
+      const unlocked = await app.request('POST', `/urls/${code}`, { password: 'open sesame' });
+      assert.equal(unlocked.status, 303);
+      assert.equal(unlocked.headers.get('location'), 'https://example.com/secret');
+      assert.equal(await clicks(), 1);
+
+      const cookie = unlocked.headers.get('set-cookie').split(';')[0];
+      const again = await app.request('GET', `/urls/${code}`, undefined, { headers: { cookie } });
+      assert.equal(again.status, 302);
+      assert.equal(again.headers.get('cache-control'), 'private, no-store');
+      assert.equal(await clicks(), 2);
+    });
+
+    test('wrong passwords are rate limited per visitor', async () => {
+      const headers = { 'x-forwarded-for': '192.0.2.50' };
+      for (let attempt = 0; attempt < 5; attempt++) {
+        assert.equal((await app.request('POST', `/urls/${code}`, { password: 'guess' }, { headers })).status, 401);
+      }
+      assert.equal((await app.request('POST', `/urls/${code}`, { password: 'open sesame' }, { headers })).status, 429);
+
+      // Another visitor is not affected
+      assert.equal((await app.request('POST', `/urls/${code}`, { password: 'open sesame' })).status, 303);
+    });
+  });
+};
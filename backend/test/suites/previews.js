@@ -0,0 +1,45 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const PreviewService = require('../../services/previewService');
+
+module.exports = (app) => {
+  describe('previews and interstitial links', () => {
+    const shorten = async (body) => {
+      const res = await app.request('POST', '/api/v1/shorten', body);
+      assert.equal(res.status, 201);
+      return res.body.data;
+    };
+    const clicks = async (link) => (await app.database.findUrlById(link.id)).click_count;
+
+    test('a "+" after the code shows where the link goes without counting a click', async () => {
+      const link = await shorten({ original_url: 'http://203.0.113.9:8080/login' });
+
+      for (const path of [`/urls/${link.short_url}+`, `/urls/${link.short_url}?preview=1`]) {
+        const res = await app.request('GET', path);
+        assert.equal(res.status, 200, path);
+        assert.match(res.headers.get('content-type'), /text\/html/);
+        assert.ok(res.text.includes('http://203.0.113.9:8080/login'), path);
+        assert.match(res.text, /bare IP address/);
+      }
+      assert.equal(await clicks(link), 0);
+    });
+
+    test('an interstitial link counts the click and shows the page with a countdown', async () => {
+      const link = await shorten({ original_url: 'https://example.com/interstitial', interstitial: true });
+      assert.equal(link.interstitial, true);
+
+      const res = await app.request('GET', `/urls/${link.short_url}`);
+      assert.equal(res.status, 200);
+      assert.ok(res.text.includes('https://example.com/interstitial'));
+      assert.equal(await clicks(link), 1);
+    });
+
+    test('warns about risky-looking destinations', () => {
+      const checks = url => PreviewService.safetyWarnings(url).map(warning => warning.check);
+      assert.deepEqual(checks('https://example.com/'), []);
+      assert.deepEqual(checks('http://203.0.113.9:8080/'), ['not_https', 'ip_address', 'unusual_port']);
+      assert.deepEqual(checks('https://user@xn--pple-43d.com/'), ['international_domain', 'credentials']);
+      assert.deepEqual(checks('https://mini.cloudrakshak.com/abc'), ['short_link']);
+    });
+  });
+};
@@ -0,0 +1,42 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlService = require('../../services/urlService');
+const { codeFor } = require('../../algorithms/sequential');
+
+module.exports = (app) => {
+  describe('sequential codes', () => {
+    test('concurrent requests each get a different code', async () => {
+      const created = await Promise.all(Array.from({ length: 20 }, (_, index) => app.request('POST', '/api/v1/shorten', {
+        original_url: `https://example.com/sequential/${index}`,
+        algorithm: 'sequential'
+      })));
+
+      created.forEach(res => assert.equal(res.status, 201));
+      const codes = created.map(res => res.body.data.short_url);
+      assert.equal(new Set(codes).size, codes.length);
+      codes.forEach(code => assert.match(code, /^_[0-9a-zA-Z]{5}$/));
+    });
+
+    test('codes are issued without a uniqueness lookup', async () => {
+      const findOne = app.Url.findOne;
+      app.Url.findOne = async () => {
+        throw new Error('sequential codes need no lookup');
+      };
+      try {
+        const code = await UrlService.generateShortCode('sequential', 'https://example.com');
+        assert.match(code, /^_/);
+      } finally {
+        app.Url.findOne = findOne;
+      }
+    });
+
+    test('aliases may not take the sequential prefix', async () => {
+      const res = await app.request('POST', '/api/v1/shorten', {
+        original_url: 'https://example.com',
+        custom_alias: `_${codeFor(0, { length: 5, secret: null })}`
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, 'ALIAS_RESERVED');
+    });
+  });
+};
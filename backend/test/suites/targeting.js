@@ -0,0 +1,49 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+module.exports = (app) => {
+  describe('targeted links', () => {
+    test('each visitor goes where the first matching rule points, and the click records the rule', async () => {
+      const { token } = await app.signUp('targeter');
+      const created = await app.request('POST', '/api/v1/shorten', {
+        original_url: 'https://example.com/everyone',
+        targeting_rules: [
+          { device_type: 'mobile', original_url: 'https://example.com/mobile' },
+          { country: 'DE', language: 'de', original_url: 'https://example.com/de' }
+        ]
+      }, { token });
+      assert.equal(created.status, 201);
+      const link = created.body.data;
+
+      const visit = async (headers) => {
+        const res = await app.request('GET', `/urls/${link.short_url}`, undefined, { headers });
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('cache-control'), 'private, no-store');
+        return res.headers.get('location');
+      };
+      assert.equal(await visit({ 'user-agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0) Mobile/15E148' }),
+        'https://example.com/mobile');
+      assert.equal(await visit({ 'cf-ipcountry': 'DE', 'accept-language': 'de-AT, en;q=0.5' }),
+        'https://example.com/de');
+      assert.equal(await visit({ 'cf-ipcountry': 'DE', 'accept-language': 'en' }), 'https://example.com/everyone');
+      assert.equal(await visit({}), 'https://example.com/everyone');
+
+      const analytics = await app.request('GET', `/urls/analytics/${link.id}`, undefined, { token });
+      assert.equal(analytics.status, 200);
+      assert.deepEqual(
+        [...analytics.body.analytics.targeting_stats].sort((a, b) => a.targeting_rule - b.targeting_rule),
+        [{ targeting_rule: 0, count: 2 }, { targeting_rule: 1, count: 1 }, { targeting_rule: 2, count: 1 }]
+      );
+    });
+
+    test('invalid rules are rejected before anything is created', async () => {
+      const res = await app.request('POST', '/api/v1/shorten', {
+        original_url: 'https://example.com/everyone',
+        targeting_rules: [{ country: 'Germany', original_url: 'https://example.com/de' }]
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, 'INVALID_TARGETING_RULES');
+      assert.match(res.body.error.message, /targeting_rules\[0\]: country/);
+    });
+  });
+};
@@ -0,0 +1,65 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const TrashService = require('../../services/trashService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = (app) => {
+  describe('trash', () => {
+    let owner;
+    let stranger;
+
+    before(async () => {
+      owner = await app.signUp('trash_owner');
+      stranger = await app.signUp('trash_stranger');
+    });
+
+    const shorten = async (path) => {
+      const res = await app.request('POST', '/urls/shorten', {
+        original_url: `https://example.com/${path}`
+      }, { token: owner.token });
+      assert.equal(res.status, 201);
+      return res.body.data;
+    };
+
+    test('a deleted link stops redirecting until it is restored', async () => {
+      const link = await shorten('restore');
+      const redirect = `/urls/${link.short_url}`;
+
+      const deleted = await app.request('DELETE', `/urls/${link.id}`, undefined, { token: owner.token });
+      assert.equal(deleted.status, 200);
+      assert.ok(deleted.body.data.deleted_at);
+      assert.equal((await app.request('GET', redirect)).status, 410);
+
+      const listed = await app.request('GET', '/urls/user/urls', undefined, { token: owner.token });
+      assert.ok(!listed.body.data.some(url => url.id === link.id));
+      const trash = await app.request('GET', '/urls/user/trash', undefined, { token: owner.token });
+      const trashed = trash.body.data.find(url => url.id === link.id);
+      assert.ok(trashed);
+      assert.equal(new Date(trashed.purge_at).getTime() - new Date(trashed.deleted_at).getTime(), 30 * DAY_MS);
+
+      const foreign = await app.request('POST', `/urls/user/trash/${link.id}/restore`, undefined, { token: stranger.token });
+      assert.equal(foreign.status, 404);
+
+      const restored = await app.request('POST', `/urls/user/trash/${link.id}/restore`, undefined, { token: owner.token });
+      assert.equal(restored.status, 200);
+      assert.equal((await app.request('GET', redirect)).headers.get('location'), 'https://example.com/restore');
+    });
+
+    test('the sweep purges links whose retention has run out', async () => {
+      const link = await shorten('purge');
+      const kept = await shorten('kept');
+      await app.request('GET', `/urls/${link.short_url}`);
+      await app.request('DELETE', `/urls/${link.id}`, undefined, { token: owner.token });
+
+      await TrashService.purgeExpired(new Date(Date.now() + 29 * DAY_MS));
+      assert.ok(await app.database.findUrlById(link.id));
+      assert.equal((await app.database.findClicksByUrlId(link.id)).length, 1);
+
+      await TrashService.purgeExpired(new Date(Date.now() + 31 * DAY_MS));
+      assert.equal(await app.database.findUrlById(link.id), null);
+      assert.deepEqual(await app.database.findClicksByUrlId(link.id), []);
+      assert.ok(await app.database.findUrlById(kept.id));
+    });
+  });
+};
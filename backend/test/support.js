@@ -0,0 +1,123 @@
+// Boots the app for a test file on one of the two stores
+// The store is a per-process singleton chosen from the environment when the
+// models are first required, so each test file runs against a single store.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+
+let dir = null;
+
+// The stores announce opening and closing on stdout, which the test runner
+// reads its results from while the tests run; keep them quiet meanwhile
+const quietly = async (work) => {
+  const log = mock.method(console, 'log', () => {});
+  try {
+    return await work();
+  } finally {
+    log.mock.restore();
+  }
+};
+
+/**
+ * Choose the store the models will use
+ * Call before anything requires the models.
+ * @param {string} store - 'memory' or 'sqlite' (a fresh database file)
+ */
+const useStore = (store) => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  process.env.DB_DRIVER = store;
+  if (store === 'sqlite') {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minurl-test-'));
+    process.env.DB_PATH = path.join(dir, 'test.sqlite');
+  }
+};
+
+/**
+ * Start the app on a free port, on the store chosen by useStore
+ * @returns {Promise<Object>} - { request, signUp, database, Url, close }
+ */
+const startApp = async () => {
+  const app = require('../server');
+  const { database, Url } = require('../models');
+  await quietly(() => database.sync());
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // Every request comes from its own address so the rate limits never trip;
+  // pass an x-forwarded-for header to send several from one visitor
+  let visitors = 0;
+  const nextAddress = () => {
+    visitors++;
+    return `10.${(visitors >> 16) & 255}.${(visitors >> 8) & 255}.${visitors & 255}`;
+  };
+
+  /**
+   * JSON request; redirects are returned rather than followed
+   * @param {string} method
+   * @param {string} pathname
+   * @param {Object} [body]
+   * @param {Object} [options] - { token, headers }
+   * @returns {Promise<Object>} - { status, headers, body, text }
+   */
+  const request = async (method, pathname, body, { token, headers = {} } = {}) => {
+    const res = await fetch(base + pathname, {
+      method,
+      redirect: 'manual',
+      headers: {
+        'content-type': 'application/json',
+        'x-forwarded-for': nextAddress(),
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Redirects and HTML pages have no JSON body
+    }
+    return { status: res.status, headers: res.headers, body: json, text };
+  };
+
+  /**
+   * Register a user
+   * @param {string} username
+   * @param {Object} [options] - { role: 'admin' to make them an admin }
+   * @returns {Promise<Object>} - { user, token }
+   */
+  const signUp = async (username, { role } = {}) => {
+    const res = await request('POST', '/auth/register', {
+      username,
+      email: `${username}@example.com`,
+      password: 'Password123!'
+    });
+    if (res.status !== 201) {
+      throw new Error(`Registering ${username} failed with ${res.status}: ${res.text}`);
+    }
+    if (role) {
+      await database.updateUser(res.body.user.id, { role });
+    }
+    return { user: res.body.user, token: res.body.token };
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await quietly(() => database.close());
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { request, signUp, database, Url, close };
+};
+
+module.exports = {
+  useStore,
+  startApp
+};
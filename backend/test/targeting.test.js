@@ -0,0 +1,128 @@
+// Targeting rules are validated into one stored form and pick the first rule a visitor matches
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const TargetingService = require('../services/targetingService');
+const VisitorService = require('../services/visitorService');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const IPAD = 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/604.1';
+const ANDROID_TABLET = 'Mozilla/5.0 (Linux; Android 14; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const WINDOWS_EDGE = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36 Edg/120.0';
+
+const visitor = (overrides) => ({
+  user_agent: '', device_type: 'desktop', os: null, browser: null, country: null, language: null, ...overrides
+});
+
+describe('targeting rules', () => {
+  test('rules are stored with canonical values in a fixed order', () => {
+    const { rules, error } = TargetingService.parse([
+      { language: 'pt-BR', original_url: 'example.com/br', country: ['br', 'BR', 'pt'], os: 'ios' }
+    ]);
+    assert.equal(error, undefined);
+    assert.deepEqual(rules, [{
+      os: ['iOS'],
+      country: ['BR', 'PT'],
+      language: ['pt-br'],
+      original_url: 'https://example.com/br'
+    }]);
+    assert.deepEqual(Object.keys(rules[0]), ['os', 'country', 'language', 'original_url']);
+
+    assert.deepEqual(TargetingService.parse(null), { rules: null });
+    assert.deepEqual(TargetingService.parse([]), { rules: null });
+  });
+
+  test('invalid rules are rejected with the rule they came from', () => {
+    const invalid = [
+      [{ nope: 1 }, /targeting_rules must be a list/],
+      [[{ country: 'US' }], /targeting_rules\[0\]: original_url must be/],
+      [[{ original_url: 'https://example.com' }], /needs at least one condition/],
+      [[{ country: 'US', original_url: 'ftp://example.com' }], /valid HTTP or HTTPS URL/],
+      [[{ country: 'US', original_url: 'https://a.example' }, { planet: 'Mars', original_url: 'https://b.example' }],
+        /targeting_rules\[1\]: unknown condition planet/],
+      [[{ country: 'USA', original_url: 'https://example.com' }], /country must be a two-letter country code/],
+      [[{ device_type: 'watch', original_url: 'https://example.com' }], /device_type must be one of desktop/],
+      [[{ browser: [], original_url: 'https://example.com' }], /browser must be a value or a list/],
+      [Array.from({ length: 21 }, () => ({ country: 'US', original_url: 'https://example.com' })), /at most 20 rules/]
+    ];
+    for (const [input, message] of invalid) {
+      const { rules, error } = TargetingService.parse(input);
+      assert.equal(rules, undefined);
+      assert.match(error.message, message);
+    }
+  });
+
+  test('the first rule whose conditions all match picks the destination', () => {
+    const { rules } = TargetingService.parse([
+      { device_type: 'mobile', country: 'DE', original_url: 'https://example.com/de-mobile' },
+      { country: ['DE', 'AT'], original_url: 'https://example.com/de' },
+      { language: 'fr', original_url: 'https://example.com/fr' }
+    ]);
+    const url = { targeting_rules: rules };
+
+    assert.deepEqual(TargetingService.resolve(url, visitor({ device_type: 'mobile', country: 'DE' })),
+      { rule: 1, original_url: 'https://example.com/de-mobile' });
+    assert.deepEqual(TargetingService.resolve(url, visitor({ country: 'DE', language: 'fr' })),
+      { rule: 2, original_url: 'https://example.com/de' });
+    assert.deepEqual(TargetingService.resolve(url, visitor({ country: 'AT' })),
+      { rule: 2, original_url: 'https://example.com/de' });
+  });
+
+  test('a language rule matches regional variants, not other languages', () => {
+    const { rules } = TargetingService.parse([{ language: 'fr', original_url: 'https://example.com/fr' }]);
+    const url = { targeting_rules: rules };
+
+    assert.equal(TargetingService.resolve(url, visitor({ language: 'fr' })).rule, 1);
+    assert.equal(TargetingService.resolve(url, visitor({ language: 'fr-ch' })).rule, 1);
+    assert.equal(TargetingService.resolve(url, visitor({ language: 'fry' })).rule, 0);
+  });
+
+  test('visitors no rule matches fall back, and links without rules have none', () => {
+    const { rules } = TargetingService.parse([{ country: 'US', original_url: 'https://example.com/us' }]);
+
+    assert.deepEqual(TargetingService.resolve({ targeting_rules: rules }, visitor({ country: 'CA' })),
+      { rule: 0, original_url: null });
+    assert.deepEqual(TargetingService.resolve({ targeting_rules: rules }, visitor({ country: null })),
+      { rule: 0, original_url: null });
+    assert.deepEqual(TargetingService.resolve({ targeting_rules: null }, visitor({ country: 'US' })),
+      { rule: null, original_url: null });
+  });
+});
+
+describe('visitors', () => {
+  test('device, OS and browser come from the User-Agent', () => {
+    assert.deepEqual(
+      [IPHONE, IPAD, ANDROID_TABLET, WINDOWS_EDGE, 'curl/8.0'].map(ua => [
+        VisitorService.deviceType(ua), VisitorService.os(ua), VisitorService.browser(ua)
+      ]),
+      [
+        ['mobile', 'iOS', 'Safari'],
+        ['tablet', 'iPadOS', 'Safari'],
+        ['tablet', 'Android', 'Chrome'],
+        ['desktop', 'Windows', 'Edge'],
+        ['other', null, null]
+      ]
+    );
+  });
+
+  test('the country comes from the proxy header, unknown values excluded', () => {
+    const country = (value) => VisitorService.country({ headers: { 'cf-ipcountry': value } });
+    assert.equal(country('de'), 'DE');
+    assert.equal(country('XX'), null);
+    assert.equal(country('T1'), null);
+    assert.equal(country(undefined), null);
+
+    process.env.COUNTRY_HEADER = 'X-Country';
+    try {
+      assert.equal(VisitorService.country({ headers: { 'x-country': 'NL', 'cf-ipcountry': 'DE' } }), 'NL');
+    } finally {
+      delete process.env.COUNTRY_HEADER;
+    }
+  });
+
+  test('the language is the most preferred one in Accept-Language', () => {
+    assert.equal(VisitorService.language('fr-CH, fr;q=0.9, en;q=0.8'), 'fr-ch');
+    assert.equal(VisitorService.language('en;q=0.5, de;q=0.9, *;q=1'), 'de');
+    assert.equal(VisitorService.language('nl, en'), 'nl');
+    assert.equal(VisitorService.language(undefined), null);
+  });
+});
@@ -0,0 +1,54 @@
+// URLs are stored in one canonical spelling, reported step by step
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlCanonicalizer = require('../services/urlCanonicalizer');
+
+const steps = input => UrlCanonicalizer.canonicalize(input).transformations.map(({ step }) => step);
+
+describe('URL canonicalization', () => {
+  afterEach(() => {
+    delete process.env.URL_CANONICALIZATION;
+    delete process.env.URL_TRACKING_PARAMS;
+  });
+
+  test('adds a scheme and root path and normalises the host', () => {
+    assert.equal(UrlCanonicalizer.canonicalize('Example.COM').url, 'https://example.com/');
+    assert.deepEqual(steps('Example.COM'), ['add_scheme', 'lowercase_host', 'add_root_path']);
+
+    assert.equal(UrlCanonicalizer.canonicalize('HTTP://example.com:80/a').url, 'http://example.com/a');
+    assert.deepEqual(steps('HTTP://example.com:80/a'), ['lowercase_scheme', 'strip_default_port']);
+
+    assert.equal(UrlCanonicalizer.canonicalize('https://bücher.example/').url, 'https://xn--bcher-kva.example/');
+    assert.deepEqual(steps('https://bücher.example/'), ['punycode_host']);
+
+    assert.deepEqual(UrlCanonicalizer.canonicalize('https://example.com/a').transformations, []);
+  });
+
+  test('removes tracking parameters and keeps the rest of the query byte for byte', () => {
+    const { url, transformations } = UrlCanonicalizer.canonicalize(
+      'https://example.com/p?q=a+b&utm_source=x&sig=AbC%2f%3D&fbclid=1&empty&q=%20c'
+    );
+    assert.equal(url, 'https://example.com/p?q=a+b&sig=AbC%2f%3D&empty&q=%20c');
+    assert.deepEqual(transformations, [{ step: 'remove_tracking_params', detail: 'removed utm_source, fbclid' }]);
+
+    process.env.URL_TRACKING_PARAMS = 'ref';
+    assert.equal(UrlCanonicalizer.canonicalize('https://example.com/?ref=news&id=1').url, 'https://example.com/?id=1');
+  });
+
+  test('runs only the steps URL_CANONICALIZATION names', () => {
+    const input = 'https://example.com/?b=2&utm_medium=x&a=1#section';
+
+    process.env.URL_CANONICALIZATION = 'none';
+    assert.equal(UrlCanonicalizer.canonicalize(input).url, input);
+
+    process.env.URL_CANONICALIZATION = 'sort_query_params, remove_fragment';
+    assert.equal(UrlCanonicalizer.canonicalize(input).url, 'https://example.com/?a=1&b=2&utm_medium=x');
+  });
+
+  test('compares spellings of one address alike without changing the stored URL', () => {
+    const a = UrlCanonicalizer.comparisonKey('https://Example.com/?b=2&a=1&utm_campaign=spring');
+    const b = UrlCanonicalizer.comparisonKey('example.com/?a=1&b=2');
+    assert.equal(a, b);
+    assert.equal(UrlCanonicalizer.canonicalize('example.com/?b=2&a=1').url, 'https://example.com/?b=2&a=1');
+  });
+});
@@ -0,0 +1,50 @@
+// Generated codes never spell a blocked term, however it is disguised
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { database } = require('../models');
+const algorithms = require('../algorithms');
+const UrlService = require('../services/urlService');
+const WordFilterService = require('../services/wordFilterService');
+
+describe('word filter', () => {
+  before(async () => {
+    await database.sync();
+  });
+
+  test('matches terms through case, separators and lookalike characters', () => {
+    const terms = ['shit', 'nazi'];
+    ['xSHITx', 'Sh-1T', '5h17', 'n4z1', 'N_A_Z_l'].forEach(code => assert.ok(WordFilterService.match(code, terms), code));
+    ['shot', 'shi', 'nazo', 'abc123'].forEach(code => assert.equal(WordFilterService.match(code, terms), null, code));
+  });
+
+  test('admins add terms on top of the built-in list', async () => {
+    assert.equal(await WordFilterService.isBlocked('xbanana'), false);
+    assert.ok(await WordFilterService.block('Banana'));
+    assert.equal(await WordFilterService.block('banana'), null);
+    assert.equal(await WordFilterService.isBlocked('x8AN4NAx'), true);
+
+    assert.equal(await WordFilterService.unblock('banana'), true);
+    assert.equal(await WordFilterService.isBlocked('xbanana'), false);
+    assert.equal(await WordFilterService.unblock('shit'), false);
+  });
+
+  test('a generated code spelling a blocked term is skipped', async () => {
+    const codes = ['xsh1tx', 'p0rn42', 'clean1'];
+    algorithms.register({
+      name: 'scripted',
+      description: 'Returns the next code from a list',
+      defaultLength: 6,
+      generate: () => codes.shift()
+    });
+
+    assert.equal(await UrlService.generateShortCode('scripted', 'https://example.com'), 'clean1');
+  });
+
+  test('lists existing codes that spell a term', async () => {
+    await database.createUrl({ original_url: 'https://example.com', short_url: 'old-t1ts' });
+    await database.createUrl({ original_url: 'https://example.com', short_url: 'harmless' });
+
+    const matches = await WordFilterService.findMatchingUrls(['tits']);
+    assert.deepEqual(matches.map(match => [match.short_url, match.term]), [['old-t1ts', 'tits']]);
+  });
+});
@@ -0,0 +1,46 @@
+// JSON body of a link, shared by every endpoint that returns one
+// Endpoints add their own extras (click_count, reused, ...) alongside it.
+
+const UrlService = require('../services/urlService');
+const LinkPasswordService = require('../services/linkPasswordService');
+const { redirectStatus } = require('../config/redirects');
+
+/**
+ * A link as API responses show it
+ * @param {Object} url - URL record
+ * @param {Object} [options]
+ * @param {boolean} [options.hideProtected] - For viewers other than the owner: the
+ *   destinations of a password-protected link (original_url, schedule and
+ *   targeting_rules) are left out, since the password guards all of them
+ * @returns {Object}
+ */
+const linkJson = (url, { hideProtected = false } = {}) => {
+  const domain = process.env.APP_DOMAIN || 'mini.cloudrakshak.com';
+  const isProtected = LinkPasswordService.isProtected(url);
+  const hidden = hideProtected && isProtected;
+  return {
+    id: url.id,
+    original_url: hidden ? null : url.original_url,
+    short_url: url.short_url,
+    full_short_url: `https://${domain}/${url.short_url}`,
+    title: url.title,
+    description: url.description,
+    is_active: url.is_active,
+    expires_at: url.expires_at,
+    redirect_status: redirectStatus(url),
+    password_protected: isProtected,
+    interstitial: Boolean(url.interstitial),
+    max_clicks: url.max_clicks || null,
+    remaining_clicks: UrlService.remainingClicks(url),
+    exhausted: UrlService.isExhausted(url),
+    starts_at: url.starts_at || null,
+    schedule: hidden ? null : url.schedule || null,
+    targeting_rules: hidden ? null : url.targeting_rules || null,
+    created_at: url.created_at,
+    updated_at: url.updated_at
+  };
+};
+
+module.exports = {
+  linkJson
+};
@@ -0,0 +1,122 @@
+// HTML pages the redirect serves in place of a redirect
+// Self-contained (inline styles, no scripts), since they are served from the
+// short-link domain rather than by the React app. The interstitial countdown
+// is a meta refresh with a CSS progress bar.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// The form posts to the page's own URL and is then redirected to the
+// destination, which form-action must allow
+const PAGE_CSP = "default-src 'none'; style-src 'unsafe-inline'; form-action 'self' http: https:; base-uri 'none'; frame-ancestors 'none'";
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; background: #f3f4f6; color: #111827; display: flex; min-height: 100vh; margin: 0; align-items: center; justify-content: center; }
+  main { background: #fff; padding: 2rem; border-radius: 0.5rem; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); width: 100%; max-width: 24rem; }
+  h1 { font-size: 1.25rem; margin: 0 0 1rem; }
+  p { color: #4b5563; }
+  .error { color: #b91c1c; }
+  input { width: 100%; box-sizing: border-box; padding: 0.5rem; margin: 0.5rem 0 1rem; border: 1px solid #d1d5db; border-radius: 0.375rem; }
+  button, .button { display: block; width: 100%; box-sizing: border-box; padding: 0.5rem; border: 0; border-radius: 0.375rem; background: #2563eb; color: #fff; font-size: 1rem; text-align: center; text-decoration: none; cursor: pointer; }
+  dl { margin: 0 0 1rem; }
+  dt { font-size: 0.875rem; color: #6b7280; margin-top: 0.75rem; }
+  dd { margin: 0.125rem 0 0; overflow-wrap: anywhere; }
+  .safe { color: #047857; }
+  .warning { color: #b45309; }
+  ul { padding-left: 1.25rem; margin: 0.25rem 0 0; }
+  .countdown { height: 0.25rem; background: #2563eb; margin-bottom: 1rem; animation: countdown var(--seconds) linear forwards; }
+  @keyframes countdown { from { width: 100%; } to { width: 0; } }
+`;
+
+const layout = (title, body, head = '') => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+${head}<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+
+/**
+ * Send a page; none of them may be cached, as each answers one visitor
+ * @param {Object} res
+ * @param {number} status
+ * @param {string} html
+ */
+const sendPage = (res, status, html) => {
+  res.status(status)
+    .set('Content-Type', 'text/html; charset=utf-8')
+    .set('Cache-Control', 'private, no-store')
+    .set('Content-Security-Policy', PAGE_CSP)
+    .send(html);
+};
+
+/**
+ * Password form of a protected link
+ * @param {Object} res
+ * @param {number} status
+ * @param {Object} options - { shortCode, error: message shown above the form }
+ */
+const sendUnlockPage = (res, status, { shortCode, error = null }) => {
+  sendPage(res, status, layout('Password required', `
+<h1>This link is password protected</h1>
+<p>Enter the password to continue to <strong>${escapeHtml(shortCode)}</strong>.</p>
+${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+<form method="post">
+  <label for="password">Password</label>
+  <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+  <button type="submit">Continue</button>
+</form>`));
+};
+
+const formatDate = (value) => new Date(value).toUTCString().replace(/ \d{2}:\d{2}:\d{2} GMT$/, '');
+
+/**
+ * Where a link goes, without going there
+ * As a preview, "Continue" follows the short link itself so the visit is
+ * counted; as an interstitial the visit is already counted and the page
+ * moves on to the destination after the countdown.
+ * @param {Object} res
+ * @param {Object} options - { url, destination: where the link goes now (see services/scheduleService.js),
+ *   shortCode, warnings: from PreviewService.safetyWarnings, countdown: seconds before continuing, or null for a preview }
+ */
+const sendPreviewPage = (res, { url, destination: target = url.original_url, shortCode, warnings, countdown = null }) => {
+  const interstitial = countdown !== null;
+  const destination = escapeHtml(target);
+  const head = interstitial ? `<meta http-equiv="refresh" content="${countdown};url=${destination}">\n` : '';
+  const safety = warnings.length === 0
+    ? '<dd class="safe">No warning signs in this address</dd>'
+    : `<dd class="warning">Check before continuing:<ul>${warnings.map(warning => `<li>${escapeHtml(warning.message)}</li>`).join('')}</ul></dd>`;
+
+  sendPage(res, 200, layout(interstitial ? 'Leaving for another site' : 'Link preview', `
+<h1>${interstitial ? `You are leaving for another site in ${countdown} seconds` : 'Where this link goes'}</h1>
+${interstitial ? `<div class="countdown" style="--seconds: ${countdown}s"></div>` : ''}
+<dl>
+  <dt>Destination</dt>
+  <dd><code>${destination}</code></dd>
+  ${url.title ? `<dt>Title</dt><dd>${escapeHtml(url.title)}</dd>` : ''}
+  ${url.description ? `<dt>Description</dt><dd>${escapeHtml(url.description)}</dd>` : ''}
+  <dt>Created</dt>
+  <dd>${escapeHtml(formatDate(url.created_at))}</dd>
+  <dt>Safety</dt>
+  ${safety}
+</dl>
+<a class="button" rel="nofollow" href="${interstitial ? destination : escapeHtml(shortCode)}">${interstitial ? 'Continue now' : 'Continue'}</a>`, head));
+};
+
+module.exports = {
+  escapeHtml,
+  sendUnlockPage,
+  sendPreviewPage
+};
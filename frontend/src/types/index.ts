@@ -5,6 +5,7 @@ export interface User {
   email: string;
   role: 'user' | 'admin';
   isActive: boolean;
+  reuse_existing?: boolean;
   created_at: string;
   updated_at: string;
 }
@@ -32,6 +33,38 @@ export interface ChangePasswordRequest {
 }
 
 // URL types
+export type DeviceType = 'desktop' | 'mobile' | 'tablet' | 'other';
+// 301 and 308 are permanent and may be cached by browsers; 302 (the default) and 307 are not
+export type RedirectStatus = 301 | 302 | 307 | 308;
+
+// A destination switch: the link goes to original_url from `at` on
+export interface ScheduleEntry {
+  // UTC instant, e.g. 2025-03-10T08:00:00.000Z
+  at: string;
+  // The IANA time zone `at` was given in, if any
+  timezone: string | null;
+  original_url: string;
+}
+
+// Sends visitors matching every condition it sets to original_url; each takes a value or a list of values
+export interface TargetingRule {
+  device_type?: DeviceType | DeviceType[];
+  os?: string | string[];
+  browser?: string | string[];
+  // Two-letter country code
+  country?: string | string[];
+  // Matches the visitor's preferred language and its regional variants: en matches en-GB
+  language?: string | string[];
+  original_url: string;
+}
+
+// In requests `at` may be a local time such as 2025-03-10T09:00, read in timezone (UTC when omitted)
+export interface ScheduleEntryInput {
+  at: string;
+  timezone?: string;
+  original_url: string;
+}
+
 export interface Url {
   id: number;
   original_url: string;
@@ -41,19 +74,46 @@ export interface Url {
   description?: string;
   is_active: boolean;
   expires_at?: string;
+  redirect_status?: RedirectStatus;
+  password_protected?: boolean;
+  interstitial?: boolean;
+  max_clicks?: number | null;
+  // null when the link has no max_clicks
+  remaining_clicks?: number | null;
+  exhausted?: boolean;
+  starts_at?: string | null;
+  schedule?: ScheduleEntry[] | null;
+  // Stored with every condition as a list
+  targeting_rules?: TargetingRule[] | null;
   created_at: string;
   updated_at: string;
   click_count?: number;
   user?: User;
+  reused?: boolean;
+  // Set on links in the trash; purge_at is when the sweep deletes them for good
+  deleted_at?: string | null;
+  purge_at?: string;
 }
 
 export interface CreateUrlRequest {
   original_url: string;
+  // Used as the short code instead of a generated one
+  custom_alias?: string;
   title?: string;
   description?: string;
   expires_at?: string;
-  algorithm?: 'hash' | 'uuid' | 'custom';
+  algorithm?: string;
   custom_options?: CustomAlgorithmOptions;
+  reuse_existing?: boolean;
+  redirect_status?: RedirectStatus;
+  password?: string;
+  interstitial?: boolean;
+  max_clicks?: number;
+  // Shorthand for max_clicks: 1
+  expire_after_first_click?: boolean;
+  starts_at?: string;
+  schedule?: ScheduleEntryInput[];
+  targeting_rules?: TargetingRule[];
 }
 
 export interface UpdateUrlRequest {
@@ -62,6 +122,19 @@ export interface UpdateUrlRequest {
   description?: string;
   expires_at?: string;
   is_active?: boolean;
+  redirect_status?: RedirectStatus;
+  // null removes the password
+  password?: string | null;
+  interstitial?: boolean;
+  // null removes the cap
+  max_clicks?: number | null;
+  expire_after_first_click?: boolean;
+  // null makes the link live at once
+  starts_at?: string | null;
+  // Replaces the whole schedule; null or [] removes it
+  schedule?: ScheduleEntryInput[] | null;
+  // Replaces all rules; null or [] removes them
+  targeting_rules?: TargetingRule[] | null;
 }
 
 export interface CustomAlgorithmOptions {
@@ -88,6 +161,8 @@ export interface UrlAnalytics {
     top_referrers: ReferrerStat[];
     clicks_by_date: ClicksByDate[];
     device_stats: DeviceStat[];
+    schedule_stats: ScheduleSlotStat[];
+    targeting_stats: TargetingRuleStat[];
   };
 }
 
@@ -102,7 +177,19 @@ export interface ClicksByDate {
 }
 
 export interface DeviceStat {
-  device_type: 'desktop' | 'mobile' | 'tablet' | 'other';
+  device_type: DeviceType;
+  count: number;
+}
+
+// Rule 0 is the fallback, rule n the nth targeting rule
+export interface TargetingRuleStat {
+  targeting_rule: number;
+  count: number;
+}
+
+// Slot 0 is the link's own original_url, slot n the schedule's nth entry
+export interface ScheduleSlotStat {
+  schedule_slot: number;
   count: number;
 }
 
@@ -178,12 +265,22 @@ export interface PaginatedResponse<T> {
   };
 }
 
+export interface AlgorithmOption {
+  type: 'integer' | 'boolean' | 'string';
+  default?: number | boolean | string;
+  description: string;
+  min?: number;
+  max?: number;
+  values?: string[];
+}
+
 export interface Algorithm {
   name: string;
   description: string;
   default_length: number;
   supports_custom_options: boolean;
   options?: Record<string, string>;
+  option_schema?: Record<string, AlgorithmOption>;
 }
 
 // Form types